@@ -0,0 +1,799 @@
+#!/usr/bin/env node
+
+/**
+ * Estimates the taxi fares of a batch of trips from the command line (e.g. for
+ * expense audits):
+ *
+ *     node js/batch_estimate.js [options] <trips.csv | trips.json>
+ *
+ * Each trip is a CSV row (with a header row) or a JSON object with these
+ * columns (all but origin and destination are optional):
+ * 1) origin, destination: The trip's addresses, or "lat,lng" locations.
+ * 2) stops: The intermediate stops, separated by "|".
+ * 3) distance_km, duration_min: The trip's distance and duration, if already
+ *    known. The trip isn't routed if its distance is given, and its duration
+ *    defaults to the time it takes in free-flowing traffic. The distance must
+ *    be a positive number, and the duration a number if given.
+ * 4) service: The ID of the service (default: the --service option).
+ * 5) date: The trip date, as "YYYY-MM-DD" (default: the --date option).
+ *    Trips are routed as if leaving at the current time of day on it.
+ * 6) riders, bags, tip_percent: The numbers of riders and bags and the tip
+ *    percentage (defaults: 1, 0 and 0).
+ *
+ * Trips are routed through the OSRM-style router and Nominatim-style geocoder
+ * in xml/strings.xml (see routing_providers.js), or those given as options.
+ * The trips are written back (to standard output, or the --output file) in
+ * the same format, with the fare and breakdown columns added, and the
+ * routed_distance_km and routed_duration_min of the trips that were routed
+ * (the input columns are kept as they were).
+ * Addresses are coded with a bias towards the service area, and a trip with a
+ * stop outside it (or a route that passes outside it) has its warning column
+ * filled in, since a different tariff applies there. A trip that can't be
+ * estimated has its error column filled in instead (INVALID_ROW for a JSON
+ * entry that isn't an object), and the other trips are still estimated. A
+ * summary is written to standard error, and the exit status is 1 if any trip
+ * failed.
+ *
+ * Options:
+ *     --output <file>       The file results are written to.
+ *     --format <csv|json>   The output format (default: the input's).
+ *     --service <id>        The default service (default: the first one).
+ *     --date <YYYY-MM-DD>   The default trip date (default: today).
+ *     --route-url <url>     The base URL of the router.
+ *     --geocode-url <url>   The URL of the geocoder.
+ *
+ * The fare is calculated by the fare engine (see fare_engine.js) with the same
+ * tariffs (xml/tariffs.xml) and configurable values (xml/strings.xml) as the
+ * web application, read by the same config reader (see config_reader.js).
+ */
+
+
+var fs = require('fs');
+var path = require('path');
+var FareEngine = require('./fare_engine.js');
+var TariffCatalogue = require('./tariff_catalogue.js');
+var ConfigReader = require('./config_reader.js');
+var RoutingProviders = require('./routing_providers.js');
+
+var RoutingStatus = RoutingProviders.RoutingStatus;
+
+// Directory of the application's XML files.
+var xmlDirectory = path.join(__dirname, '..', 'xml');
+
+// Columns added to each trip, in order.
+var resultColumns = [
+    'fare',
+    'routed_distance_km',
+    'routed_duration_min',
+    'base_fare',
+    'distance_fare',
+    'waiting_fare',
+    'flat_fare',
+    'flat_rate_zone',
+    'passenger_surcharge',
+    'luggage_surcharge',
+    'tolls',
+    'tip',
+    'route',
+    'tariff',
+    'warning',
+    'error'
+];
+
+main(process.argv.slice(2));
+
+
+/**
+ * Reads the trips, estimates their fares one after another and writes them
+ * back along with a summary.
+ *
+ * @param {Array} args Array of the command-line arguments.
+ */
+function main(args) {
+
+    // Options and input file given on the command line.
+    var options;
+
+    // Configurable values, by string ID.
+    var strings;
+
+    // Catalogue of tariffs the fares are calculated with.
+    var tariffCatalogue;
+
+    // Routes the trips.
+    var routingProvider;
+
+    // Trips read, each an associative array of its columns.
+    var trips;
+
+    // Columns of the input, in order.
+    var columns;
+
+    try {
+        options = parseArguments(args);
+        strings = ConfigReader.readStrings(
+            fs.readFileSync(path.join(xmlDirectory, 'strings.xml'), 'utf8')
+        );
+        tariffCatalogue = new TariffCatalogue(ConfigReader.readServices(
+            fs.readFileSync(path.join(xmlDirectory, 'tariffs.xml'), 'utf8')
+        ));
+
+        var input = fs.readFileSync(options.input, 'utf8');
+
+        if (options.inputFormat == 'json') {
+            trips = JSON.parse(input);
+            columns = [];
+
+            if (!Array.isArray(trips)) {
+                throw new Error('The input must be an Array of trips.');
+            }
+
+            trips.filter(isRow).forEach(function(trip) {
+                Object.keys(trip).forEach(function(column) {
+                    if (columns.indexOf(column) < 0) {
+                        columns.push(column);
+                    }
+                });
+            });
+        } else {
+            trips = parseCsv(input);
+            columns = trips.columns;
+        }
+    } catch (error) {
+        console.error(error.message);
+        console.error('Usage: node js/batch_estimate.js [options] ' +
+                '<trips.csv | trips.json> (see js/batch_estimate.js)');
+        process.exit(1);
+    }
+
+    routingProvider = new RoutingProviders.CachingRoutingProvider(
+        new RoutingProviders.TimeoutRoutingProvider(
+            new RoutingProviders.OsrmRoutingProvider(
+                options.routeUrl || strings.routing_osrm_route_url,
+                options.geocodeUrl || strings.routing_osrm_geocode_url,
+                strings.routing_osrm_reverse_geocode_url,
+                requestJson,
+                RoutingProviders.findBounds(
+                    ConfigReader.readAreas(strings.service_area)
+                )
+            ),
+            parseInt(strings.routing_timeout)
+        ),
+        parseInt(strings.routing_cache_size),
+        {
+            geocode: parseInt(strings.routing_cache_geocode_ttl),
+            route: parseInt(strings.routing_cache_route_ttl)
+        },
+        null,
+        ''
+    );
+
+    estimateNext(0);
+
+
+    /**
+     * Estimates the fare of each trip in turn (running recursively), then
+     * writes the results.
+     *
+     * @param {Number} index The index of the trip to estimate next.
+     */
+    function estimateNext(index) {
+        if (index == trips.length) {
+            writeResults(trips, columns.concat(resultColumns.filter(
+                function(column) {
+                    return columns.indexOf(column) < 0;
+                }
+            )), options);
+            process.exit(writeSummary(trips) ? 1 : 0);
+            return;
+        }
+
+        if (!isRow(trips[index])) {
+            trips[index] = {error: 'INVALID_ROW'};
+            estimateNext(index + 1);
+            return;
+        }
+
+        estimateTrip(
+            trips[index],
+            tariffCatalogue,
+            routingProvider,
+            strings,
+            options,
+            function(results) {
+                for (var column in results) {
+                    if (results[column] !== undefined) {
+                        trips[index][column] = results[column];
+                    }
+                }
+
+                // Estimated outside the routing callback (see requestJson()).
+                setImmediate(estimateNext, index + 1);
+            }
+        );
+    }
+}
+
+
+/**
+ * Estimates the fare of the given trip.
+ *
+ * @param {Array} trip An associative array of the trip's columns.
+ * @param {TariffCatalogue} tariffCatalogue The catalogue of tariffs.
+ * @param {Object} routingProvider The routing provider that routes the trip.
+ * @param {Array} strings The configurable values, by string ID.
+ * @param {Array} options The command-line options.
+ * @param {Function} callback Function called with an associative array of the
+ *         result columns (the error column alone if the trip failed).
+ */
+function estimateTrip(
+    trip,
+    tariffCatalogue,
+    routingProvider,
+    strings,
+    options,
+    callback
+) {
+
+    // Free-flow speed, in km/h.
+    var freeFlowSpeed = parseFloat(strings.fare_free_flow_speed);
+
+    // Areas taxis are licensed to serve (e.g. the city and the airport).
+    var serviceArea = ConfigReader.readAreas(strings.service_area);
+
+    // Trip date, as a "YYYY-MM-DD" string.
+    var date = String(trip.date || options.date);
+
+    // Time the trip is routed as leaving at.
+    var departureTime = makeDepartureTime(date);
+
+    // Tariff in effect for the trip's service on its date.
+    var tariff = tariffCatalogue.find(
+        trip.service || options.service ||
+                tariffCatalogue.getServices()[0].id,
+        date
+    );
+
+    // Trip details the fare depends on.
+    var details = {
+        riders: Math.max(1, parseInt(trip.riders) || 1),
+        bags: Math.max(0, parseInt(trip.bags) || 0),
+        tipPercent: Math.max(0, Math.round(parseFloat(trip.tip_percent)) || 0)
+    };
+
+    // Places of the trip, in order.
+    var places;
+
+    if (!departureTime) {
+        callback({error: 'INVALID_DATE'});
+        return;
+    }
+
+    if (!tariff) {
+        callback({error: 'NO_TARIFF'});
+        return;
+    }
+
+    tariff = Object.assign({freeFlowSpeed: freeFlowSpeed}, tariff);
+
+    if (isGiven(trip.distance_km)) {
+        if (!(parseFloat(trip.distance_km) > 0)) {
+            callback({error: 'INVALID_DISTANCE'});
+            return;
+        }
+
+        if (isGiven(trip.duration_min) &&
+                !(parseFloat(trip.duration_min) >= 0)) {
+            callback({error: 'INVALID_DURATION'});
+            return;
+        }
+
+        callback(toResults(
+            FareEngine.estimateRoute(
+                makeRoute(trip, freeFlowSpeed),
+                tariff,
+                details
+            ),
+            tariff
+        ));
+        return;
+    }
+
+    if (!trip.origin || !trip.destination) {
+        callback({error: 'MISSING_ORIGIN_OR_DESTINATION'});
+        return;
+    }
+
+    places = [trip.origin].concat(
+        trip.stops ? String(trip.stops).split('|') : [],
+        [trip.destination]
+    ).map(readPlace);
+
+    routingProvider.route(
+        {
+            origin: places[0],
+            destination: places[places.length - 1],
+            waypoints: places.slice(1, places.length - 1),
+            departureTime: departureTime,
+            alternatives: false
+        },
+        function(status, routes, failedIndex) {
+            if (status == RoutingStatus.NOT_FOUND) {
+                callback({
+                    error: status + ' (place ' + (failedIndex + 1) + ')'
+                });
+                return;
+            }
+
+            if (status != RoutingStatus.OK) {
+                callback({error: status});
+                return;
+            }
+
+            callback(toResults(
+                FareEngine.estimateRoute(routes[0], tariff, details),
+                tariff,
+                routes[0],
+                findWarning(routes[0], serviceArea)
+            ));
+        }
+    );
+}
+
+
+/**
+ * Makes a route from the given trip's known distance and duration.
+ *
+ * @param {Array} trip An associative array of the trip's columns.
+ * @param {Number} freeFlowSpeed The free-flow speed, in km/h.
+ * @return {Array} The route (see routing_providers.js), without a path (so
+ *         no flat rate applies).
+ */
+function makeRoute(trip, freeFlowSpeed) {
+
+    // Trip distance, in km.
+    var distance = parseFloat(trip.distance_km);
+
+    // Trip duration, in seconds.
+    var duration = isGiven(trip.duration_min) ?
+            parseFloat(trip.duration_min) * 60 :
+            distance / freeFlowSpeed * 3600;
+
+    return RoutingProviders.joinLegs(
+        [
+            {
+                distance: distance * 1000,
+                duration: duration,
+                durationInTraffic: null
+            }
+        ],
+        [],
+        trip.route || '',
+        []
+    );
+}
+
+
+/**
+ * Makes the time a trip on the given date is routed as leaving at: the
+ * current time of day on that date (in local time).
+ *
+ * @param {String} date The trip date, as a "YYYY-MM-DD" string.
+ * @return {Date} The departure time, or null if the date isn't valid.
+ */
+function makeDepartureTime(date) {
+
+    // Year, month and day of the date.
+    var match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+
+    // The current time.
+    var now = new Date();
+
+    // The departure time.
+    var departureTime;
+
+    if (!match) {
+        return null;
+    }
+
+    departureTime = new Date(
+        parseInt(match[1], 10),
+        parseInt(match[2], 10) - 1,
+        parseInt(match[3], 10),
+        now.getHours(),
+        now.getMinutes(),
+        now.getSeconds()
+    );
+
+    return ConfigReader.formatDate(departureTime) == date ?
+            departureTime : null;
+}
+
+
+/**
+ * Returns whether the given input entry is a trip row (i.e. an associative
+ * array of columns, as JSON input may have other values).
+ *
+ * @param {Object} trip The input entry.
+ * @return {Boolean} True if the entry is a trip row.
+ */
+function isRow(trip) {
+    return trip !== null && typeof trip == 'object' && !Array.isArray(trip);
+}
+
+
+/**
+ * Returns whether the given column value was given (i.e. it isn't missing or
+ * empty).
+ *
+ * @param {Object} value The column value.
+ * @return {Boolean} True if the value was given.
+ */
+function isGiven(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+
+/**
+ * Finds the warning of a trip that leaves the service area, where a different
+ * tariff applies.
+ *
+ * @param {Array} route The route the trip took.
+ * @param {Array} serviceArea Array of the areas taxis are licensed to serve.
+ * @return {String} "OUT_OF_SERVICE_AREA (place N)" for the first stop outside
+ *         the service area, "ROUTE_LEAVES_SERVICE_AREA" if the stops are all
+ *         inside it but the route isn't, or "" if the trip stays inside it.
+ */
+function findWarning(route, serviceArea) {
+    for (var i = 0; i < route.locations.length; i++) {
+        if (!FareEngine.isInAnyArea(route.locations[i], serviceArea)) {
+            return 'OUT_OF_SERVICE_AREA (place ' + (i + 1) + ')';
+        }
+    }
+
+    return FareEngine.leavesAreas(route.path, serviceArea) ?
+            'ROUTE_LEAVES_SERVICE_AREA' : '';
+}
+
+
+/**
+ * Makes the result columns of the given itemized fare.
+ *
+ * @param {Array} fareBreakdown The itemized fare (see
+ *         FareEngine.addExtras()).
+ * @param {Array} tariff The tariff the fare was calculated with.
+ * @param {Array} route The route the trip took (or undefined if it wasn't
+ *         routed).
+ * @param {String} warning The trip's warning (see findWarning()), or
+ *         undefined if it wasn't routed.
+ * @return {Array} An associative array of the result columns.
+ */
+function toResults(fareBreakdown, tariff, route, warning) {
+    return {
+        fare: formatCents(fareBreakdown.grandTotal),
+        routed_distance_km: route ?
+                (fareBreakdown.distance / 1000).toFixed(3) :
+                undefined,
+        routed_duration_min: route ?
+                ((route.durationInTraffic !== null ?
+                        route.durationInTraffic : route.duration) / 60)
+                        .toFixed(1) :
+                undefined,
+        base_fare: formatCents(fareBreakdown.baseFare),
+        distance_fare: formatCents(fareBreakdown.distanceFare),
+        waiting_fare: formatCents(fareBreakdown.waitingFare),
+        flat_fare: formatCents(fareBreakdown.flatFare),
+        flat_rate_zone: fareBreakdown.flatRateZone || '',
+        passenger_surcharge: formatCents(fareBreakdown.passengerSurcharge),
+        luggage_surcharge: formatCents(fareBreakdown.luggageSurcharge),
+        tolls: formatCents(fareBreakdown.tollFare),
+        tip: formatCents(fareBreakdown.tip),
+        route: route ? route.summary : undefined,
+        tariff: tariff.id,
+        warning: warning || '',
+        error: ''
+    };
+}
+
+
+/**
+ * Writes the trips and their results in the output format.
+ *
+ * @param {Array} trips Array of the trips, each an associative array of its
+ *         columns.
+ * @param {Array} columns Array of the columns to write, in order.
+ * @param {Array} options The command-line options.
+ */
+function writeResults(trips, columns, options) {
+
+    // The results, formatted.
+    var output = options.outputFormat == 'json' ?
+            JSON.stringify(trips, columns, 2) + '\n' :
+            formatCsv(trips, columns);
+
+    if (options.output) {
+        fs.writeFileSync(options.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+
+/**
+ * Writes a summary of the results to standard error: the numbers of trips
+ * estimated and failed and the total and average fares.
+ *
+ * @param {Array} trips Array of the trips and their results.
+ * @return {Number} The number of trips that failed.
+ */
+function writeSummary(trips) {
+
+    // Trips that failed.
+    var failed = trips.filter(function(trip) {
+        return trip.error;
+    });
+
+    // Total of the fares estimated, in cents.
+    var total = 0;
+
+    trips.forEach(function(trip) {
+        if (!trip.error) {
+            total += FareEngine.toCents(parseFloat(trip.fare));
+        }
+    });
+
+    console.error('Trips: ' + trips.length);
+    console.error('Estimated: ' + (trips.length - failed.length));
+    console.error('Failed: ' + failed.length);
+    console.error('Outside the service area: ' + trips.filter(function(trip) {
+        return trip.warning;
+    }).length);
+    console.error('Total fare: ' + formatCents(total));
+    console.error('Average fare: ' + formatCents(
+        trips.length > failed.length ?
+                Math.round(total / (trips.length - failed.length)) : 0
+    ));
+
+    failed.forEach(function(trip) {
+        console.error('  Row ' + (trips.indexOf(trip) + 1) + ': ' + trip.error);
+    });
+
+    return failed.length;
+}
+
+
+/**
+ * Parses the command-line arguments.
+ *
+ * @param {Array} args Array of the command-line arguments.
+ * @return {Array} An associative array of the options and input file.
+ */
+function parseArguments(args) {
+    var options = {date: ConfigReader.formatDate(new Date())};
+
+    // Option names, by command-line flag.
+    var flags = {
+        '--output': 'output',
+        '--format': 'outputFormat',
+        '--service': 'service',
+        '--date': 'date',
+        '--route-url': 'routeUrl',
+        '--geocode-url': 'geocodeUrl'
+    };
+
+    for (var i = 0; i < args.length; i++) {
+        if (flags[args[i]]) {
+            if (i + 1 == args.length) {
+                throw new Error('Missing value for ' + args[i] + '.');
+            }
+
+            options[flags[args[i]]] = args[++i];
+        } else if (args[i].charAt(0) == '-') {
+            throw new Error('Unknown option ' + args[i] + '.');
+        } else {
+            options.input = args[i];
+        }
+    }
+
+    if (!options.input) {
+        throw new Error('No input file given.');
+    }
+
+    options.inputFormat =
+            path.extname(options.input).toLowerCase() == '.json' ?
+            'json' : 'csv';
+    options.outputFormat = options.outputFormat || options.inputFormat;
+
+    return options;
+}
+
+
+/**
+ * Reads a trip place: a "lat,lng" location or an address.
+ *
+ * @param {String} place The place.
+ * @return {Object} The {lat, lng} location, or the address String.
+ */
+function readPlace(place) {
+    place = String(place).trim();
+
+    return /^-?\d+(\.\d+)?\s*,\s*-?\d+(\.\d+)?$/.test(place) ?
+            ConfigReader.readLocation(place) : place;
+}
+
+
+/**
+ * Parses CSV text with a header row. Fields may be quoted (with quotes inside
+ * them doubled).
+ *
+ * @param {String} text The CSV text.
+ * @return {Array} Array of the rows, each an associative array of its fields
+ *         by column, with a columns property listing the columns in order.
+ */
+function parseCsv(text) {
+
+    // Rows read, each an Array of fields.
+    var rows = [[]];
+
+    // Field being read.
+    var field = '';
+
+    // True while inside a quoted field.
+    var quoted = false;
+
+    // Rows as associative arrays.
+    var records;
+
+    for (var i = 0; i < text.length; i++) {
+        var character = text.charAt(i);
+
+        if (quoted) {
+            if (character == '"' && text.charAt(i + 1) == '"') {
+                field += '"';
+                i++;
+            } else if (character == '"') {
+                quoted = false;
+            } else {
+                field += character;
+            }
+        } else if (character == '"') {
+            quoted = true;
+        } else if (character == ',') {
+            rows[rows.length - 1].push(field);
+            field = '';
+        } else if (character == '\n' || character == '\r') {
+            rows[rows.length - 1].push(field);
+            field = '';
+            rows.push([]);
+
+            if (character == '\r' && text.charAt(i + 1) == '\n') {
+                i++;
+            }
+        } else {
+            field += character;
+        }
+    }
+
+    rows[rows.length - 1].push(field);
+
+    rows = rows.filter(function(row) {
+        return row.join('') !== '';
+    });
+
+    if (!rows.length) {
+        throw new Error('The input has no header row.');
+    }
+
+    records = rows.slice(1).map(function(row) {
+        var record = {};
+
+        rows[0].forEach(function(column, index) {
+            record[column.trim()] = row[index] !== undefined ? row[index] : '';
+        });
+
+        return record;
+    });
+
+    records.columns = rows[0].map(function(column) {
+        return column.trim();
+    });
+
+    return records;
+}
+
+
+/**
+ * Formats the given rows as CSV text with a header row.
+ *
+ * @param {Array} rows Array of the rows, each an associative array of its
+ *         fields by column.
+ * @param {Array} columns Array of the columns, in order.
+ * @return {String} The CSV text.
+ */
+function formatCsv(rows, columns) {
+    return [columns].concat(rows.map(function(row) {
+        return columns.map(function(column) {
+            return row[column] === undefined ? '' : row[column];
+        });
+    })).map(function(fields) {
+        return fields.map(function(value) {
+            value = String(value);
+
+            return /[",\r\n]/.test(value) ?
+                    '"' + value.replace(/"/g, '""') + '"' : value;
+        }).join(',');
+    }).join('\n') + '\n';
+}
+
+
+/**
+ * Makes a GET request for JSON (see OsrmRoutingProvider).
+ *
+ * @param {String} url The URL to request.
+ * @param {Function} success Function passed the parsed JSON response.
+ * @param {Function} failure Function called (once) if the request fails: it
+ *         has a status other than 2xx, or its response isn't JSON, or success
+ *         throws reading it (e.g. a response of an unexpected form).
+ */
+function requestJson(url, success, failure) {
+
+    // True once failure has been called.
+    var failed = false;
+
+    /**
+     * Calls failure, unless it has been called already.
+     */
+    function fail() {
+        if (!failed) {
+            failed = true;
+            failure();
+        }
+    }
+
+    require(url.indexOf('https:') == 0 ? 'https' : 'http').get(
+        url,
+        {headers: {'User-Agent': 'taxi-fare-finder-batch-estimate'}},
+        function(response) {
+            var body = '';
+
+            if (response.statusCode < 200 || response.statusCode >= 300) {
+                response.resume();
+                fail();
+                return;
+            }
+
+            response.setEncoding('utf8');
+            response.on('data', function(chunk) {
+                body += chunk;
+            });
+            response.on('error', fail);
+            response.on('end', function() {
+                var parsed;
+
+                try {
+                    parsed = JSON.parse(body);
+                } catch (error) {
+                    fail();
+                    return;
+                }
+
+                try {
+                    success(parsed);
+                } catch (error) {
+                    fail();
+                }
+            });
+        }
+    ).on('error', fail);
+}
+
+
+/**
+ * Formats the given amount of cents as dollars and cents (e.g. "12.50").
+ *
+ * @param {Number} cents The amount, in cents.
+ * @return {String} The formatted amount.
+ */
+function formatCents(cents) {
+    return FareEngine.formatCents(cents, '');
+}
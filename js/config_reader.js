@@ -0,0 +1,265 @@
+/**
+ * The config reader reads the application's XML files (xml/strings.xml and
+ * xml/tariffs.xml) and the values in them: areas of "lat,lng" points, and
+ * dates. It is shared by the web application and the batch estimator
+ * (js/batch_estimate.js), so that both read the files the same way.
+ *
+ * The reader has no dependencies on the DOM or jQuery, so it can be used from
+ * both the browser and Node. It reads the XML as text, and only supports what
+ * the application's files use: elements of the same name aren't nested, and
+ * values may be escaped with entities or wrapped in CDATA sections.
+ */
+var ConfigReader = {
+
+    /**
+     * Reads the configurable values of a strings file (e.g. xml/strings.xml).
+     *
+     * @param {String} xml The XML.
+     * @return {Array} An associative array of the values, by string ID.
+     */
+    readStrings: function(xml) {
+        var strings = {};
+
+        ConfigReader.findElements(xml, 'string').forEach(function(string) {
+            strings[string.attributes.id] =
+                    ConfigReader.decodeText(string.content);
+        });
+
+        return strings;
+    },
+
+
+    /**
+     * Reads the services of the tariff catalogue (xml/tariffs.xml).
+     *
+     * @param {String} xml The XML.
+     * @return {Array} Array of the services, as a TariffCatalogue is made of
+     *         (see tariff_catalogue.js).
+     */
+    readServices: function(xml) {
+        return ConfigReader.findElements(xml, 'service').map(
+            function(service) {
+                return {
+                    id: service.attributes.id,
+                    name: service.attributes.name,
+                    tariffs: ConfigReader.findElements(
+                        service.content,
+                        'tariff'
+                    ).map(ConfigReader.readTariff)
+                };
+            }
+        );
+    },
+
+
+    /**
+     * Reads a tariff element of the tariff catalogue. Rates that aren't given
+     * default to 0, except the number of free passengers (null, for all of
+     * them).
+     *
+     * @param {Array} element The tariff element (see findElements()).
+     * @return {Array} The tariff (see TariffCatalogue).
+     */
+    readTariff: function(element) {
+
+        // Rates of the tariff, by rate ID.
+        var rates = {};
+
+        // Airport area element (if any).
+        var airport = ConfigReader.findElements(element.content, 'airport')[0];
+
+        ConfigReader.findElements(element.content, 'rate').forEach(
+            function(rate) {
+                rates[rate.attributes.id] =
+                        parseFloat(ConfigReader.decodeText(rate.content));
+            }
+        );
+
+        return {
+            id: element.attributes.id,
+            effective: element.attributes.effective,
+            baseRate: rates.base_rate,
+            distanceUnit: rates.distance_unit,
+            ratePerDistanceUnit: rates.rate_per_distance_unit,
+            waitingTimeRate: rates.waiting_time_rate,
+            waitingTimeUnit: rates.waiting_time_unit,
+            freePassengers: rates.hasOwnProperty('free_passengers') ?
+                    rates.free_passengers : null,
+            extraPassengerRate: rates.extra_passenger_rate || 0,
+            luggageRate: rates.luggage_rate || 0,
+            tolls: ConfigReader.findElements(element.content, 'toll').map(
+                function(toll) {
+                    return {
+                        name: toll.attributes.name,
+                        match: toll.attributes.match,
+                        charge: parseFloat(toll.attributes.charge)
+                    };
+                }
+            ),
+            airport: airport ?
+                    ConfigReader.readArea(
+                        ConfigReader.decodeText(airport.content)
+                    ) :
+                    null,
+            zones: ConfigReader.findElements(element.content, 'zone').map(
+                function(zone) {
+                    return {
+                        name: zone.attributes.name,
+                        fare: parseFloat(zone.attributes.fare),
+                        area: ConfigReader.readArea(
+                            ConfigReader.decodeText(zone.content)
+                        )
+                    };
+                }
+            )
+        };
+    },
+
+
+    /**
+     * Finds the elements of the given name in the given XML. Elements of the
+     * same name mustn't be nested (true of the application's XML files).
+     *
+     * @param {String} xml The XML.
+     * @param {String} name The element name.
+     * @return {Array} Array of the elements, each of the form {attributes:
+     *         Array, content: String}, where the attribute values are decoded
+     *         and the content is as written (see decodeText()).
+     */
+    findElements: function(xml, name) {
+        var elements = [];
+
+        // Matches an element, capturing its attributes and content.
+        var pattern = new RegExp(
+            '<' + name + '\\b([^>]*?)(?:/>|>([\\s\\S]*?)</' + name + '>)',
+            'g'
+        );
+
+        // Matches an attribute, capturing its name and value.
+        var attributePattern = /([\w-]+)="([^"]*)"/g;
+
+        for (var match = pattern.exec(xml); match; match = pattern.exec(xml)) {
+            var attributes = {};
+
+            for (var attribute = attributePattern.exec(match[1]); attribute;
+                    attribute = attributePattern.exec(match[1])) {
+                attributes[attribute[1]] = ConfigReader.decodeXml(attribute[2]);
+            }
+
+            elements.push({attributes: attributes, content: match[2] || ''});
+        }
+
+        return elements;
+    },
+
+
+    /**
+     * Decodes the text content of an element: CDATA sections are taken as
+     * they are, and the entities in the rest are decoded.
+     *
+     * @param {String} content The element content.
+     * @return {String} The text.
+     */
+    decodeText: function(content) {
+
+        // Matches a CDATA section, capturing its text.
+        var pattern = /<!\[CDATA\[([\s\S]*?)\]\]>/g;
+
+        // The text decoded so far.
+        var text = '';
+
+        // Index of the content after the last CDATA section.
+        var index = 0;
+
+        for (var match = pattern.exec(content); match;
+                match = pattern.exec(content)) {
+            text += ConfigReader.decodeXml(
+                content.slice(index, match.index)
+            ) + match[1];
+            index = pattern.lastIndex;
+        }
+
+        return text + ConfigReader.decodeXml(content.slice(index));
+    },
+
+
+    /**
+     * Decodes the entities in the given XML text.
+     *
+     * @param {String} text The XML text.
+     * @return {String} The decoded text.
+     */
+    decodeXml: function(text) {
+        return text
+                .replace(/&#x([0-9a-f]+);/gi, function(entity, code) {
+                    return String.fromCharCode(parseInt(code, 16));
+                })
+                .replace(/&#(\d+);/g, function(entity, code) {
+                    return String.fromCharCode(parseInt(code, 10));
+                })
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/&quot;/g, '"')
+                .replace(/&apos;/g, '\'')
+                .replace(/&amp;/g, '&');
+    },
+
+
+    /**
+     * Reads an area from a space-separated list of "lat,lng" points.
+     *
+     * @param {String} points The points outlining the area.
+     * @return {Array} Array of {lat, lng} points outlining the area.
+     */
+    readArea: function(points) {
+        return points.trim().split(/\s+/).map(ConfigReader.readLocation);
+    },
+
+
+    /**
+     * Reads a list of areas, separated by ";" (see readArea()).
+     *
+     * @param {String} areas The areas.
+     * @return {Array} Array of the areas, each an Array of {lat, lng} points.
+     */
+    readAreas: function(areas) {
+        return areas.trim().split(/\s*;\s*/).map(ConfigReader.readArea);
+    },
+
+
+    /**
+     * Reads a "lat,lng" location.
+     *
+     * @param {String} point The location.
+     * @return {Array} The {lat, lng} location.
+     */
+    readLocation: function(point) {
+        return {
+            lat: parseFloat(point.split(',')[0]),
+            lng: parseFloat(point.split(',')[1])
+        };
+    },
+
+
+    /**
+     * Formats the given date as a "YYYY-MM-DD" string (in local time), as trip
+     * and tariff dates are written.
+     *
+     * @param {Date} date The date to format.
+     * @return {String} The formatted date.
+     */
+    formatDate: function(date) {
+        var month = date.getMonth() + 1;
+        var day = date.getDate();
+
+        return date.getFullYear() + '-' +
+                (month < 10 ? '0' : '') + month + '-' +
+                (day < 10 ? '0' : '') + day;
+    }
+};
+
+
+// Make the config reader available to Node.
+if (typeof module != 'undefined' && module.exports) {
+    module.exports = ConfigReader;
+}
@@ -0,0 +1,731 @@
+/**
+ * The fare engine computes an itemized taxi fare estimate from a route
+ * distance, a route duration and a tariff (applying the tariff's flat rate
+ * instead if the trip is between its airport area and one of its flat-rate
+ * zones). All money is handled as integer cents, distances as integer meters
+ * and times as integer seconds, so that the result matches the meter to the
+ * cent.
+ *
+ * The engine has no dependencies on the DOM, jQuery or the Google Maps API, so
+ * it can be used from both the browser and Node.
+ */
+var FareEngine = {
+
+    // Mean radius of the Earth, in meters.
+    earthRadius: 6371000,
+
+    /**
+     * Estimates the fare for a taxi route.
+     *
+     * @param {Number} distance The route distance, in km.
+     * @param {Number} duration The expected route duration in traffic, in
+     *         seconds.
+     * @param {Array} tariff An associative array of values used to calculate
+     *         the taxi fare. Includes:
+     *         1) baseRate: The base fare (in dollars) for the first unit of
+     *                    distance travelled by taxi.
+     *         2) distanceUnit: The unit of distance (in km) to which the rate
+     *                    per distance unit applies.
+     *         3) ratePerDistanceUnit: The fare rate (in dollars) charged per
+     *                    distance unit travelled by taxi.
+     *         4) waitingTimeRate: The fare rate (in dollars) charged per
+     *                    waiting time unit.
+     *         5) waitingTimeUnit: The unit of waiting time (in seconds) to
+     *                    which the waiting time rate applies.
+     *         6) freeFlowSpeed: The speed (in km/h) a taxi travels at in free-
+     *                    flowing traffic. If the route's typical duration
+     *                    isn't given, time spent on the route beyond the time
+     *                    it would take at this speed is charged as waiting
+     *                    time.
+     *         7) airport: The airport area (an Array of {lat, lng} points), or
+     *                    null if the tariff has no flat rates (optional).
+     *         8) zones: Array of flat-rate zones, each of the form
+     *                    {name: String, fare: Number, area: Array} (optional).
+     * @param {Array} endpoints An associative array of the {lat, lng} route
+     *         origin and destination, used to find a flat rate (optional).
+     * @param {Number} typicalDuration The route's typical duration without
+     *         traffic delays, in seconds, when the duration is its duration
+     *         in traffic (optional). Time spent on the route beyond it is
+     *         charged as waiting time.
+     * @return {Array} An associative array itemizing the fare. Includes:
+     *         1) distance: The route distance, in meters.
+     *         2) waitingTime: The time spent on the route beyond its free-flow
+     *                    duration, in seconds.
+     *         3) baseFare: The base fare, in cents.
+     *         4) distanceFare: The charge for distance travelled beyond the
+     *                    first distance unit, in cents.
+     *         5) waitingFare: The charge for waiting time, in cents.
+     *         6) flatFare: The flat rate charged, in cents.
+     *         7) flatRateZone: The name of the flat-rate zone, or null if the
+     *                    fare is metered.
+     *         8) totalFare: The total fare, in cents.
+     */
+    estimate: function(distance, duration, tariff, endpoints, typicalDuration) {
+
+        // Route distance and distance unit, in meters.
+        var distanceMeters = Math.round(distance * 1000);
+        var unitMeters = Math.round(tariff.distanceUnit * 1000);
+
+        // Distance units started beyond the first (which the base fare covers).
+        var distanceUnits = Math.max(
+            0,
+            Math.ceil((distanceMeters - unitMeters) / unitMeters)
+        );
+
+        // Time the route would take in free-flowing traffic, in seconds: its
+        // typical duration if known, or else its time at the free-flow speed.
+        var freeFlowDuration = typicalDuration != null ? typicalDuration :
+                distanceMeters / 1000 / tariff.freeFlowSpeed * 3600;
+
+        // Time spent on the route beyond its free-flow duration, in seconds.
+        var waitingTime = Math.max(0, Math.round(duration - freeFlowDuration));
+
+        // Waiting time units completed (the meter charges each one at its end).
+        var waitingUnits = Math.floor(waitingTime / tariff.waitingTimeUnit);
+
+        // Flat-rate zone the trip is charged by (if any).
+        var zone = endpoints ? FareEngine.findFlatRateZone(
+            tariff,
+            endpoints.origin,
+            endpoints.destination
+        ) : null;
+
+        if (zone) {
+            return {
+                distance: distanceMeters,
+                waitingTime: waitingTime,
+                baseFare: 0,
+                distanceFare: 0,
+                waitingFare: 0,
+                flatFare: FareEngine.toCents(zone.fare),
+                flatRateZone: zone.name,
+                totalFare: FareEngine.toCents(zone.fare)
+            };
+        }
+
+        var baseFare = FareEngine.toCents(tariff.baseRate);
+        var distanceFare = distanceUnits *
+                FareEngine.toCents(tariff.ratePerDistanceUnit);
+        var waitingFare = waitingUnits *
+                FareEngine.toCents(tariff.waitingTimeRate);
+
+        return {
+            distance: distanceMeters,
+            waitingTime: waitingTime,
+            baseFare: baseFare,
+            distanceFare: distanceFare,
+            waitingFare: waitingFare,
+            flatFare: 0,
+            flatRateZone: null,
+            totalFare: baseFare + distanceFare + waitingFare
+        };
+    },
+
+
+    /**
+     * Adds the surcharges, tolls and tip of a trip to its itemized fare.
+     * Extra passengers are charged for each rider beyond the tariff's free
+     * passengers, and luggage for each bag. A toll road's charge applies if
+     * the route summary names it (see namesRoad()); it is a flat estimate of
+     * the toll for a typical trip on the road, since the actual toll depends
+     * on the distance driven on it and the time of day. The tip is a
+     * percentage of the fare and surcharges (not of the tolls).
+     *
+     * @param {Array} fareBreakdown The itemized fare (see estimate()).
+     * @param {Array} tariff The tariff (see estimate()), which may also
+     *         include (all optional):
+     *         1) freePassengers: The number of riders the fare covers (if
+     *                    null, it covers all of them).
+     *         2) extraPassengerRate: The charge (in dollars) for each rider
+     *                    beyond the free passengers.
+     *         3) luggageRate: The charge (in dollars) for each bag.
+     *         4) tolls: Array of toll roads, each of the form {name: String,
+     *                    match: String, charge: Number}, where match is the
+     *                    road's names in route summaries (see namesRoad())
+     *                    and charge is the flat toll (in dollars) for a trip
+     *                    on it.
+     * @param {Array} trip An associative array of the trip. Includes:
+     *         1) riders: The number of riders.
+     *         2) bags: The number of bags.
+     *         3) summary: The route summary (see routing_providers.js).
+     *         4) tipPercent: The tip, as a percentage.
+     * @return {Array} A copy of the itemized fare, also including:
+     *         1) passengerSurcharge: The extra passenger charge, in cents.
+     *         2) luggageSurcharge: The luggage charge, in cents.
+     *         3) tolls: Array of the tolls charged, each of the form
+     *                    {name: String, fare: Number (in cents)}.
+     *         4) tollFare: The total of the tolls, in cents.
+     *         5) tip: The tip, in cents.
+     *         6) grandTotal: The total fare plus the surcharges, tolls and
+     *                    tip, in cents.
+     */
+    addExtras: function(fareBreakdown, tariff, trip) {
+
+        // Riders beyond those the fare covers.
+        var extraPassengers = tariff.freePassengers == null ? 0 :
+                Math.max(0, trip.riders - tariff.freePassengers);
+
+        // Tolls charged.
+        var tolls = [];
+
+        var extras = {
+            passengerSurcharge: extraPassengers *
+                    FareEngine.toCents(tariff.extraPassengerRate || 0),
+            luggageSurcharge: trip.bags *
+                    FareEngine.toCents(tariff.luggageRate || 0),
+            tolls: tolls,
+            tollFare: 0
+        };
+
+        for (var i = 0; i < (tariff.tolls || []).length; i++) {
+            if (FareEngine.namesRoad(trip.summary, tariff.tolls[i].match)) {
+                tolls.push({
+                    name: tariff.tolls[i].name,
+                    fare: FareEngine.toCents(tariff.tolls[i].charge)
+                });
+
+                extras.tollFare += tolls[tolls.length - 1].fare;
+            }
+        }
+
+        extras.tip = Math.round((fareBreakdown.totalFare +
+                extras.passengerSurcharge + extras.luggageSurcharge) *
+                trip.tipPercent / 100);
+
+        extras.grandTotal = fareBreakdown.totalFare +
+                extras.passengerSurcharge + extras.luggageSurcharge +
+                extras.tollFare + extras.tip;
+
+        for (var key in fareBreakdown) {
+            if (fareBreakdown.hasOwnProperty(key)) {
+                extras[key] = fareBreakdown[key];
+            }
+        }
+
+        return extras;
+    },
+
+
+    /**
+     * Checks if the given route summary names a road: if any of the road's
+     * names appears in it as whole words (ignoring case), so that e.g.
+     * "Hwy 407 ETR" names the road "407 ETR|Hwy 407", but "407 Bloor St W" and
+     * "Hwy 4070" don't.
+     *
+     * @param {String} summary The route summary (see routing_providers.js).
+     * @param {String} names The road's names, separated by "|".
+     * @return {Boolean} True if the summary names the road.
+     */
+    namesRoad: function(summary, names) {
+        var roads = names.split('|');
+
+        for (var i = 0; i < roads.length; i++) {
+
+            // The name, with its regular expression characters escaped.
+            var name = roads[i].replace(/^\s+|\s+$/g, '')
+                    .replace(/[.*+?^${}()|[\]\\\/-]/g, '\\$&');
+
+            if (name && new RegExp(
+                '(^|[^0-9a-z])' + name + '($|[^0-9a-z])',
+                'i'
+            ).test(summary)) {
+                return true;
+            }
+        }
+
+        return false;
+    },
+
+
+    /**
+     * Estimates the fare of a taxi route found by a routing provider (see
+     * routing_providers.js), including its surcharges, tolls and tip. If the
+     * route's duration in traffic is known, the time it takes beyond its
+     * typical duration is charged as waiting time; otherwise its typical
+     * duration is compared with the tariff's free-flow speed. Flat rates only
+     * apply to routes without stops (and with a path).
+     *
+     * @param {Array} route The route.
+     * @param {Array} tariff The tariff (see estimate() and addExtras()).
+     * @param {Array} trip The trip (see addExtras()). Its summary is the
+     *         route's.
+     * @return {Array} The itemized fare (see addExtras()).
+     */
+    estimateRoute: function(route, tariff, trip) {
+        return FareEngine.addExtras(
+            FareEngine.estimate(
+                route.distance / 1000,
+                route.durationInTraffic !== null ?
+                        route.durationInTraffic : route.duration,
+                tariff,
+                route.legs.length == 1 && route.path.length ? {
+                    origin: route.path[0],
+                    destination: route.path[route.path.length - 1]
+                } : null,
+                route.durationInTraffic !== null ? route.duration : null
+            ),
+            tariff,
+            {
+                riders: trip.riders,
+                bags: trip.bags,
+                summary: route.summary,
+                tipPercent: trip.tipPercent
+            }
+        );
+    },
+
+
+    /**
+     * Makes a copy of the given route whose duration in traffic, and that of
+     * each of its legs, is its expected duration (see estimateRoute()) scaled
+     * by the given factor (e.g. to estimate the route in heavier traffic).
+     *
+     * @param {Array} route The route (see routing_providers.js).
+     * @param {Number} factor The factor the expected duration is scaled by.
+     * @return {Array} The copy of the route.
+     */
+    scaleDuration: function(route, factor) {
+
+        // The copy of the route.
+        var scaled = {};
+
+        for (var key in route) {
+            if (route.hasOwnProperty(key)) {
+                scaled[key] = route[key];
+            }
+        }
+
+        scaled.durationInTraffic = Math.round(factor *
+                (route.durationInTraffic !== null ?
+                route.durationInTraffic : route.duration));
+        scaled.legs = [];
+
+        for (var i = 0; i < route.legs.length; i++) {
+            scaled.legs.push({
+                distance: route.legs[i].distance,
+                duration: route.legs[i].duration,
+                durationInTraffic: Math.round(factor *
+                        (route.legs[i].durationInTraffic !== null ?
+                        route.legs[i].durationInTraffic :
+                        route.legs[i].duration))
+            });
+        }
+
+        return scaled;
+    },
+
+
+    /**
+     * Estimates the grand total of the given route's fare for a departure at
+     * each hour of the day, from a traffic profile: how long a trip takes at
+     * each hour relative to its typical duration. The route's expected
+     * duration is taken to be its duration at the given departure hour, and
+     * is scaled by the profile for the other hours.
+     *
+     * @param {Array} route The route (see routing_providers.js).
+     * @param {Array} tariff The tariff (see estimateRoute()).
+     * @param {Array} trip The trip (see estimateRoute()).
+     * @param {Array} trafficProfile Array of the 24 duration factors, one per
+     *         hour from midnight.
+     * @param {Number} hour The departure hour of the route (0 to 23).
+     * @return {Array} Array of the 24 grand totals, in cents, one per
+     *         departure hour from midnight.
+     */
+    estimateByHour: function(route, tariff, trip, trafficProfile, hour) {
+
+        // Grand totals, in cents.
+        var fares = [];
+
+        for (var i = 0; i < 24; i++) {
+            fares.push(FareEngine.estimateRoute(
+                FareEngine.scaleDuration(
+                    route,
+                    trafficProfile[i] / trafficProfile[hour]
+                ),
+                tariff,
+                trip
+            ).grandTotal);
+        }
+
+        return fares;
+    },
+
+
+    /**
+     * Finds the longest trip the given budget pays for, by inverting the
+     * meter: the base fare covers the first distance unit, and each further
+     * unit started costs the rate per distance unit. The budget must also
+     * cover the trip's surcharges and tip, and the waiting time of a trip
+     * that takes the given factor of its free-flow duration. Flat rates and
+     * tolls aren't counted, since the trip's end and roads aren't known.
+     *
+     * @param {Number} budget The budget, in cents.
+     * @param {Array} tariff The tariff (see estimate() and addExtras()).
+     * @param {Array} trip The trip (see addExtras()), without a summary.
+     * @param {Number} durationFactor The factor of its free-flow duration
+     *         the trip takes (e.g. 1.5 in heavy traffic; optional, 1 if not
+     *         given).
+     * @return {Number} The longest distance the budget pays for, in meters (0
+     *         if it doesn't cover the base fare).
+     */
+    maxDistance: function(budget, tariff, trip, durationFactor) {
+
+        // Distance unit, in meters.
+        var unitMeters = Math.round(tariff.distanceUnit * 1000);
+
+        // Most distance units beyond the first that the budget could pay for
+        // (found by a binary search between the most it pays for without the
+        // surcharges, tip and waiting time, and none).
+        var low = -1;
+        var high = Math.floor(
+            (budget - FareEngine.toCents(tariff.baseRate)) /
+            FareEngine.toCents(tariff.ratePerDistanceUnit)
+        );
+
+        while (low < high) {
+
+            // Distance units tried, and the distance they cover, in km.
+            var units = Math.ceil((low + high) / 2);
+            var distance = (units + 1) * unitMeters / 1000;
+
+            var grandTotal = FareEngine.addExtras(
+                FareEngine.estimate(
+                    distance,
+                    distance / tariff.freeFlowSpeed * 3600 *
+                            (durationFactor || 1),
+                    tariff
+                ),
+                tariff,
+                {
+                    riders: trip.riders,
+                    bags: trip.bags,
+                    summary: '',
+                    tipPercent: trip.tipPercent
+                }
+            ).grandTotal;
+
+            if (grandTotal <= budget) {
+                low = units;
+            } else {
+                high = units - 1;
+            }
+        }
+
+        return (low + 1) * unitMeters;
+    },
+
+
+    /**
+     * Estimates the fare of each leg of a multi-stop taxi route. The meter runs
+     * for the whole trip, so each leg's fare is the increase in the metered
+     * fare from the start of the leg to its end (the first leg includes the
+     * base fare). Flat rates don't apply to multi-stop trips.
+     *
+     * @param {Array} legs Array of the route legs, each an associative array
+     *         of the leg distance (in km), its expected duration in traffic
+     *         and its typical duration (in seconds, or null if the duration
+     *         isn't in traffic; see estimate()), of the form
+     *         {distance: Number, duration: Number, typicalDuration: Number}.
+     * @param {Array} tariff The tariff (see estimate()).
+     * @return {Array} Array of the leg fares, in cents. They add up to the
+     *         metered fare of the whole route.
+     */
+    estimateLegs: function(legs, tariff) {
+
+        // Leg fares, in cents.
+        var legFares = [];
+
+        // Distance, duration and typical duration travelled by the end of the
+        // current leg.
+        var distance = 0;
+        var duration = 0;
+        var typicalDuration = 0;
+
+        // Metered fare at the end of the previous leg, in cents.
+        var previousFare = 0;
+
+        for (var i = 0; i < legs.length; i++) {
+            distance += legs[i].distance;
+            duration += legs[i].duration;
+            typicalDuration = legs[i].typicalDuration != null &&
+                    typicalDuration !== null ?
+                    typicalDuration + legs[i].typicalDuration : null;
+
+            var fare = FareEngine.estimate(
+                distance,
+                duration,
+                tariff,
+                null,
+                typicalDuration
+            ).totalFare;
+
+            legFares.push(fare - previousFare);
+            previousFare = fare;
+        }
+
+        return legFares;
+    },
+
+
+    /**
+     * Splits the fare of a multi-stop taxi route among its riders. Each leg's
+     * fare is shared equally by the riders in the taxi during that leg, so a
+     * rider dropped off early pays less than one riding to the end. Riders
+     * are numbered in drop-off order. Cents that can't be shared equally go to
+     * the riders who stay in the taxi longest.
+     *
+     * @param {Array} legFares Array of the leg fares, in cents (see
+     *         estimateLegs()).
+     * @param {Array} dropOffs Array of the number of riders dropped off at the
+     *         end of each leg. Every rider must be dropped off by the end of
+     *         the last leg, and no leg may be left without riders.
+     * @return {Array} Array of the amount each rider owes, in cents. The
+     *         amounts add up to the total of the leg fares.
+     * @throws {Error} If there isn't a drop-off count for each leg, or a leg
+     *         has no riders to pay its fare.
+     */
+    splitFare: function(legFares, dropOffs) {
+
+        // Number of riders.
+        var riders = 0;
+
+        // Amount each rider owes, in cents.
+        var shares = [];
+
+        // Number of the first rider still in the taxi.
+        var firstInTaxi = 0;
+
+        if (dropOffs.length != legFares.length) {
+            throw new Error('There must be a drop-off count for each leg.');
+        }
+
+        for (var i = 0; i < dropOffs.length; i++) {
+            riders += dropOffs[i];
+        }
+
+        for (var j = 0; j < riders; j++) {
+            shares.push(0);
+        }
+
+        for (var k = 0; k < legFares.length; k++) {
+
+            // Riders in the taxi during this leg.
+            var inTaxi = riders - firstInTaxi;
+
+            if (inTaxi <= 0) {
+                throw new Error('Leg ' + (k + 1) + ' has no riders.');
+            }
+
+            // Equal share of this leg's fare, and the cents left over.
+            var share = Math.floor(legFares[k] / inTaxi);
+            var remainder = legFares[k] - share * inTaxi;
+
+            for (var rider = firstInTaxi; rider < riders; rider++) {
+                shares[rider] += share + (riders - rider <= remainder ? 1 : 0);
+            }
+
+            firstInTaxi += dropOffs[k];
+        }
+
+        return shares;
+    },
+
+
+    /**
+     * Finds the flat-rate zone of the given tariff that a trip between the
+     * given origin and destination is charged by. A flat rate applies when one
+     * end of the trip is in the tariff's airport area and the other is in one
+     * of its zones.
+     *
+     * @param {Array} tariff The tariff (see estimate()).
+     * @param {Array} origin The {lat, lng} route origin.
+     * @param {Array} destination The {lat, lng} route destination.
+     * @return {Array} The flat-rate zone, or null if the trip is metered.
+     */
+    findFlatRateZone: function(tariff, origin, destination) {
+
+        // The end of the trip away from the airport.
+        var otherEnd;
+
+        if (!tariff.airport || !tariff.zones) {
+            return null;
+        }
+
+        if (FareEngine.isInArea(origin, tariff.airport)) {
+            otherEnd = destination;
+        } else if (FareEngine.isInArea(destination, tariff.airport)) {
+            otherEnd = origin;
+        } else {
+            return null;
+        }
+
+        for (var i = 0; i < tariff.zones.length; i++) {
+            if (FareEngine.isInArea(otherEnd, tariff.zones[i].area)) {
+                return tariff.zones[i];
+            }
+        }
+
+        return null;
+    },
+
+
+    /**
+     * Checks if the given location is inside the given area (by casting a ray
+     * from the location and counting the area edges it crosses).
+     *
+     * @param {Array} location The {lat, lng} location.
+     * @param {Array} area Array of {lat, lng} points outlining the area.
+     * @return {Boolean} True if the location is inside the area.
+     */
+    isInArea: function(location, area) {
+        var inside = false;
+
+        for (var i = 0, j = area.length - 1; i < area.length; j = i++) {
+            if ((area[i].lat > location.lat) != (area[j].lat > location.lat) &&
+                    location.lng < (area[j].lng - area[i].lng) *
+                    (location.lat - area[i].lat) /
+                    (area[j].lat - area[i].lat) + area[i].lng) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    },
+
+
+    /**
+     * Checks if the given location is inside any of the given areas (e.g. the
+     * city and the airport that make up the licensed service area).
+     *
+     * @param {Array} location The {lat, lng} location.
+     * @param {Array} areas Array of areas (see isInArea()).
+     * @return {Boolean} True if the location is inside one of the areas.
+     */
+    isInAnyArea: function(location, areas) {
+        for (var i = 0; i < areas.length; i++) {
+            if (FareEngine.isInArea(location, areas[i])) {
+                return true;
+            }
+        }
+
+        return false;
+    },
+
+
+    /**
+     * Checks if the given route line leaves the given areas at any point
+     * (e.g. a route between two places in the city that takes a highway
+     * outside it).
+     *
+     * @param {Array} path Array of {lat, lng} locations the route line passes
+     *         through.
+     * @param {Array} areas Array of areas (see isInArea()).
+     * @return {Boolean} True if any location on the path is outside all the
+     *         areas.
+     */
+    leavesAreas: function(path, areas) {
+        for (var i = 0; i < path.length; i++) {
+            if (!FareEngine.isInAnyArea(path[i], areas)) {
+                return true;
+            }
+        }
+
+        return false;
+    },
+
+
+    /**
+     * Finds the location the given distance from the given location in the
+     * given direction (along a great circle).
+     *
+     * @param {Array} location The {lat, lng} starting location.
+     * @param {Number} distance The distance, in meters.
+     * @param {Number} bearing The direction, in degrees clockwise from north.
+     * @return {Array} The {lat, lng} location reached.
+     */
+    offsetLocation: function(location, distance, bearing) {
+
+        // Angular distance, and the starting point and direction, in radians.
+        var angle = distance / FareEngine.earthRadius;
+        var lat = location.lat * Math.PI / 180;
+        var lng = location.lng * Math.PI / 180;
+        var direction = bearing * Math.PI / 180;
+
+        var endLat = Math.asin(Math.sin(lat) * Math.cos(angle) +
+                Math.cos(lat) * Math.sin(angle) * Math.cos(direction));
+        var endLng = lng + Math.atan2(
+            Math.sin(direction) * Math.sin(angle) * Math.cos(lat),
+            Math.cos(angle) - Math.sin(lat) * Math.sin(endLat)
+        );
+
+        return {
+            lat: endLat * 180 / Math.PI,
+            lng: ((endLng * 180 / Math.PI) + 540) % 360 - 180
+        };
+    },
+
+
+    /**
+     * Measures the straight-line (great circle) distance between the given
+     * locations.
+     *
+     * @param {Array} from The {lat, lng} location measured from.
+     * @param {Array} to The {lat, lng} location measured to.
+     * @return {Number} The distance, in meters.
+     */
+    measureDistance: function(from, to) {
+
+        // Latitudes, and the differences in latitude and longitude, in
+        // radians.
+        var fromLat = from.lat * Math.PI / 180;
+        var toLat = to.lat * Math.PI / 180;
+        var latDifference = toLat - fromLat;
+        var lngDifference = (to.lng - from.lng) * Math.PI / 180;
+
+        var a = Math.pow(Math.sin(latDifference / 2), 2) +
+                Math.cos(fromLat) * Math.cos(toLat) *
+                Math.pow(Math.sin(lngDifference / 2), 2);
+
+        return 2 * FareEngine.earthRadius *
+                Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    },
+
+
+    /**
+     * Converts an amount in dollars to integer cents.
+     *
+     * @param {Number} amount The amount, in dollars.
+     * @return {Number} The amount, in cents.
+     */
+    toCents: function(amount) {
+        return Math.round(amount * 100);
+    },
+
+
+    /**
+     * Converts an amount in integer cents to currency format.
+     *
+     * @param {Number} cents The amount, in cents.
+     * @param {String} unitPrefix The unit prefix to add to the returned
+     *         currency amount string.
+     * @return {String} The amount as dollars and cents with the given currency
+     *         unit prefix (and a minus sign before it, if negative).
+     */
+    formatCents: function(cents, unitPrefix) {
+
+        // Size of the amount, in cents.
+        var absolute = Math.abs(cents);
+
+        var remainder = absolute % 100;
+
+        return (cents < 0 ? '-' : '') + unitPrefix +
+                Math.floor(absolute / 100) + '.' +
+                (remainder < 10 ? '0' : '') + remainder;
+    }
+};
+
+
+// Make the fare engine available to Node.
+if (typeof module != 'undefined' && module.exports) {
+    module.exports = FareEngine;
+}
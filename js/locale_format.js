@@ -0,0 +1,180 @@
+/**
+ * This class formats numbers, amounts of money, distances and durations for a
+ * locale (e.g. "$12.50" and "3.142 km" in English, "12,50 $" and "3,142 km"
+ * in French), and reads numbers entered in it. Distances can be shown in km
+ * or miles. Amounts and distances are formatted from whole cents and meters,
+ * so that they are shown exactly as the fare engine calculates them.
+ *
+ * This class has no dependencies on the DOM or jQuery, so it can be used from
+ * both the browser and Node.
+ *
+ * @param {String} decimalSeparator The separator between the whole and 
+ *         fractional parts of a number.
+ * @param {String} groupSeparator The separator between each group of three
+ *         digits in the whole part of a number.
+ * @param {String} currencyFormat The format of an amount of money, in which
+ *         "{amount}" is replaced by the formatted amount in dollars.
+ * @param {Array} distanceFormats An associative array of the formats of a
+ *         distance, in which "{distance}" is replaced by the formatted
+ *         distance. Includes:
+ *         1) km: Format of a distance in km.
+ *         2) mi: Format of a distance in miles.
+ * @param {Array} durationFormats An associative array of the formats of a
+ *         duration, in which "{hours}" and "{minutes}" are replaced by the
+ *         number of hours and minutes. Includes:
+ *         1) minutes: Format of a duration under an hour.
+ *         2) hours: Format of a duration of an hour or more.
+ * @param {Boolean} miles True if distances are shown in miles.
+ */
+function LocaleFormat(
+    decimalSeparator, 
+    groupSeparator, 
+    currencyFormat, 
+    distanceFormats, 
+    durationFormats, 
+    miles
+) {
+    
+    
+    /**
+     * Checks if distances are shown in miles.
+     *
+     * @return {Boolean} True if distances are shown in miles.
+     */
+    this.usesMiles = function() {
+        return miles;
+    }
+    
+    
+    /**
+     * Sets whether distances are shown in miles (or km).
+     *
+     * @param {Boolean} newMiles True if distances are to be shown in miles.
+     */
+    this.setMiles = function(newMiles) {
+        miles = newMiles;
+    }
+    
+    
+    /**
+     * Formats the given number.
+     *
+     * @param {Number} value The number.
+     * @param {Number} decimalPlaces The number of decimal places to show.
+     * @return {String} The formatted number.
+     */
+    this.formatNumber = function(value, decimalPlaces) {
+        return formatUnits(
+            Math.round(value * Math.pow(10, decimalPlaces)), 
+            decimalPlaces
+        );
+    }
+    
+    
+    /**
+     * Reads a number entered in the locale's format (e.g. "1,234.5" in
+     * English, "1 234,5" in French). A "." is read as the decimal separator
+     * too, as long as it isn't the locale's group separator.
+     *
+     * @param {String} text The number entered.
+     * @return {Number} The number, or NaN if the text isn't one.
+     */
+    this.parseNumber = function(text) {
+        
+        // The number, with the group separators and spaces removed and a "."
+        // as the decimal separator.
+        var number = String(text).replace(/\s/g, '');
+        
+        if (groupSeparator.replace(/\s/g, '')) {
+            number = number.split(groupSeparator).join('');
+        }
+        
+        number = number.split(decimalSeparator).join('.');
+        
+        return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(number) ? 
+                parseFloat(number) : NaN;
+    }
+    
+    
+    /**
+     * Formats the given amount of money.
+     *
+     * @param {Number} cents The amount, in cents.
+     * @return {String} The formatted amount.
+     */
+    this.formatCents = function(cents) {
+        return currencyFormat.replace('{amount}', formatUnits(cents, 2));
+    }
+    
+    
+    /**
+     * Formats the given distance in km or miles.
+     *
+     * @param {Number} meters The distance, in meters.
+     * @return {String} The formatted distance.
+     */
+    this.formatDistance = function(meters) {
+        return miles ? 
+                distanceFormats.mi.replace(
+                    '{distance}', 
+                    formatUnits(Math.round(meters / 1.609344), 3)
+                ) :
+                distanceFormats.km.replace(
+                    '{distance}', 
+                    formatUnits(Math.round(meters), 3)
+                );
+    }
+    
+    
+    /**
+     * Formats the given duration in hours and minutes, rounded to the nearest
+     * minute.
+     *
+     * @param {Number} seconds The duration, in seconds.
+     * @return {String} The formatted duration.
+     */
+    this.formatDuration = function(seconds) {
+        
+        // The duration, in whole minutes.
+        var minutes = Math.round(seconds / 60);
+        
+        return (minutes < 60 ? durationFormats.minutes : durationFormats.hours)
+                .replace('{hours}', Math.floor(minutes / 60))
+                .replace('{minutes}', minutes % 60);
+    }
+    
+    
+    /**
+     * Formats the given whole number of units of the last decimal place (e.g.
+     * cents for an amount in dollars, or meters for a distance in km).
+     *
+     * @param {Number} units The number, in units of its last decimal place (an
+     *         integer).
+     * @param {Number} decimalPlaces The number of decimal places to show.
+     * @return {String} The formatted number.
+     */
+    function formatUnits(units, decimalPlaces) {
+        
+        // Digits of the number's size, with at least one before the decimal
+        // separator.
+        var digits = String(Math.abs(units));
+        
+        while (digits.length <= decimalPlaces) {
+            digits = '0' + digits;
+        }
+        
+        return (units < 0 ? '-' : '') + 
+                digits.slice(0, digits.length - decimalPlaces)
+                        .replace(/\B(?=(\d{3})+(?!\d))/g, groupSeparator) + 
+                (decimalPlaces ? 
+                        decimalSeparator + 
+                                digits.slice(digits.length - decimalPlaces) : 
+                        '');
+    }
+}
+
+
+// Make the locale format available to Node.
+if (typeof module != 'undefined' && module.exports) {
+    module.exports = LocaleFormat;
+}
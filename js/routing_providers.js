@@ -0,0 +1,1670 @@
+/**
+ * Routing providers geocode addresses and find routes between places for the
+ * taxi fare finder. Every provider implements the same interface, so
+ * the rest of the application never talks to a particular routing service
+ * directly:
+ *
+ * 1) geocode(address, callback): Codes the given address String. Calls
+ *    callback(status, results), where status is one of the RoutingStatus
+ *    values and results is an Array of coded addresses, each of the form
+ *    {location: {lat: Number, lng: Number}, address: String}.
+ * 2) reverseGeocode(location, callback): Finds the addresses at the given
+ *    {lat, lng} location. Calls callback(status, results) (as above), the
+ *    most precise address first.
+ * 3) route(request, callback): Finds the route for the given request, an
+ *    associative array that includes:
+ *     1) origin: The route origin (an address String or a {lat, lng}
+ *        location).
+ *     2) destination: The route destination (as above).
+ *     3) waypoints: Array of intermediate stops the route passes through in
+ *        order (as above; optional).
+ *     4) departureTime: The Date the trip starts at (optional; it can't be
+ *        in the past).
+ *     5) alternatives: True if alternative routes should be found as well
+ *        (optional; providers may not find alternatives for routes with
+ *        waypoints).
+ *     6) trafficModel: How the duration in traffic is predicted: "best_guess",
+ *        "pessimistic" or "optimistic" (optional; ignored by providers
+ *        without traffic data).
+ *     7) travelMode: How the route is travelled: "driving" (the default),
+ *        "transit", "walking" or "bicycling" (optional). Providers answer
+ *        ZERO_RESULTS for travel modes they don't support.
+ *    Calls callback(status, routes, failedIndex), where status is one of the
+ *    RoutingStatus values, failedIndex is the index of the place (counting
+ *    the origin, waypoints and destination in order) that couldn't be coded
+ *    if status is NOT_FOUND, and routes is an Array of routes (the
+ *    recommended route first), each of the form:
+ *     1) distance: Route distance, in meters.
+ *     2) duration: Typical route duration, in seconds.
+ *     3) durationInTraffic: Route duration in traffic at the departure time,
+ *        in seconds (or null if the provider has no traffic data).
+ *     4) path: Array of {lat, lng} locations the route line passes through.
+ *     5) summary: Short description of the route (e.g. the main roads it
+ *        takes).
+ *     6) legs: Array of the route legs between consecutive stops, each of
+ *        the form {distance, duration, durationInTraffic} (as above).
+ *     7) locations: Array of the {lat, lng} locations of the origin,
+ *        waypoints and destination the route was found for, in order.
+ *     8) steps: Array of the route's turn-by-turn directions, in order,
+ *        each of the form {instruction: String, distance: Number (in
+ *        meters)}, where instruction is the text of the maneuver (in the
+ *        provider's language).
+ *
+ * Locations are plain {lat, lng} objects so that results can be used without
+ * the Google Maps API (e.g. from Node). Providers may be given bounds, of the
+ * form {south, west, north, east} (see findBounds()), that coded addresses
+ * are biased towards: places inside the bounds are preferred, though places
+ * outside them can still be found.
+ */
+
+
+/**
+ * Statuses reported by routing providers:
+ * 1) OK: The request succeeded.
+ * 2) ZERO_RESULTS: Nothing was found (no coded addresses, or no route between
+ *    the places given).
+ * 3) NOT_FOUND: A place in a route request couldn't be coded.
+ * 4) OVER_QUERY_LIMIT: Too many requests have been made.
+ * 5) TIMEOUT: The provider didn't respond in time.
+ * 6) ERROR: The request failed (e.g. the provider couldn't be reached).
+ */
+var RoutingStatus = {
+    OK: 'OK',
+    ZERO_RESULTS: 'ZERO_RESULTS',
+    NOT_FOUND: 'NOT_FOUND',
+    OVER_QUERY_LIMIT: 'OVER_QUERY_LIMIT',
+    TIMEOUT: 'TIMEOUT',
+    ERROR: 'ERROR'
+};
+
+
+/**
+ * This class is a routing provider backed by the Google Maps API geocoder and
+ * directions service.
+ *
+ * This class makes use of the Google Maps API.
+ *
+ * @param {Array} bounds The bounds coded addresses are biased towards, or
+ *         null for none.
+ */
+function GoogleRoutingProvider(bounds) {
+
+    // Geocoder for coding addresses.
+    var geocoder = new google.maps.Geocoder();
+
+    // DirectionsService used to find directions between origin and destination.
+    var directionsService = new google.maps.DirectionsService();
+
+
+    /**
+     * Codes the given address.
+     *
+     * @param {String} address The address to code.
+     * @param {Function} callback Function called with the status and the Array
+     *         of coded addresses.
+     */
+    this.geocode = function(address, callback) {
+        
+        // Geocoder request.
+        var request = {'address': address};
+        
+        if (bounds) {
+            request.bounds = new google.maps.LatLngBounds(
+                new google.maps.LatLng(bounds.south, bounds.west),
+                new google.maps.LatLng(bounds.north, bounds.east)
+            );
+        }
+        
+        code(request, callback);
+    }
+
+
+    /**
+     * Finds the addresses at the given location.
+     *
+     * @param {Array} location The {lat, lng} location.
+     * @param {Function} callback Function called with the status and the Array
+     *         of coded addresses.
+     */
+    this.reverseGeocode = function(location, callback) {
+        code(
+            {'location': new google.maps.LatLng(location.lat, location.lng)},
+            callback
+        );
+    }
+
+
+    /**
+     * Makes the given geocoder request.
+     *
+     * @param {Array} request The geocoder request (an address or a location).
+     * @param {Function} callback Function called with the status and the Array
+     *         of coded addresses.
+     */
+    function code(request, callback) {
+        geocoder.geocode(request, function(results, status) {
+
+            // Coded addresses passed to callback.
+            var codedAddresses = [];
+
+            if (status == google.maps.GeocoderStatus.OK) {
+                for (var i = 0; i < results.length; i++) {
+                    codedAddresses.push({
+                        location: toLocation(results[i].geometry.location),
+                        address: results[i].formatted_address
+                    });
+                }
+            }
+
+            callback(toRoutingStatus(status), codedAddresses);
+        });
+    }
+
+
+    /**
+     * Finds the route for the given request. Driving routes are found for the
+     * traffic at the departure time, and transit routes for the timetable.
+     *
+     * @param {Array} request Associative array of route origin, destination
+     *         and options.
+     * @param {Function} callback Function called with the status and the Array
+     *         of routes found.
+     */
+    this.route = function(request, callback) {
+
+        // How the route is travelled.
+        var travelMode = (request.travelMode || 'driving').toUpperCase();
+
+        // Directions service request.
+        var googleRequest = {
+            origin: toWaypoint(request.origin),
+            destination: toWaypoint(request.destination),
+            waypoints: jQuery.map(request.waypoints || [], function(place) {
+                return {location: toWaypoint(place), stopover: true};
+            }),
+            travelMode: google.maps.TravelMode[travelMode],
+            provideRouteAlternatives: !!request.alternatives
+        };
+
+        if (travelMode == 'DRIVING') {
+            googleRequest.drivingOptions = {
+                departureTime: request.departureTime || new Date(),
+                trafficModel: request.trafficModel ? 
+                        google.maps.TrafficModel[
+                            request.trafficModel.toUpperCase()
+                        ] : 
+                        google.maps.TrafficModel.BEST_GUESS
+            };
+        } else if (travelMode == 'TRANSIT') {
+            googleRequest.transitOptions = {
+                departureTime: request.departureTime || new Date()
+            };
+        }
+
+        directionsService.route(
+            googleRequest,
+            function(response, status) {
+
+                // Routes passed to callback.
+                var routes = [];
+
+                // Index of the place that couldn't be coded (if any).
+                var failedIndex;
+
+                if (status == google.maps.DirectionsStatus.OK) {
+                    for (var i = 0; i < response.routes.length; i++) {
+                        routes.push(toRoute(response.routes[i]));
+                    }
+                }
+
+                if (status == google.maps.DirectionsStatus.NOT_FOUND &&
+                        response && response.geocoded_waypoints) {
+                    for (var j = 0; j < response.geocoded_waypoints.length; 
+                            j++) {
+                        if (response.geocoded_waypoints[j].geocoder_status !=
+                                'OK') {
+                            failedIndex = j;
+                            break;
+                        }
+                    }
+                }
+
+                callback(toRoutingStatus(status), routes, failedIndex);
+            }
+        );
+    }
+
+
+    /**
+     * Converts a Google Maps route to a routing provider route.
+     *
+     * @param {DirectionsRoute} googleRoute The Google Maps route.
+     * @return {Array} The route.
+     */
+    function toRoute(googleRoute) {
+
+        // Locations the route line passes through.
+        var path = [];
+
+        // Route legs between consecutive stops.
+        var legs = [];
+
+        // Locations of the route stops.
+        var locations = [toLocation(googleRoute.legs[0].start_location)];
+
+        // Turn-by-turn directions of the route.
+        var steps = [];
+
+        for (var i = 0; i < googleRoute.overview_path.length; i++) {
+            path.push(toLocation(googleRoute.overview_path[i]));
+        }
+
+        for (var j = 0; j < googleRoute.legs.length; j++) {
+            legs.push({
+                distance: googleRoute.legs[j].distance.value,
+                duration: googleRoute.legs[j].duration.value,
+                durationInTraffic: googleRoute.legs[j].duration_in_traffic ?
+                        googleRoute.legs[j].duration_in_traffic.value : null
+            });
+            locations.push(toLocation(googleRoute.legs[j].end_location));
+
+            for (var k = 0; k < googleRoute.legs[j].steps.length; k++) {
+                steps.push({
+                    instruction: toText(
+                        googleRoute.legs[j].steps[k].instructions
+                    ),
+                    distance: googleRoute.legs[j].steps[k].distance.value
+                });
+            }
+        }
+
+        return joinLegs(legs, path, googleRoute.summary, locations, steps);
+    }
+
+
+    /**
+     * Converts the HTML of a step's instructions to text, keeping the words
+     * of its separate elements apart (e.g. "Turn left" and a note that the
+     * destination is on the right).
+     *
+     * @param {String} html The instructions HTML.
+     * @return {String} The instructions text.
+     */
+    function toText(html) {
+        return jQuery.trim(jQuery('<div>').html(html.replace(/</g, ' <'))
+                .text().replace(/\s+/g, ' '));
+    }
+
+
+    /**
+     * Converts a Google Maps LatLng to a location.
+     *
+     * @param {LatLng} latLng The Google Maps LatLng.
+     * @return {Array} The location.
+     */
+    function toLocation(latLng) {
+        return {lat: latLng.lat(), lng: latLng.lng()};
+    }
+
+
+    /**
+     * Converts a route origin or destination to a value the directions service
+     * accepts.
+     *
+     * @param {String|Array} place An address or location.
+     * @return {String|LatLng} The address, or the location as a LatLng.
+     */
+    function toWaypoint(place) {
+        if (typeof place == 'string') {
+            return place;
+        }
+
+        return new google.maps.LatLng(place.lat, place.lng);
+    }
+
+
+    /**
+     * Converts a Google Maps geocoder or directions status to a routing
+     * status.
+     *
+     * @param {String} status The Google Maps status.
+     * @return {String} The routing status.
+     */
+    function toRoutingStatus(status) {
+        switch (status) {
+            case 'OK':
+                return RoutingStatus.OK;
+            case 'ZERO_RESULTS':
+                return RoutingStatus.ZERO_RESULTS;
+            case 'NOT_FOUND':
+                return RoutingStatus.NOT_FOUND;
+            case 'OVER_QUERY_LIMIT':
+                return RoutingStatus.OVER_QUERY_LIMIT;
+            default:
+                return RoutingStatus.ERROR;
+        }
+    }
+}
+
+
+/**
+ * This class is the routing provider used when no routing service is
+ * available (e.g. the Google Maps API couldn't be loaded because the user is
+ * offline). It answers every request with the ERROR status, so that the rest
+ * of the application can carry on without routes.
+ */
+function UnavailableRoutingProvider() {
+
+
+    /**
+     * Answers that the given address can't be coded.
+     *
+     * @param {String} address The address to code.
+     * @param {Function} callback Function called with the status and the Array
+     *         of coded addresses.
+     */
+    this.geocode = function(address, callback) {
+        callback(RoutingStatus.ERROR, []);
+    }
+
+
+    /**
+     * Answers that the addresses at the given location can't be found.
+     *
+     * @param {Array} location The {lat, lng} location.
+     * @param {Function} callback Function called with the status and the Array
+     *         of coded addresses.
+     */
+    this.reverseGeocode = function(location, callback) {
+        callback(RoutingStatus.ERROR, []);
+    }
+
+
+    /**
+     * Answers that the route for the given request can't be found.
+     *
+     * @param {Array} request Associative array of route origin, destination
+     *         and options.
+     * @param {Function} callback Function called with the status and the Array
+     *         of routes found.
+     */
+    this.route = function(request, callback) {
+        callback(RoutingStatus.ERROR, []);
+    }
+}
+
+
+/**
+ * This class is a routing provider backed by HTTP endpoints of our own: an
+ * OSRM-style router (GET <routeUrl>/route/v1/<profile>/<lng>,<lat>;<lng>,<lat>,
+ * where the profile is "driving", "walking" or "cycling") and a
+ * Nominatim-style geocoder (GET <geocodeUrl>?format=json&q=<address> and GET
+ * <reverseGeocodeUrl>?format=json&lat=<lat>&lon=<lng>). The router has no
+ * timetables, so no transit routes are found.
+ *
+ * @param {String} routeUrl The base URL of the router.
+ * @param {String} geocodeUrl The URL of the geocoder.
+ * @param {String} reverseGeocodeUrl The URL of the reverse geocoder.
+ * @param {Function} requestJson Function that makes a GET request, called as
+ *         requestJson(url, success, failure), where success is passed the
+ *         parsed JSON response. Defaults to a jQuery AJAX request.
+ * @param {Array} bounds The bounds coded addresses are biased towards (passed
+ *         to the geocoder as its viewbox), or null for none.
+ */
+function OsrmRoutingProvider(
+    routeUrl, 
+    geocodeUrl, 
+    reverseGeocodeUrl, 
+    requestJson,
+    bounds
+) {
+
+    // Router profiles of the travel modes the router supports.
+    var profiles = {
+        driving: 'driving',
+        walking: 'walking',
+        bicycling: 'cycling'
+    };
+
+    requestJson = requestJson || requestJsonWithJQuery;
+
+
+    /**
+     * Codes the given address.
+     *
+     * @param {String} address The address to code.
+     * @param {Function} callback Function called with the status and the Array
+     *         of coded addresses.
+     */
+    this.geocode = function(address, callback) {
+        requestJson(
+            geocodeUrl + '?format=json&q=' + encodeURIComponent(address) + 
+                    (bounds ? 
+                    '&viewbox=' + [
+                        bounds.west, bounds.north, bounds.east, bounds.south
+                    ].join(',') : 
+                    ''),
+            function(results) {
+
+                // Coded addresses passed to callback.
+                var codedAddresses = [];
+
+                for (var i = 0; i < results.length; i++) {
+                    codedAddresses.push({
+                        location: {
+                            lat: parseFloat(results[i].lat),
+                            lng: parseFloat(results[i].lon)
+                        },
+                        address: results[i].display_name
+                    });
+                }
+
+                callback(
+                    codedAddresses.length ?
+                            RoutingStatus.OK : RoutingStatus.ZERO_RESULTS,
+                    codedAddresses
+                );
+            },
+            function() {
+                callback(RoutingStatus.ERROR, []);
+            }
+        );
+    }
+
+
+    /**
+     * Finds the address at the given location.
+     *
+     * @param {Array} location The {lat, lng} location.
+     * @param {Function} callback Function called with the status and the Array
+     *         of coded addresses.
+     */
+    this.reverseGeocode = function(location, callback) {
+        requestJson(
+            reverseGeocodeUrl + '?format=json&lat=' + location.lat + 
+                    '&lon=' + location.lng,
+            function(result) {
+                if (!result || result.error || !result.display_name) {
+                    callback(RoutingStatus.ZERO_RESULTS, []);
+                    return;
+                }
+
+                callback(RoutingStatus.OK, [{
+                    location: {
+                        lat: parseFloat(result.lat),
+                        lng: parseFloat(result.lon)
+                    },
+                    address: result.display_name
+                }]);
+            },
+            function() {
+                callback(RoutingStatus.ERROR, []);
+            }
+        );
+    }
+
+
+    /**
+     * Finds the route for the given request. Addresses are coded first, since
+     * the router only accepts locations.
+     *
+     * @param {Array} request Associative array of route origin, destination
+     *         and options.
+     * @param {Function} callback Function called with the status and the Array
+     *         of routes found.
+     */
+    this.route = function(request, callback) {
+        var self = this;
+
+        // Locations of the route stops, in order.
+        var locations = [];
+
+        // Router profile of the travel mode.
+        var profile = profiles[request.travelMode || 'driving'];
+
+        if (!profile) {
+            callback(RoutingStatus.ZERO_RESULTS, []);
+            return;
+        }
+
+        locate(
+            [request.origin].concat(
+                request.waypoints || [], 
+                [request.destination]
+            ), 
+            0
+        );
+
+
+        /**
+         * Codes each place in the given array (running recursively), then
+         * requests the route through their locations.
+         *
+         * @param {Array} places Array of addresses and locations.
+         * @param {Number} index The index value in the place array to code
+         *         next.
+         */
+        function locate(places, index) {
+            if (index == places.length) {
+                requestRoute(
+                    locations, 
+                    profile, 
+                    !!request.alternatives, 
+                    callback
+                );
+                return;
+            }
+
+            if (typeof places[index] != 'string') {
+                locations[index] = places[index];
+                locate(places, index + 1);
+                return;
+            }
+
+            self.geocode(places[index], function(status, results) {
+                if (status == RoutingStatus.OK) {
+                    locations[index] = results[0].location;
+                    locate(places, index + 1);
+                } else if (status == RoutingStatus.ZERO_RESULTS) {
+                    callback(RoutingStatus.NOT_FOUND, [], index);
+                } else {
+                    callback(status, []);
+                }
+            });
+        }
+    }
+
+
+    /**
+     * Requests the route through the given locations from the router.
+     *
+     * @param {Array} locations Array of the route stop locations, in order.
+     * @param {String} profile The router profile (e.g. "driving").
+     * @param {Boolean} alternatives True if alternative routes should be found
+     *         as well.
+     * @param {Function} callback Function called with the status and the Array
+     *         of routes found.
+     */
+    function requestRoute(locations, profile, alternatives, callback) {
+
+        // Route stop coordinates, given as "lng,lat".
+        var coordinates = [];
+
+        for (var i = 0; i < locations.length; i++) {
+            coordinates.push(locations[i].lng + ',' + locations[i].lat);
+        }
+
+        requestJson(
+            routeUrl + '/route/v1/' + profile + '/' + coordinates.join(';') +
+                    '?overview=full&geometries=geojson&steps=true' +
+                    '&alternatives=' + alternatives,
+            function(response) {
+
+                // Routes passed to callback.
+                var routes = [];
+
+                if (response.code != 'Ok') {
+                    callback(
+                        response.code == 'NoRoute' ?
+                                RoutingStatus.ZERO_RESULTS : RoutingStatus.ERROR,
+                        routes
+                    );
+                    return;
+                }
+
+                for (var i = 0; i < response.routes.length; i++) {
+                    routes.push(toRoute(response.routes[i], locations));
+                }
+
+                callback(RoutingStatus.OK, routes);
+            },
+            function() {
+                callback(RoutingStatus.ERROR, []);
+            }
+        );
+    }
+
+
+    /**
+     * Converts an OSRM route to a routing provider route.
+     *
+     * @param {Object} osrmRoute The OSRM route.
+     * @param {Array} locations Array of the route stop locations, in order.
+     * @return {Array} The route.
+     */
+    function toRoute(osrmRoute, locations) {
+
+        // Locations the route line passes through.
+        var path = [];
+
+        // Route legs between consecutive stops.
+        var legs = [];
+
+        // Summaries of the route legs.
+        var summaries = [];
+
+        // Turn-by-turn directions of the route.
+        var steps = [];
+
+        // GeoJSON coordinates are given as [lng, lat].
+        var coordinates = osrmRoute.geometry.coordinates;
+
+        for (var i = 0; i < coordinates.length; i++) {
+            path.push({lat: coordinates[i][1], lng: coordinates[i][0]});
+        }
+
+        for (var j = 0; j < osrmRoute.legs.length; j++) {
+            legs.push({
+                distance: osrmRoute.legs[j].distance,
+                duration: osrmRoute.legs[j].duration,
+                durationInTraffic: null
+            });
+            summaries.push(osrmRoute.legs[j].summary);
+
+            for (var k = 0; k < (osrmRoute.legs[j].steps || []).length; k++) {
+                steps.push({
+                    instruction: describeStep(osrmRoute.legs[j].steps[k]),
+                    distance: osrmRoute.legs[j].steps[k].distance
+                });
+            }
+        }
+
+        return joinLegs(legs, path, summaries.join(', '), locations, steps);
+    }
+
+
+    /**
+     * Describes an OSRM route step: its maneuver (e.g. "Turn left"), followed
+     * by the name of the road it leads onto (if it has one). The router names
+     * maneuvers in English.
+     *
+     * @param {Object} osrmStep The OSRM route step.
+     * @return {String} The step's instruction.
+     */
+    function describeStep(osrmStep) {
+
+        // The maneuver, e.g. "turn left".
+        var maneuver = osrmStep.maneuver.type + (osrmStep.maneuver.modifier ?
+                ' ' + osrmStep.maneuver.modifier : '');
+
+        return maneuver.charAt(0).toUpperCase() + maneuver.substring(1) + 
+                (osrmStep.name ? ': ' + osrmStep.name : '');
+    }
+
+
+    /**
+     * Makes a GET request for JSON via jQuery AJAX.
+     *
+     * @param {String} url The URL to request.
+     * @param {Function} success Function passed the parsed JSON response.
+     * @param {Function} failure Function called if the request fails.
+     */
+    function requestJsonWithJQuery(url, success, failure) {
+        jQuery.ajax({
+            type: 'GET',
+            url: url,
+            dataType: 'json',
+            success: success,
+            error: failure
+        });
+    }
+}
+
+
+/**
+ * This class is a routing provider backed by a bundled fixture file, a local
+ * stand-in for a routing service so that the application (and its tests) can
+ * run without one. The file is JSON, of the form {places, legs}:
+ *
+ * 1) places: Array of the places the provider knows, each of the form
+ *    {id: String, address: String, names: Array, location: {lat, lng}},
+ *    where names are other names the place can be found by (e.g. "CN
+ *    Tower"). An address is coded to the places whose address or names
+ *    include it (ignoring case and spacing), and a location to the nearest
+ *    place within reverseGeocodeRadius meters (as given in the file; 250 if
+ *    not given).
+ * 2) legs: Array of the routes between pairs of places, each of the form
+ *    {from: String, to: String, travelMode: String, distance: Number,
+ *    duration: Number, durationInTraffic: Number, summary: String, path:
+ *    Array, steps: Array}, where from and to are place IDs, and the rest are
+ *    as in a route (see above), except that the path is given as [lat, lng]
+ *    pairs. The travel mode defaults to "driving", the duration in traffic to
+ *    null, the path to the straight line between the places and the steps to
+ *    none. A leg can be travelled either way (without its steps the other
+ *    way). Several legs between the same places are the recommended route
+ *    and its alternatives.
+ *
+ * A route is found through the legs between consecutive places (each place
+ * coded, or snapped to the nearest known place, first). If there is no leg
+ * between two of them, the answer is ZERO_RESULTS. The file is loaded when it
+ * is first needed.
+ *
+ * @param {String} fixtureUrl The URL of the fixture file.
+ * @param {Function} requestJson Function that makes a GET request, called as
+ *         requestJson(url, success, failure), where success is passed the
+ *         parsed JSON response. Defaults to a jQuery AJAX request.
+ */
+function FixtureRoutingProvider(fixtureUrl, requestJson) {
+
+    // The loaded fixtures, or null until they are loaded.
+    var fixtures = null;
+
+    // Functions waiting for the fixtures to load, each passed true if they
+    // loaded. Null while they aren't being loaded.
+    var waiting = null;
+
+    requestJson = requestJson || function(url, success, failure) {
+        jQuery.ajax({
+            type: 'GET',
+            url: url,
+            dataType: 'json',
+            success: success,
+            error: failure
+        });
+    };
+
+
+    /**
+     * Codes the given address.
+     *
+     * @param {String} address The address to code.
+     * @param {Function} callback Function called with the status and the Array
+     *         of coded addresses.
+     */
+    this.geocode = function(address, callback) {
+        load(function(loaded) {
+
+            // Coded addresses passed to callback.
+            var codedAddresses = [];
+
+            if (!loaded) {
+                callback(RoutingStatus.ERROR, []);
+                return;
+            }
+
+            for (var i = 0; i < fixtures.places.length; i++) {
+                if (matches(fixtures.places[i], address)) {
+                    codedAddresses.push(toCodedAddress(fixtures.places[i]));
+                }
+            }
+
+            callback(
+                codedAddresses.length ?
+                        RoutingStatus.OK : RoutingStatus.ZERO_RESULTS,
+                codedAddresses
+            );
+        });
+    }
+
+
+    /**
+     * Finds the address at the given location.
+     *
+     * @param {Array} location The {lat, lng} location.
+     * @param {Function} callback Function called with the status and the Array
+     *         of coded addresses.
+     */
+    this.reverseGeocode = function(location, callback) {
+        load(function(loaded) {
+
+            // The nearest known place.
+            var place;
+
+            if (!loaded) {
+                callback(RoutingStatus.ERROR, []);
+                return;
+            }
+
+            place = findNearest(location);
+
+            if (!place) {
+                callback(RoutingStatus.ZERO_RESULTS, []);
+                return;
+            }
+
+            callback(RoutingStatus.OK, [toCodedAddress(place)]);
+        });
+    }
+
+
+    /**
+     * Finds the route for the given request through the fixture legs.
+     *
+     * @param {Array} request Associative array of route origin, destination
+     *         and options.
+     * @param {Function} callback Function called with the status and the Array
+     *         of routes found.
+     */
+    this.route = function(request, callback) {
+        load(function(loaded) {
+
+            // The origin, waypoints and destination, in order.
+            var places = [request.origin].concat(
+                request.waypoints || [],
+                [request.destination]
+            );
+
+            // Known places of the route stops, and their locations, in order.
+            var stops = [];
+            var locations = [];
+
+            // Legs of the recommended route, and the choices of leg between
+            // the first two stops (for alternative routes).
+            var recommended = [];
+            var firstChoices;
+
+            // Routes passed to callback.
+            var routes = [];
+
+            if (!loaded) {
+                callback(RoutingStatus.ERROR, []);
+                return;
+            }
+
+            for (var i = 0; i < places.length; i++) {
+                stops[i] = typeof places[i] == 'string' ?
+                        findPlace(places[i]) : findNearest(places[i]);
+
+                if (!stops[i]) {
+                    if (typeof places[i] == 'string') {
+                        callback(RoutingStatus.NOT_FOUND, [], i);
+                    } else {
+                        callback(RoutingStatus.ZERO_RESULTS, []);
+                    }
+                    return;
+                }
+
+                locations[i] = typeof places[i] == 'string' ?
+                        stops[i].location : places[i];
+            }
+
+            for (var j = 1; j < stops.length; j++) {
+
+                // Choices of leg between the previous stop and this one.
+                var choices = findLegs(
+                    stops[j - 1],
+                    stops[j],
+                    request.travelMode || 'driving'
+                );
+
+                if (!choices.length) {
+                    callback(RoutingStatus.ZERO_RESULTS, []);
+                    return;
+                }
+
+                firstChoices = firstChoices || choices;
+                recommended.push(choices[0]);
+            }
+
+            routes.push(toRoute(recommended, locations));
+
+            for (var k = 1; request.alternatives && stops.length == 2 &&
+                    k < firstChoices.length; k++) {
+                routes.push(toRoute([firstChoices[k]], locations));
+            }
+
+            callback(RoutingStatus.OK, routes);
+        });
+    }
+
+
+    /**
+     * Calls the given function once the fixtures are loaded (loading them,
+     * if they aren't already).
+     *
+     * @param {Function} callback Function passed true if the fixtures are
+     *         loaded, or false if they couldn't be.
+     */
+    function load(callback) {
+        if (fixtures) {
+            callback(true);
+            return;
+        }
+
+        if (waiting) {
+            waiting.push(callback);
+            return;
+        }
+
+        waiting = [callback];
+
+        requestJson(
+            fixtureUrl,
+            function(response) {
+                fixtures = {
+                    places: response.places || [],
+                    legs: response.legs || [],
+                    reverseGeocodeRadius: response.reverseGeocodeRadius || 250
+                };
+                done(true);
+            },
+            function() {
+                done(false);
+            }
+        );
+
+
+        /**
+         * Tells the waiting functions whether the fixtures loaded.
+         *
+         * @param {Boolean} loaded True if the fixtures loaded.
+         */
+        function done(loaded) {
+
+            // The functions told.
+            var callbacks = waiting;
+
+            waiting = null;
+
+            for (var i = 0; i < callbacks.length; i++) {
+                callbacks[i](loaded);
+            }
+        }
+    }
+
+
+    /**
+     * Checks if the given place is found by the given address: if its
+     * address or one of its names includes it (ignoring case and spacing).
+     *
+     * @param {Array} place The fixture place.
+     * @param {String} address The address.
+     * @return {Boolean} True if the place is found by the address.
+     */
+    function matches(place, address) {
+
+        // The address and the place's names, normalized.
+        var query = normalize(address);
+        var names = [place.address].concat(place.names || []);
+
+        for (var i = 0; query && i < names.length; i++) {
+            if (normalize(names[i]).indexOf(query) >= 0) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+
+    /**
+     * Finds the first place found by the given address.
+     *
+     * @param {String} address The address.
+     * @return {Array} The fixture place, or null if none is found.
+     */
+    function findPlace(address) {
+        for (var i = 0; i < fixtures.places.length; i++) {
+            if (matches(fixtures.places[i], address)) {
+                return fixtures.places[i];
+            }
+        }
+
+        return null;
+    }
+
+
+    /**
+     * Finds the place nearest the given location, within the reverse geocode
+     * radius.
+     *
+     * @param {Array} location The {lat, lng} location.
+     * @return {Array} The fixture place, or null if none is near enough.
+     */
+    function findNearest(location) {
+
+        // The nearest place so far, and its distance (in meters).
+        var nearest = null;
+        var nearestDistance = fixtures.reverseGeocodeRadius;
+
+        for (var i = 0; i < fixtures.places.length; i++) {
+
+            // Distance to the place, in meters.
+            var distance = measure(location, fixtures.places[i].location);
+
+            if (distance <= nearestDistance) {
+                nearest = fixtures.places[i];
+                nearestDistance = distance;
+            }
+        }
+
+        return nearest;
+    }
+
+
+    /**
+     * Finds the place with the given ID.
+     *
+     * @param {String} id The place ID.
+     * @return {Array} The fixture place, or null if there is none.
+     */
+    function findById(id) {
+        for (var i = 0; i < fixtures.places.length; i++) {
+            if (fixtures.places[i].id == id) {
+                return fixtures.places[i];
+            }
+        }
+
+        return null;
+    }
+
+
+    /**
+     * Finds the legs between the given places, travelled the given way.
+     *
+     * @param {Array} from The fixture place the legs start at.
+     * @param {Array} to The fixture place the legs end at.
+     * @param {String} travelMode The travel mode of the legs.
+     * @return {Array} Array of the legs, in the order they are listed, each
+     *         of the form {leg: Array, reversed: Boolean}, where reversed is
+     *         true if the fixture leg is travelled from its end to its start.
+     */
+    function findLegs(from, to, travelMode) {
+
+        // Legs found.
+        var legs = [];
+
+        for (var i = 0; i < fixtures.legs.length; i++) {
+
+            // A fixture leg.
+            var leg = fixtures.legs[i];
+
+            if ((leg.travelMode || 'driving') != travelMode) {
+                continue;
+            }
+
+            if (leg.from == from.id && leg.to == to.id) {
+                legs.push({leg: leg, reversed: false});
+            } else if (leg.from == to.id && leg.to == from.id) {
+                legs.push({leg: leg, reversed: true});
+            }
+        }
+
+        return legs;
+    }
+
+
+    /**
+     * Makes a route through the given fixture legs.
+     *
+     * @param {Array} choices Array of the legs of the route, in order (see
+     *         findLegs()).
+     * @param {Array} locations Array of the route stop locations, in order.
+     * @return {Array} The route.
+     */
+    function toRoute(choices, locations) {
+
+        // Route legs between consecutive stops.
+        var legs = [];
+
+        // Locations the route line passes through.
+        var path = [];
+
+        // Summaries of the route legs.
+        var summaries = [];
+
+        // Turn-by-turn directions of the route.
+        var steps = [];
+
+        for (var i = 0; i < choices.length; i++) {
+
+            // The fixture leg.
+            var leg = choices[i].leg;
+
+            // Locations the leg's line passes through, from its start.
+            var legPath = [];
+
+            if (leg.path) {
+                for (var j = 0; j < leg.path.length; j++) {
+                    legPath.push({lat: leg.path[j][0], lng: leg.path[j][1]});
+                }
+            } else {
+                legPath = [
+                    findById(leg.from).location,
+                    findById(leg.to).location
+                ];
+            }
+
+            if (choices[i].reversed) {
+                legPath.reverse();
+            }
+
+            legs.push({
+                distance: leg.distance,
+                duration: leg.duration,
+                durationInTraffic: leg.durationInTraffic != null ?
+                        leg.durationInTraffic : null
+            });
+            path = path.concat(legPath);
+            summaries.push(leg.summary || '');
+
+            // Steps are given for the leg's own direction only.
+            if (!choices[i].reversed) {
+                steps = steps.concat(leg.steps || []);
+            }
+        }
+
+        return joinLegs(legs, path, summaries.join(', '), locations, steps);
+    }
+
+
+    /**
+     * Makes a coded address of the given place.
+     *
+     * @param {Array} place The fixture place.
+     * @return {Array} The coded address.
+     */
+    function toCodedAddress(place) {
+        return {
+            location: {lat: place.location.lat, lng: place.location.lng},
+            address: place.address
+        };
+    }
+
+
+    /**
+     * Normalizes the given address, so that addresses differing only in case
+     * and spacing match.
+     *
+     * @param {String} address The address.
+     * @return {String} The normalized address.
+     */
+    function normalize(address) {
+        return String(address).toLowerCase()
+                .replace(/\s+/g, ' ')
+                .replace(/\s*,\s*/g, ',')
+                .replace(/^\s+|\s+$/g, '');
+    }
+
+
+    /**
+     * Measures the approximate distance between the given locations (close
+     * enough for the short distances places are snapped over).
+     *
+     * @param {Array} from The {lat, lng} location measured from.
+     * @param {Array} to The {lat, lng} location measured to.
+     * @return {Number} The distance, in meters.
+     */
+    function measure(from, to) {
+
+        // Differences in longitude (scaled to the latitude) and latitude, in
+        // degrees.
+        var x = (to.lng - from.lng) *
+                Math.cos((from.lat + to.lat) / 2 * Math.PI / 180);
+        var y = to.lat - from.lat;
+
+        return Math.sqrt(x * x + y * y) * Math.PI / 180 * 6371000;
+    }
+}
+
+
+/**
+ * This class is a routing provider that wraps another, reporting the TIMEOUT
+ * status for any request the other provider doesn't answer in time (and
+ * ignoring its answer if it comes later).
+ *
+ * @param {Object} provider The routing provider to wrap.
+ * @param {Number} timeout Time (in ms) to wait for an answer.
+ */
+function TimeoutRoutingProvider(provider, timeout) {
+
+
+    /**
+     * Codes the given address.
+     *
+     * @param {String} address The address to code.
+     * @param {Function} callback Function called with the status and the Array
+     *         of coded addresses.
+     */
+    this.geocode = function(address, callback) {
+        provider.geocode(address, withTimeout(callback));
+    }
+
+
+    /**
+     * Finds the addresses at the given location.
+     *
+     * @param {Array} location The {lat, lng} location.
+     * @param {Function} callback Function called with the status and the Array
+     *         of coded addresses.
+     */
+    this.reverseGeocode = function(location, callback) {
+        provider.reverseGeocode(location, withTimeout(callback));
+    }
+
+
+    /**
+     * Finds the route for the given request.
+     *
+     * @param {Array} request Associative array of route origin, destination
+     *         and options.
+     * @param {Function} callback Function called with the status, the Array
+     *         of routes found and the index of the place that couldn't be
+     *         coded (if any).
+     */
+    this.route = function(request, callback) {
+        provider.route(request, withTimeout(callback));
+    }
+
+
+    /**
+     * Wraps the given callback so that it is called with the TIMEOUT status
+     * if it isn't called in time, and at most once.
+     *
+     * @param {Function} callback The callback to wrap.
+     * @return {Function} The wrapped callback.
+     */
+    function withTimeout(callback) {
+        var answered = false;
+
+        var timer = setTimeout(function() {
+            answered = true;
+            callback(RoutingStatus.TIMEOUT, []);
+        }, timeout);
+
+        return function() {
+            if (!answered) {
+                answered = true;
+                clearTimeout(timer);
+                callback.apply(this, arguments);
+            }
+        };
+    }
+}
+
+
+/**
+ * This class is a routing provider that wraps another, caching its answers so
+ * that repeat requests are answered at once without using the other
+ * provider's quota. Answers are kept in memory (dropping the least recently
+ * used when the cache is full) and in the given storage (e.g. localStorage),
+ * so that they outlast the page. Each answer expires after its time to live.
+ *
+ * Geocodes are keyed on the address text (ignoring case and spacing), reverse
+ * geocodes on the location, and routes on their places and options. Routes
+ * depart at a given time, so their key includes the time to live period the
+ * departure time falls in: a route found for a departure in the same period
+ * is reused. Only successful answers are cached.
+ *
+ * @param {Object} provider The routing provider to wrap.
+ * @param {Number} capacity The number of answers kept in memory.
+ * @param {Array} timesToLive Associative array of the time (in seconds) an
+ *         answer is kept for. Includes:
+ *         1) geocode: Time to live of a coded address (or of the addresses
+ *                    at a location).
+ *         2) route: Time to live of a route.
+ * @param {Object} storage The Web Storage object answers are persisted in, or
+ *         null if they are only kept in memory (optional).
+ * @param {String} keyPrefix The prefix of the storage keys of the answers.
+ */
+function CachingRoutingProvider(
+    provider, 
+    capacity, 
+    timesToLive, 
+    storage, 
+    keyPrefix
+) {
+
+    // Answers kept in memory, by key. Each is of the form {expires, value}.
+    var entries = {};
+
+    // Keys of the answers kept in memory, least recently used first.
+    var keys = [];
+
+    removeExpired();
+
+
+    /**
+     * Codes the given address.
+     *
+     * @param {String} address The address to code.
+     * @param {Function} callback Function called with the status and the Array
+     *         of coded addresses.
+     */
+    this.geocode = function(address, callback) {
+
+        // Key of the coded address.
+        var key = 'geocode:' + normalize(address);
+
+        // The cached results (if any).
+        var results = get(key);
+
+        if (results) {
+            callback(RoutingStatus.OK, results);
+            return;
+        }
+
+        provider.geocode(address, function(status, results) {
+            if (status == RoutingStatus.OK) {
+                put(key, results, timesToLive.geocode);
+            }
+
+            callback(status, results);
+        });
+    }
+
+
+    /**
+     * Finds the addresses at the given location.
+     *
+     * @param {Array} location The {lat, lng} location.
+     * @param {Function} callback Function called with the status and the Array
+     *         of coded addresses.
+     */
+    this.reverseGeocode = function(location, callback) {
+
+        // Key of the coded addresses.
+        var key = 'reverse:' + normalize(location);
+
+        // The cached results (if any).
+        var results = get(key);
+
+        if (results) {
+            callback(RoutingStatus.OK, results);
+            return;
+        }
+
+        provider.reverseGeocode(location, function(status, results) {
+            if (status == RoutingStatus.OK) {
+                put(key, results, timesToLive.geocode);
+            }
+
+            callback(status, results);
+        });
+    }
+
+
+    /**
+     * Finds the route for the given request.
+     *
+     * @param {Array} request Associative array of route origin, destination
+     *         and options.
+     * @param {Function} callback Function called with the status, the Array
+     *         of routes found and the index of the place that couldn't be
+     *         coded (if any).
+     */
+    this.route = function(request, callback) {
+
+        // Key of the routes.
+        var key = 'route:' + makeRouteKey(request);
+
+        // The cached routes (if any).
+        var routes = get(key);
+
+        if (routes) {
+            callback(RoutingStatus.OK, routes);
+            return;
+        }
+
+        provider.route(request, function(status, routes, failedIndex) {
+            if (status == RoutingStatus.OK) {
+                put(key, routes, timesToLive.route);
+            }
+
+            callback(status, routes, failedIndex);
+        });
+    }
+
+
+    /**
+     * Makes the cache key of the given route request.
+     *
+     * @param {Array} request The route request.
+     * @return {String} The cache key.
+     */
+    function makeRouteKey(request) {
+
+        // The origin, waypoints and destination, in order.
+        var places = [request.origin].concat(
+            request.waypoints || [],
+            [request.destination]
+        );
+
+        // Number of the time to live period the departure time falls in.
+        var period = request.departureTime ? Math.floor(
+            request.departureTime.getTime() / 1000 / timesToLive.route
+        ) : '';
+
+        for (var i = 0; i < places.length; i++) {
+            places[i] = normalize(places[i]);
+        }
+
+        return places.join('|') + '|' + 
+                (request.alternatives ? 'alternatives' : '') + '|' + 
+                (request.travelMode || 'driving') + '|' + 
+                (request.trafficModel || '') + '|' + period;
+    }
+
+
+    /**
+     * Normalizes the given place, so that addresses differing only in case
+     * and spacing share a key.
+     *
+     * @param {Object} place The address, or {lat, lng} location.
+     * @return {String} The normalized place.
+     */
+    function normalize(place) {
+        if (typeof place != 'string') {
+            return place.lat.toFixed(6) + ',' + place.lng.toFixed(6);
+        }
+
+        return place.toLowerCase()
+                .replace(/\s+/g, ' ')
+                .replace(/\s*,\s*/g, ',')
+                .replace(/^\s+|\s+$/g, '');
+    }
+
+
+    /**
+     * Returns the unexpired answer with the given key, from memory or else
+     * from storage.
+     *
+     * @param {String} key The answer key.
+     * @return {Object} The answer, or null if it isn't cached.
+     */
+    function get(key) {
+
+        // The cached answer.
+        var entry = entries[key] || read(key);
+
+        if (!entry || entry.expires <= new Date().getTime()) {
+            return null;
+        }
+
+        remember(key, entry);
+
+        return entry.value;
+    }
+
+
+    /**
+     * Caches the given answer in memory and storage.
+     *
+     * @param {String} key The answer key.
+     * @param {Object} value The answer.
+     * @param {Number} timeToLive Time (in seconds) the answer is kept for.
+     */
+    function put(key, value, timeToLive) {
+
+        // The cached answer.
+        var entry = {
+            expires: new Date().getTime() + timeToLive * 1000,
+            value: value
+        };
+
+        remember(key, entry);
+
+        if (storage) {
+            try {
+                storage.setItem(keyPrefix + key, JSON.stringify(entry));
+            } catch (error) {
+                // Storage is full or unavailable: keep the answer in memory.
+            }
+        }
+    }
+
+
+    /**
+     * Keeps the given answer in memory as the most recently used, dropping
+     * the least recently used answer if the cache is full.
+     *
+     * @param {String} key The answer key.
+     * @param {Array} entry The answer, of the form {expires, value}.
+     */
+    function remember(key, entry) {
+        for (var i = 0; i < keys.length; i++) {
+            if (keys[i] == key) {
+                keys.splice(i, 1);
+                break;
+            }
+        }
+
+        keys.push(key);
+        entries[key] = entry;
+
+        if (keys.length > capacity) {
+            delete entries[keys.shift()];
+        }
+    }
+
+
+    /**
+     * Reads the answer with the given key from storage.
+     *
+     * @param {String} key The answer key.
+     * @return {Array} The answer, of the form {expires, value}, or null if it
+     *         isn't stored.
+     */
+    function read(key) {
+        try {
+            return storage ? JSON.parse(storage.getItem(keyPrefix + key)) : 
+                    null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+
+    /**
+     * Removes expired answers from storage, so that they don't fill it up.
+     */
+    function removeExpired() {
+
+        // Keys of the stored answers.
+        var storedKeys = [];
+
+        // A stored answer.
+        var entry;
+
+        if (!storage) {
+            return;
+        }
+
+        try {
+            for (var i = 0; i < storage.length; i++) {
+                if (storage.key(i).indexOf(keyPrefix) == 0) {
+                    storedKeys.push(storage.key(i).substring(keyPrefix.length));
+                }
+            }
+
+            for (var j = 0; j < storedKeys.length; j++) {
+                entry = read(storedKeys[j]);
+
+                if (!entry || entry.expires <= new Date().getTime()) {
+                    storage.removeItem(keyPrefix + storedKeys[j]);
+                }
+            }
+        } catch (error) {
+            // Storage is unavailable.
+        }
+    }
+}
+
+
+/**
+ * Makes a route from its legs, totalling their distances and durations.
+ *
+ * @param {Array} legs Array of the route legs between consecutive stops.
+ * @param {Array} path Array of {lat, lng} locations the route line passes
+ *         through.
+ * @param {String} summary Short description of the route.
+ * @param {Array} locations Array of the route stop locations, in order.
+ * @param {Array} steps Array of the route's turn-by-turn directions
+ *         (optional).
+ * @return {Array} The route.
+ */
+function joinLegs(legs, path, summary, locations, steps) {
+    var route = {
+        distance: 0,
+        duration: 0,
+        durationInTraffic: 0,
+        path: path,
+        summary: summary,
+        legs: legs,
+        locations: locations,
+        steps: steps || []
+    };
+
+    for (var i = 0; i < legs.length; i++) {
+        route.distance += legs[i].distance;
+        route.duration += legs[i].duration;
+
+        // Traffic data is only known for the route if it is known for every
+        // leg.
+        route.durationInTraffic = route.durationInTraffic !== null &&
+                legs[i].durationInTraffic !== null ?
+                route.durationInTraffic + legs[i].durationInTraffic : null;
+    }
+
+    return route;
+}
+
+
+/**
+ * Finds the bounds of the given areas: the smallest box that holds them all.
+ *
+ * @param {Array} areas Array of areas, each an Array of {lat, lng} points.
+ * @return {Array} The bounds, of the form {south, west, north, east}, or null
+ *         if there are no points.
+ */
+function findBounds(areas) {
+
+    // Bounds found so far.
+    var bounds = null;
+
+    for (var i = 0; i < areas.length; i++) {
+        for (var j = 0; j < areas[i].length; j++) {
+            if (!bounds) {
+                bounds = {
+                    south: areas[i][j].lat,
+                    west: areas[i][j].lng,
+                    north: areas[i][j].lat,
+                    east: areas[i][j].lng
+                };
+            }
+
+            bounds.south = Math.min(bounds.south, areas[i][j].lat);
+            bounds.west = Math.min(bounds.west, areas[i][j].lng);
+            bounds.north = Math.max(bounds.north, areas[i][j].lat);
+            bounds.east = Math.max(bounds.east, areas[i][j].lng);
+        }
+    }
+
+    return bounds;
+}
+
+
+// Make the routing providers that don't need the Google Maps API available to
+// Node.
+if (typeof module != 'undefined' && module.exports) {
+    module.exports = {
+        RoutingStatus: RoutingStatus,
+        OsrmRoutingProvider: OsrmRoutingProvider,
+        FixtureRoutingProvider: FixtureRoutingProvider,
+        UnavailableRoutingProvider: UnavailableRoutingProvider,
+        TimeoutRoutingProvider: TimeoutRoutingProvider,
+        CachingRoutingProvider: CachingRoutingProvider,
+        joinLegs: joinLegs,
+        findBounds: findBounds
+    };
+}
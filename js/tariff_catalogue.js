@@ -0,0 +1,76 @@
+/**
+ * This class represents a catalogue of taxi tariffs. Tariffs are grouped by
+ * service (e.g. taxi, accessible taxi, limousine), and each tariff is in effect
+ * from its effective date until the next tariff of the same service takes
+ * over, so historical rate tables can be kept alongside the current ones.
+ *
+ * This class has no dependencies on the DOM or jQuery, so it can be used from
+ * both the browser and Node.
+ *
+ * @param {Array} services Array of services, each an associative array that
+ *         includes:
+ *         1) id: The service ID.
+ *         2) name: The service name shown to the user.
+ *         3) tariffs: Array of the service's tariffs, each an associative
+ *                    array of the values used by FareEngine.estimate(), plus:
+ *                    1) id: The tariff ID.
+ *                    2) effective: The date the tariff takes effect, as a
+ *                               "YYYY-MM-DD" string.
+ *                    3) airport: The airport area (an Array of {lat, lng}
+ *                               points), or null if the tariff has no flat
+ *                               rates.
+ *                    4) zones: Array of flat-rate zones, each of the form
+ *                               {name: String, fare: Number, area: Array}.
+ *                    5) freePassengers, extraPassengerRate, luggageRate and
+ *                               tolls: The surcharges and tolls used by
+ *                               FareEngine.addExtras().
+ */
+function TariffCatalogue(services) {
+
+
+    /**
+     * Returns the services in this catalogue.
+     *
+     * @return {Array} The services in this catalogue.
+     */
+    this.getServices = function() {
+        return services;
+    }
+
+
+    /**
+     * Returns the tariff of the given service in effect on the given date.
+     *
+     * @param {String} serviceId The ID of the service.
+     * @param {String} date The trip date, as a "YYYY-MM-DD" string.
+     * @return {Array} The tariff in effect, or null if the service is unknown
+     *         or none of its tariffs had taken effect by the given date.
+     */
+    this.find = function(serviceId, date) {
+
+        // The latest tariff in effect on the given date.
+        var tariff = null;
+
+        for (var i = 0; i < services.length; i++) {
+            if (services[i].id != serviceId) {
+                continue;
+            }
+
+            for (var j = 0; j < services[i].tariffs.length; j++) {
+                if (services[i].tariffs[j].effective <= date &&
+                        (!tariff ||
+                        services[i].tariffs[j].effective > tariff.effective)) {
+                    tariff = services[i].tariffs[j];
+                }
+            }
+        }
+
+        return tariff;
+    }
+}
+
+
+// Make the tariff catalogue available to Node.
+if (typeof module != 'undefined' && module.exports) {
+    module.exports = TariffCatalogue;
+}
@@ -1,32 +1,96 @@
-jQuery(document).ready(TaxiFareFinder);
-
-
 /**
- * This class is the driver class of a taxi fare estimator. It creates:
- * 1) Input fields where the user enters their taxi route origin and 
- *    destination.
+ * This class is the driver class of a taxi fare estimator. It creates, in the
+ * given container element:
+ * 1) Input fields where the user enters their taxi route origin, destination
+ *    and any number of intermediate stops.
  * 2) A button the user clicks to show their estimated taxi fare. 
  * 3) A map (via Google Maps API) that shows the taxi route from origin to
  *    destination.
  * 4) An output field that shows the estimated taxi fare and route distance (or 
- *    an error message if a valid route origin or destination has not been
- *    provided).
+ *    an error message saying what is wrong with the route origin, destination
+ *    or stops, or with the request, if no fare can be estimated).
  * 5) A fare calculator that computes an estimate of the taxi route fare based
- *    on the route distance.
+ *    on the route distance. The map and the fare calculator are both given
+ *    the route found by a single estimate pipeline.
+ * 6) A service selector and trip date input that choose the tariff (from the
+ *    tariff catalogue in xml/tariffs.xml) the fare is calculated with.
+ * 7) A riders input field that sets how many riders the fare is split among.
+ * 8) Address suggestions under each origin, destination and stop input field
+ *    (from the geocoder, the landmarks in xml/landmarks.xml and the user's
+ *    saved places).
+ * 9) A saved places panel where the user names addresses (e.g. "Home") to use
+ *    again, and an estimate history panel listing the user's recent
+ *    estimates, both kept in the browser's storage.
+ * 10) A "use my location" button that sets the origin to the user's location.
+ * 11) A bags input field and a tip selector, whose surcharges and tip are
+ *    added to the fare (along with any tolls) in its itemized breakdown.
+ * 12) A departure picker ("leave now" or "depart at") that sets the traffic
+ *    the fare is estimated in, and a chart of the fare by departure hour.
+ * 13) A comparison of the taxi with transit, walking and cycling (the time
+ *    each takes and what it costs), each shown on the map when chosen.
+ * 14) Turn-by-turn directions of the route shown on the map, listed as text
+ *    for users who can't see the map.
+ * 15) A receipt of the estimate shown, which can be printed or downloaded as
+ *    JSON or CSV.
+ * 16) A budget mode that finds how far a budget goes by taxi, and shows the
+ *    area it reaches from the origin on the map.
+ *
+ * Every field has a label, estimates and errors are announced to screen
+ * readers, the finder can be used from the keyboard alone (Enter in an
+ * address field runs the estimate), and animations are left out for users
+ * who prefer reduced motion.
+ *
+ * Finders are created with TaxiFareFinder.create(), and any number of them
+ * can be embedded in one page (e.g. on partner sites). Each finder can be
+ * asked for an estimate programmatically (see estimate()), and tells its
+ * listeners of each estimate shown and each error (see bind()).
+ *
+ * The finder of the application's own page also shows the page text and the
+ * language selector, records each estimate in the page URL and shows the
+ * estimate in the URL when the page loads.
+ *
+ * Addresses are coded and routes found through a routing provider (see
+ * routing_providers.js) chosen in xml/strings.xml, so the application can use
+ * our own router instead of Google Maps.
  *
  * This class makes use of the jQuery library and Google Maps API. 
+ *
+ * @param {jQuery} container The element the finder is created in.
+ * @param {Array} options An associative array of the finder's options (see
+ *         TaxiFareFinder.create()).
  */
-function TaxiFareFinder() {
+function TaxiFareFinder(container, options) {
     
     // Origin input field.
     var originInput;
     
     // Destination input field.
     var destinationInput;
+    
+    // List of intermediate stop input fields.
+    var stopList;
+    
+    // Number of riders input field.
+    var ridersInput;
+    
+    // Number of bags input field.
+    var luggageInput;
+    
+    // Tip percentage selector.
+    var tipSelector;
 
     // Button shown to user.
     var showFareButton;
     
+    // Service selector (e.g. taxi, limousine).
+    var serviceSelect;
+    
+    // Trip date input field.
+    var tripDateInput;
+    
+    // Departure time picker ("leave now" or "depart at").
+    var departurePicker;
+    
     // Map of route.
     var mapOutput;
     
@@ -35,745 +99,5824 @@ function TaxiFareFinder() {
     
     // Estimates the taxi fare for travelling a certain route.
     var fareCalculator;
+    
+    // Finds the taxi routes shown by the map and the fare calculator.
+    var estimatePipeline;
+    
+    // Geocodes addresses and finds routes.
+    var routingProvider;
+    
+    // Areas taxis are licensed to serve (e.g. the city and the airport).
+    var serviceArea;
+    
+    // Offers the other places matched by ambiguous addresses.
+    var addressChoices;
+    
+    // Estimates fares from distances entered by hand when routing is
+    // unavailable.
+    var manualDistance;
+    
+    // Finds how far a budget goes.
+    var budgetMode;
+    
+    // Chart of the fare by departure hour.
+    var fareByHourChart;
+    
+    // Compares the taxi with other ways to travel the route.
+    var modeComparison;
+    
+    // Turn-by-turn directions of the route shown, as an alternative to the
+    // map.
+    var routeDirections;
+    
+    // Printable and downloadable receipt of the estimate shown.
+    var tripReceipt;
+    
+    // Records estimates in the page URL and restores them from it.
+    var estimateUrl;
+    
+    // Catalogue of tariffs the fare can be calculated with.
+    var tariffCatalogue;
+    
+    // Landmarks suggested as addresses.
+    var landmarks;
+    
+    // The user's named addresses (e.g. "Home").
+    var savedPlaces;
+    
+    // The user's recent estimates.
+    var estimateHistory;
+    
+    // Formats numbers, amounts of money and distances for the locale.
+    var localeFormat;
+    
+    // Sets the origin to the user's location.
+    var originLocator;
+    
+    // Resolved once the finder has been initialized, or rejected with the
+    // error if its strings, tariffs or landmarks couldn't be loaded.
+    var initialized = jQuery.Deferred();
+    
+    // Functions called with each estimate and each error, by event type.
+    var listeners = {estimate: new Array(), error: new Array()};
+    
+    // Deferred estimates requested via estimate(), settled by the next
+    // estimate or error.
+    var pendingEstimates = new Array();
+    
+    addStylesheet();
+    makeWidget();
    
-    // Initialize the input/output fields with the loaded configurable values.
-    jQuery.ajax({
-        type: 'GET',
-        url: 'xml/strings.xml',
-        dataType: 'xml',
-        success: initialize
-    });
-
+    // Initialize the input/output fields with the loaded configurable values,
+    // tariffs and landmarks.
+    jQuery.when(
+        jQuery.ajax({
+            type: 'GET',
+            url: options.baseUrl + 'xml/strings.xml',
+            dataType: 'xml'
+        }),
+        jQuery.ajax({
+            type: 'GET',
+            url: options.baseUrl + 'xml/tariffs.xml',
+            dataType: 'text'
+        }),
+        jQuery.ajax({
+            type: 'GET',
+            url: options.baseUrl + 'xml/landmarks.xml',
+            dataType: 'xml'
+        })
+    ).done(function(stringsResponse, tariffsResponse, landmarksResponse) {
+        loadLocale(stringsResponse[0], function(xml, locale) {
+            initialize(xml, tariffsResponse[0], landmarksResponse[0], locale);
+        });
+    }).fail(reportLoadError);
+    
     
     /**
-     * Initializes the taxi route origin and destination input fields, the "show
-     * fare" button, the map and message output fields, and the fare calculator 
-     * object.
+     * Estimates the fare of the given trip, filling in the finder's input
+     * fields with it and showing the estimate as if the user had asked for
+     * it. If another estimate is asked for before this one is shown, both are
+     * settled by the later one.
      *
-     * @param xml XML received via AJAX GET request.
-     */     
-    function initialize(xml) {        
-        originInput = new InputField(
-            jQuery('#origin-input'), 
-            jQuery(xml).find('#origin_input_placeholder').text()
-        );
-
-        destinationInput = new InputField(
-            jQuery('#destination-input'), 
-            jQuery(xml).find('#destination_input_placeholder').text()
-        );       
-              
-        showFareButton = jQuery('#show-fare-button').text(jQuery(xml)
-                .find('#show_fare_button_value').text());
+     * @param {Array} trip An associative array of the trip. Includes:
+     *         1) origin: The origin address.
+     *         2) destination: The destination address.
+     *         3) stops: (optional) Array of the intermediate stop addresses.
+     *         4) service: (optional) The ID of the service (default: the one
+     *                    selected).
+     *         5) date: (optional) The trip date, as a "YYYY-MM-DD" string
+     *                    (default: the one entered).
+     *         6) riders: (optional) The number of riders (default: 1).
+     *         7) bags: (optional) The number of bags (default: 0).
+     *         8) tip: (optional) The tip percentage (default: 0).
+     *         9) departure: (optional) The departure time on the trip date,
+     *                    as "HH:MM" (default: leave now).
+     * @return {Promise} A jQuery promise resolved with the estimate (see
+     *         FareCalculator.addEstimateListener()), or rejected with the
+     *         error (see FareCalculator.addErrorListener(), and
+     *         reportLoadError() if the finder couldn't be loaded).
+     */
+    this.estimate = function(trip) {
+        var estimate = jQuery.Deferred();
         
-        fareOutput = new OutputField(
-            jQuery('#fare-output'),
-            {
-                hidden: 'js-hidden',
-                error: 'error',
-                totalFare: 'total-fare'
-            }
-        );
+        initialized.fail(estimate.reject);
         
-        mapOutput = new MapDisplay(
-            jQuery('#map-output'),
-            originInput,
-            destinationInput,
-            showFareButton,
-            fareOutput,
-            new google.maps.LatLng(
-                parseFloat(jQuery(xml).find('#map_output_center_lat').text()), 
-                parseFloat(jQuery(xml).find('#map_output_center_lng').text())
-            ),
-            {
-                defaultZoomLevel: parseInt(jQuery(xml)
-                        .find('#map_output_default_zoom_level').text()),                 
-                
-                mapStyleName: jQuery(xml)
-                        .find('#map_output_map_style_name').text(), 
-
-                markerImageUrlPrefix: jQuery(xml)
-                        .find('#map_output_marker_image_url_prefix').text(), 
-                markerShadowUrl: jQuery(xml)
-                        .find('#map_output_marker_shadow_url').text(), 
-                
-                originMarkerColour: jQuery(xml)
-                        .find('#map_output_origin_marker_colour').text(),
-                originMarkerIcon: jQuery(xml)
-                        .find('#map_output_origin_marker_icon').text(),
-                originMarkerTitle: jQuery(xml)
-                        .find('#map_output_origin_marker_title').text(),               
-                                
-                destinationMarkerColour: jQuery(xml)
-                        .find('#map_output_destination_marker_colour').text(),
-                destinationMarkerIcon: jQuery(xml)
-                        .find('#map_output_destination_marker_icon').text(),                 
-                destinationMarkerTitle: jQuery(xml)
-                        .find('#map_output_destination_marker_title').text(),
-                
-                routeStrokeColour: jQuery(xml)
-                        .find('#map_output_route_stroke_colour').text(),
-                routeStrokeWeight: jQuery(xml)
-                        .find('#map_output_route_stroke_weight').text()
-            },
-            jQuery(xml).find('#invalid_input_error_message').text(),
-            'error'            
-        );
-                
-        fareCalculator = new FareCalculator(
-            originInput,
-            destinationInput,
-            showFareButton,
-            fareOutput,
-            {
-                baseRate: new Decimal(parseFloat(jQuery(xml)
-                        .find('#fare_base_rate').text()), 2),
-                distanceUnit: new Decimal(parseFloat(jQuery(xml)
-                        .find('#fare_distance_unit').text()), 3),
-                ratePerDistanceUnit: new Decimal(parseFloat(jQuery(xml)
-                        .find('#fare_rate_per_distance_unit').text()), 2)
-            }
-        );
-    }  
-}
-
-
-/**
- * This class represents an input field. This field displays placeholder text 
- * when empty.
- *
- * This class makes use of the jQuery library. 
- *
- * @param {jQuery} element The input field element.
- * @param {String} placeholder This input field's placeholder text.
- */
-function InputField(element, placeholder) {
-
-    // This input field's last recorded value.
-    var oldValue = new String();
-
-    showPlaceholder();
-    
-    element.focus(updateOnFocus).blur(updateOnBlur); 
-   
-      
-    /**
-     * Returns the input field element.
-     * 
-     * @return {jQuery} The input field element.
-     */   
-    this.getElement = function() {
-        return element;
-    }
-
-
-    /**
-     * Returns this input field's placeholder text.
-     * 
-     * @return {String} This input field's placeholder text.
-     */     
-    this.getPlaceholder = function() {
-        return placeholder;
+        initialized.done(function() {
+            pendingEstimates.push(estimate);
+            
+            estimateUrl.open('?' + jQuery.param(
+                {
+                    from: trip.origin || '',
+                    via: trip.stops || [],
+                    to: trip.destination || '',
+                    service: trip.service || serviceSelect.val(),
+                    date: trip.date || tripDateInput.val(),
+                    depart: trip.departure || '',
+                    riders: trip.riders || 1,
+                    bags: trip.bags || 0,
+                    tip: trip.tip || 0
+                },
+                true
+            ));
+        });
+        
+        return estimate.promise();
     }
-
+    
     
     /**
-     * Returns this input field's last recorded value.
-     * 
-     * @return {String} This input field's last recorded value.
-     */     
-    this.getOldValue = function() {
-        return oldValue;
+     * Adds a function to call on each event of the given type: either
+     * "estimate" (called with each estimate shown, see
+     * FareCalculator.addEstimateListener()) or "error" (called with each
+     * error shown, see FareCalculator.addErrorListener()).
+     *
+     * @param {String} eventType The event type.
+     * @param {function} listener The function to call.
+     * @return {TaxiFareFinder} This finder.
+     */
+    this.bind = function(eventType, listener) {
+        listeners[eventType].push(listener);
+        
+        return this;
     }
     
     
     /**
-     * Sets this input field's last recorded value to a new value.
-     * 
-     * @param {String} newValue The new value to set this field's last recorded
-     *         value to.
-     */             
-    this.setOldValue = function(newValue) {
-        oldValue = newValue;
+     * Calls the listeners of the given event type and settles the pending
+     * estimates (resolving them with an estimate, rejecting them with an
+     * error).
+     *
+     * @param {String} eventType The event type ("estimate" or "error").
+     * @param {Array} value The estimate or error.
+     */
+    function notify(eventType, value) {
+        jQuery.each(listeners[eventType], function(count, listener) {
+            listener(value);
+        });
+        
+        jQuery.each(pendingEstimates, function(count, estimate) {
+            if (eventType == 'estimate') {
+                estimate.resolve(value);
+            } else {
+                estimate.reject(value);
+            }
+        });
+        
+        pendingEstimates = new Array();
     }
     
     
     /**
-     * Shows this input field's placeholder text.
+     * Reports that the finder's strings, tariffs or landmarks couldn't be
+     * loaded: shows the error in the fare output, tells the error listeners
+     * and rejects the initialization and the pending estimates. The message
+     * isn't translated, since the strings may be what failed to load.
      */
-    function showPlaceholder() {
-        element.val(placeholder).addClass('placeholder');
+    function reportLoadError() {
+        
+        // The error told to the listeners.
+        var error = {
+            type: 'loadFailed',
+            message: 'The taxi fare finder couldn\'t be loaded. ' +
+                    'Please reload the page and try again.',
+            field: null,
+            retryable: true
+        };
+        
+        container.find('.fare-output')
+                .removeClass('js-hidden')
+                .addClass('error')
+                .text(error.message);
+        
+        notify('error', error);
+        initialized.reject(error);
     }
-
-
-    /**
-     * Hides this input field's placeholder text.
-     */    
-    function hidePlaceholder() {
-        element.val('').removeClass('placeholder');
-    } 
     
     
     /**
-     * Checks if the field's placeholder text is showing, and hides it if it 
-     * is.
-     */           
-    function updateOnFocus() {
-        if(element.val() == placeholder && element.hasClass('placeholder')) {
-            hidePlaceholder();
-        } 
+     * Adds the finder's stylesheet to the page, unless it has no stylesheet
+     * or the stylesheet is already linked.
+     */
+    function addStylesheet() {
+        if (!options.stylesheet || 
+                jQuery('link[href="' + options.stylesheet + '"]').length) {
+            return;
+        }
+        
+        jQuery('head').append(jQuery('<link rel="stylesheet" />')
+                .attr('href', options.stylesheet));
     }
-
-
-    /**
-     * Checks if this input field's value is empty, and shows its placeholder 
-     * text if it is.
-     */    
-    function updateOnBlur() {
-        if(element.val() == '') {
-            showPlaceholder();
-            oldValue = '';            
-        } 
-    }   
-}
-
-
-/**
- * This class shows a map that displays the taxi route from the given origin to
- * the given destination. If either the origin or the destination is invalid,
- * it calls for an additional error message to be displayed.
- *
- * This class makes use of the jQuery library and Google Maps API.
- *
- * @param {jQuery} element The output element that displays the taxi route map.
- * @param {InputField} originInput The input field where the taxi route origin 
- *         is entered.
- * @param {InputField} destinationInput The input field where the taxi route 
- *         destination is entered. 
- * @param {jQuery} showFareButton The button that, when clicked, displays the
- *         taxi route from the origin to the destination, along with the 
- *         estimated fare.
- * @param {jQuery} outputField The output field that shows the taxi fare 
- *         estimate (or an error message if either the given route origin or 
- *         destination is invalid).
- * @param {Array} mapProperties Associative array of map and map element 
- *         properties. Includes:
- *          1) defaultZoomLevel: Default zoom level to display map at.
- *          2) mapStyleName: Name of map style.
- *          3) markerImageUrlPrefix: URL prefix for dynamic marker image load.
- *          4) markerShadowUrl: URL for dynamic marker shadow load.
- *          5) originMarkerColour: Origin marker colour.
- *          6) originMarkerIcon: Origin marker icon in marker image.
- *          7) originMarkerTitle: Origin marker title shown on hover.
- *          8) destinationMarkerColour: Destination marker colour.
- *          9) destinationMarkerIcon: Destination marker icon in marker image.
- *         10) destinationMarkerTitle: Destination marker title shown on hover.
- *         11) routeStrokeColour: Taxi route stroke colour.
- *         12) routeStrokeWeight: Taxi route stroke weight.
- * 
- * @param {String} errorMessage The error message to show when the given route
- *         origin or destination is invalid. 
- * @param {String} errorClass The styling class applied to the output field when
- *         it shows an error message.
- */
-function MapDisplay(
-    element,     
-    originInput, 
-    destinationInput, 
-    showFareButton,
-    fareOutput,
-    center,
-    mapProperties,
-    errorMessage,
-    errorClass
-) {      
-    
-    // Geocoder for coding addresses.
-    var geocoder = new google.maps.Geocoder();
-
-    // DirectionsService used to find directions between origin and destination.
-    var directionsService = new google.maps.DirectionsService();
     
-    // Array of (uncoded) addresses provided by user.
-    var addresses = new Array();
     
-    // Array of coded addresses ready to be shown on map.
-    var codedAddresses = new Array();
-
-    // Array of map style settings.
-    var mapStyle = [
-        {
-            featureType: 'all',
-            stylers: [
-                {saturation: -100},
-                {gamma: 1}
-            ]
-        }
-    ]
-   
-    // "Greyscale" styled map type.
-    var styledMapType = new google.maps.StyledMapType(
-        mapStyle, 
-        {name: mapProperties.mapStyleName}
-    );
-           
-    // Show map at default location.
-    showMap(
-        {
-            zoom: mapProperties.defaultZoomLevel,
-            center: center,
-            mapTypeControlOptions: {
-                mapTypeIds: [
-                    google.maps.MapTypeId.ROADMAP, 
-                    mapProperties.mapStyleName
-                ]
-            }
-        }
-    ); 
+    /**
+     * Makes the finder's input and output elements in its container. Element
+     * IDs (needed by labels) are prefixed by the finder's number, so that
+     * several finders can share a page.
+     */
+    function makeWidget() {
+        
+        // Prefix of the element IDs.
+        var idPrefix = 'taxi-fare-finder-' + (++TaxiFareFinder.count) + '-';
+        
+        container.addClass('taxi-fare-finder').html((
+            '<label class="origin-label" for="{id}origin-input"></label>' +
+            '<img class="origin-marker-image" alt="" />' +
+            '<input id="{id}origin-input" class="origin-input" ' +
+                    'type="text" />' +
+            '<button class="locate-button"></button>' +
+            
+            '<div class="stop-list"></div>' +
+            '<button class="add-stop-button"></button>' +
+            
+            '<label class="destination-label" ' +
+                    'for="{id}destination-input"></label>' +
+            '<img class="destination-marker-image" alt="" />' +
+            '<input id="{id}destination-input" class="destination-input" ' +
+                    'type="text" />' +
+            
+            '<label class="service-label" for="{id}service-select">' +
+                    '</label>' +
+            '<select id="{id}service-select" class="service-select">' +
+                    '</select>' +
+            '<label class="trip-date-label" for="{id}trip-date-input">' +
+                    '</label>' +
+            '<input id="{id}trip-date-input" class="trip-date-input" ' +
+                    'type="date" />' +
+            
+            '<div class="departure">' +
+                '<label class="departure-label" ' +
+                        'for="{id}departure-select"></label>' +
+                '<select id="{id}departure-select" ' +
+                        'class="departure-select"></select>' +
+                '<input class="departure-time-input" type="time" />' +
+            '</div>' +
+            
+            '<label class="riders-label" for="{id}riders-input"></label>' +
+            '<input id="{id}riders-input" class="riders-input" ' +
+                    'type="number" min="1" value="1" />' +
+            
+            '<label class="luggage-label" for="{id}luggage-input"></label>' +
+            '<input id="{id}luggage-input" class="luggage-input" ' +
+                    'type="number" min="0" value="0" />' +
+            
+            '<div class="tip">' +
+                '<label class="tip-label" for="{id}tip-select"></label>' +
+                '<select id="{id}tip-select" class="tip-select"></select>' +
+                '<input class="tip-input" type="number" min="0" step="1" />' +
+            '</div>' +
+            
+            '<div class="miles">' +
+                '<input id="{id}miles-input" class="miles-input" ' +
+                        'type="checkbox" />' +
+                '<label class="miles-label" for="{id}miles-input"></label>' +
+            '</div>' +
+            
+            '<button class="show-fare-button"></button>' +
+            
+            '<div class="manual-distance">' +
+                '<p class="degraded-notice"></p>' +
+                '<label class="manual-distance-label" ' +
+                        'for="{id}manual-distance-input"></label>' +
+                '<input id="{id}manual-distance-input" ' +
+                        'class="manual-distance-input" ' +
+                        'type="text" inputmode="decimal" />' +
+                '<button class="manual-fare-button"></button>' +
+            '</div>' +
+            
+            '<div class="budget-mode">' +
+                '<label class="budget-label" for="{id}budget-input"></label>' +
+                '<input id="{id}budget-input" class="budget-input" ' +
+                        'type="text" inputmode="decimal" />' +
+                '<button class="budget-button"></button>' +
+                '<p class="budget-output" aria-live="polite"></p>' +
+            '</div>' +
+            
+            '<div class="fare-output js-hidden"></div>' +
+            '<p class="fare-announcement visually-hidden" aria-live="polite">' +
+                    '</p>' +
+            '<div class="trip-receipt"></div>' +
+            '<div class="address-choices panel"></div>' +
+            '<div class="fare-chart panel"></div>' +
+            '<div class="mode-comparison panel"></div>' +
+            '<div class="map-output" role="region"></div>' +
+            '<div class="route-directions panel"></div>' +
+            '<div class="saved-places panel"></div>' +
+            '<div class="estimate-history panel"></div>'
+        ).replace(/\{id\}/g, idPrefix));
+    }
     
-    showFareButton.bind('click', updateContent);
     
-     
     /**
-     * Shows the map to the user. The map may include markers at the origin and
-     * destination points specified by the user, as well as the taxi route line
-     * between those points.
+     * Loads the resource file of the locale chosen by the user (or else the
+     * browser's language, if there is a resource file for it) and merges its
+     * strings into the loaded configurable values. The first of the locales
+     * listed in xml/strings.xml is the default, and its strings are the ones
+     * in xml/strings.xml itself. Each other locale has a resource file, 
+     * xml/strings-<locale>.xml, with the strings it translates.
      *
-     * @param {Array} mapOptions Associative array of settings for the shown map
-     *         (e.g. the center coordinates of the map and zoom level).
-     * @param {Array} Array of markers to be shown on the map.
+     * @param xml XML received via AJAX GET request.
+     * @param {function} callback Function called with the merged XML and the
+     *         locale once the locale's resource file has loaded (or failed to).
      */
-    function showMap(mapOptions, markers) {
+    function loadLocale(xml, callback) {
         
-
-        // Map that is shown to user.
-        var map = new google.maps.Map(element.get(0), mapOptions);
+        // Locales the application is translated into, the default first.
+        var locales = jQuery(xml).find('#locales').text().split(',');
         
-        map.mapTypes.set(mapProperties.mapStyleName, styledMapType);
-        map.setMapTypeId(mapProperties.mapStyleName);
+        // The locale strings are shown in.
+        var locale = chooseLocale(
+            locales, 
+            options.locale || readStorage(
+                findLocalStorage(), 
+                jQuery(xml).find('#locale_storage_key').text()
+            )
+        );
         
-        // Styling options for the taxi route line.
-        var polylineOptions = new google.maps.Polyline({
-            strokeColor: mapProperties.routeStrokeColour, 
-            strokeWeight: mapProperties.routeStrokeWeight
-        });
+        if (locale == locales[0]) {
+            callback(xml, locale);
+            return;
+        }
         
-        // DirectionsRenderer to show taxi route line.
-        var directionsDisplay = new google.maps.DirectionsRenderer({
-            polylineOptions: polylineOptions,
-            suppressMarkers: true,
-            suppressInfoWindows: true
+        jQuery.ajax({
+            type: 'GET',
+            url: options.baseUrl + 'xml/strings-' + locale + '.xml',
+            dataType: 'xml'
+        }).done(function(localeXml) {
+            jQuery(localeXml).find('string').each(function() {
+                jQuery(xml).find('#' + jQuery(this).attr('id'))
+                        .text(jQuery(this).text());
+            });
+        }).always(function() {
+            callback(xml, locale);
         });
-        directionsDisplay.setMap(map);
-
-        // Show markers (if any) on map.
-        if(markers) {
+    }
+    
+    
+    /**
+     * Chooses the locale strings are shown in: the locale the user chose, or
+     * else the first of the browser's languages the application is translated
+     * into, or else the default locale.
+     *
+     * @param {Array} locales Array of the locales the application is 
+     *         translated into, the default first.
+     * @param {String} chosenLocale The locale the user chose (or null).
+     * @return {String} The locale.
+     */
+    function chooseLocale(locales, chosenLocale) {
+        
+        // Locales to try, in order of preference.
+        var candidates = [chosenLocale].concat(
+            navigator.languages || [],
+            [navigator.language, navigator.userLanguage]
+        );
+        
+        for (var i = 0; i < candidates.length; i++) {
+            if (!candidates[i]) {
+                continue;
+            }
+            
+            // The language of the candidate, without its region (e.g. "fr"
+            // for "fr-CA").
+            var language = candidates[i].toLowerCase().split('-')[0];
+            
+            if (jQuery.inArray(language, locales) >= 0) {
+                return language;
+            }
+        }
+        
+        return locales[0];
+    }
+    
+    
+    /**
+     * Initializes the routing provider, the tariff catalogue, the landmarks,
+     * the taxi route origin, destination and stop input fields (with address
+     * suggestions), the service selector, trip date and riders input fields,
+     * the "show fare" button, the estimate pipeline, the map and message
+     * output fields, the "use my location" button, the fare calculator
+     * object, the saved places and estimate history panels, the page text and
+     * the language selector (if this is the page's finder) and the miles
+     * option. The map is only shown if the Google Maps API is available. Then
+     * shows the estimate in the page URL (if any).
+     *
+     * @param xml XML received via AJAX GET request (merged with the locale's
+     *         resource file).
+     * @param {String} tariffsText Tariff catalogue XML text received via AJAX
+     *         GET request (see ConfigReader).
+     * @param landmarksXml Landmarks XML received via AJAX GET request.
+     * @param {String} locale The locale strings are shown in.
+     */     
+    function initialize(xml, tariffsText, landmarksXml, locale) {        
+        
+        // Routing provider named in the configurable values (or the one used
+        // when no routing is available).
+        var namedRoutingProvider;
+        
+        if (options.page) {
+            initializePage(xml, locale);
+        }
+        
+        localeFormat = new LocaleFormat(
+            jQuery(xml).find('#number_decimal_separator').text(),
+            jQuery(xml).find('#number_group_separator').text(),
+            jQuery(xml).find('#currency_format').text(),
+            {
+                km: jQuery(xml).find('#distance_format_km').text(),
+                mi: jQuery(xml).find('#distance_format_mi').text()
+            },
+            {
+                minutes: jQuery(xml).find('#duration_format_minutes').text(),
+                hours: jQuery(xml).find('#duration_format_hours').text()
+            },
+            readStorage(
+                findLocalStorage(), 
+                jQuery(xml).find('#miles_storage_key').text()
+            ) === true
+        );
+        
+        serviceArea = ConfigReader.readAreas(
+            jQuery(xml).find('#service_area').text()
+        );
+        namedRoutingProvider = makeRoutingProvider(
+            xml, 
+            findBounds(serviceArea)
+        );
+        
+        routingProvider = new CachingRoutingProvider(
+            new TimeoutRoutingProvider(
+                namedRoutingProvider,
+                parseInt(jQuery(xml).find('#routing_timeout').text())
+            ),
+            parseInt(jQuery(xml).find('#routing_cache_size').text()),
+            {
+                geocode: parseInt(jQuery(xml)
+                        .find('#routing_cache_geocode_ttl').text()),
+                route: parseInt(jQuery(xml)
+                        .find('#routing_cache_route_ttl').text())
+            },
+            findLocalStorage(),
+            jQuery(xml).find('#routing_cache_key_prefix').text()
+        );
+        
+        tariffCatalogue = new TariffCatalogue(
+            ConfigReader.readServices(tariffsText)
+        );
+        
+        landmarks = jQuery.map(
+            jQuery(landmarksXml).find('landmark'), 
+            function(landmark) {
+                return {
+                    address: jQuery(landmark).attr('name'),
+                    location: {
+                        lat: parseFloat(jQuery(landmark).attr('lat')),
+                        lng: parseFloat(jQuery(landmark).attr('lng'))
+                    }
+                };
+            }
+        );
+        
+        container.find('.origin-label').text(jQuery(xml)
+                .find('#origin_input_label').text());
+        
+        container.find('.origin-marker-image').attr('src', 
+                makeMarkerImageUrl(xml, 'origin'));
+        
+        originInput = new InputField(
+            container.find('.origin-input'), 
+            jQuery(xml).find('#origin_input_placeholder').text()
+        );
+        
+        container.find('.destination-label').text(jQuery(xml)
+                .find('#destination_input_label').text());
+        
+        container.find('.destination-marker-image').attr('src', 
+                makeMarkerImageUrl(xml, 'destination'));
+        
+        destinationInput = new InputField(
+            container.find('.destination-input'), 
+            jQuery(xml).find('#destination_input_placeholder').text()
+        );       
+        
+        savedPlaces = new SavedPlaces(
+            container.find('.saved-places'),
+            originInput,
+            destinationInput,
+            findLocalStorage(),
+            jQuery(xml).find('#saved_places_storage_key').text(),
+            {
+                title: jQuery(xml).find('#saved_places_title').text(),
+                name: jQuery(xml)
+                        .find('#saved_places_name_input_placeholder').text(),
+                saveOrigin: jQuery(xml)
+                        .find('#saved_places_save_origin_button_value').text(),
+                saveDestination: jQuery(xml)
+                        .find('#saved_places_save_destination_button_value')
+                        .text(),
+                origin: jQuery(xml)
+                        .find('#saved_places_origin_button_value').text(),
+                destination: jQuery(xml)
+                        .find('#saved_places_destination_button_value').text(),
+                remove: jQuery(xml)
+                        .find('#saved_places_remove_button_value').text()
+            }
+        );
+        
+        addSuggestions(originInput, xml);
+        addSuggestions(destinationInput, xml);
+        
+        stopList = new StopList(
+            container.find('.stop-list'),
+            container.find('.add-stop-button').text(jQuery(xml)
+                    .find('#add_stop_button_value').text()),
+            jQuery(xml).find('#stop_input_placeholder').text(),
+            {
+                input: jQuery(xml).find('#stop_input_label').text(),
+                moveUp: jQuery(xml).find('#move_stop_up_button_value').text(),
+                remove: jQuery(xml).find('#remove_stop_button_value').text()
+            },
+            function(stopInput) {
+                addSuggestions(stopInput, xml);
+            }
+        );
+        
+        ridersInput = container.find('.riders-input');
+        
+        container.find('.riders-label').text(jQuery(xml)
+                .find('#riders_input_label').text());
+        
+        luggageInput = container.find('.luggage-input');
+        
+        container.find('.luggage-label').text(jQuery(xml)
+                .find('#luggage_input_label').text());
+        
+        container.find('.tip-label').text(jQuery(xml)
+                .find('#tip_select_label').text());
+        
+        tipSelector = new TipSelector(
+            container.find('.tip-select'),
+            container.find('.tip-input'),
+            jQuery.map(
+                jQuery(xml).find('#tip_options').text().split(','),
+                function(percentage) {
+                    return parseFloat(percentage);
+                }
+            ),
+            parseFloat(jQuery(xml).find('#tip_default').text()),
+            {
+                none: jQuery(xml).find('#tip_none_option').text(),
+                option: jQuery(xml).find('#tip_option_format').text(),
+                custom: jQuery(xml).find('#tip_custom_option').text(),
+                placeholder: jQuery(xml).find('#tip_input_placeholder').text()
+            },
+            function() {
+                if (!originInput.isEmpty() && !destinationInput.isEmpty()) {
+                    estimatePipeline.run();
+                }
+            }
+        );
+              
+        container.find('.service-label').text(jQuery(xml)
+                .find('#service_select_label').text());
+        
+        serviceSelect = container.find('.service-select');
+        
+        jQuery.each(tariffCatalogue.getServices(), function(count, service) {
+            serviceSelect.append(
+                jQuery('<option>').val(service.id).text(service.name)
+            );
+        });
+        
+        if (options.tariff) {
+            serviceSelect.val(options.tariff);
+        }
+        
+        container.find('.trip-date-label').text(jQuery(xml)
+                .find('#trip_date_input_label').text());
+        
+        tripDateInput = container.find('.trip-date-input')
+                .val(ConfigReader.formatDate(new Date()));
+        
+        container.find('.departure-label').text(jQuery(xml)
+                .find('#departure_select_label').text());
+        
+        container.find('.departure-time-input').attr('aria-label', jQuery(xml)
+                .find('#departure_time_input_label').text());
+        
+        departurePicker = new DeparturePicker(
+            container.find('.departure-select'),
+            container.find('.departure-time-input'),
+            tripDateInput,
+            {
+                now: jQuery(xml).find('#departure_now_option').text(),
+                at: jQuery(xml).find('#departure_at_option').text()
+            },
+            function() {
+                if (!originInput.isEmpty() && !destinationInput.isEmpty()) {
+                    estimatePipeline.run();
+                }
+            }
+        );
+              
+        showFareButton = container.find('.show-fare-button').text(jQuery(xml)
+                .find('#show_fare_button_value').text());
+        
+        fareOutput = new OutputField(
+            container.find('.fare-output'),
+            {
+                hidden: 'js-hidden',
+                error: 'error',
+                totalFare: 'total-fare',
+                retry: 'retry-button',
+                fareBreakdown: 'fare-breakdown',
+                warning: 'warning'
+            },
+            jQuery(xml).find('#retry_button_value').text(),
+            container.find('.fare-announcement'),
+            jQuery(xml).find('#fare_announcement').text()
+        );
+        
+        estimatePipeline = new EstimatePipeline(
+            originInput,
+            stopList,
+            destinationInput,
+            showFareButton,
+            routingProvider,
+            serviceArea,
+            parseInt(jQuery(xml).find('#address_choices_max_choices').text()),
+            departurePicker,
+            jQuery(xml).find('#routing_traffic_model').text()
+        );
+        
+        // Run the estimate when Enter is pressed in an address field (unless
+        // it chose an address suggestion).
+        container.delegate(
+            '.origin-input, .destination-input, .stop input', 
+            'keydown', 
+            function(event) {
+                if (event.which == 13 && !event.isDefaultPrevented()) {
+                    estimatePipeline.run();
+                }
+            }
+        );
+        
+        addressChoices = new AddressChoices(
+            container.find('.address-choices'),
+            estimatePipeline,
+            {
+                title: jQuery(xml).find('#address_choices_title').text(),
+                address: jQuery(xml).find('#address_choices_label').text()
+            }
+        );
+        
+        if (typeof google != 'undefined' && google.maps) {
+            mapOutput = new MapDisplay(
+                container.find('.map-output').attr('aria-label', jQuery(xml)
+                        .find('#map_output_label').text()),
+                originInput,
+                destinationInput,
+                estimatePipeline,
+                routingProvider,
+                new google.maps.LatLng(
+                    options.center ? options.center.lat : parseFloat(jQuery(xml)
+                            .find('#map_output_center_lat').text()), 
+                    options.center ? options.center.lng : parseFloat(jQuery(xml)
+                            .find('#map_output_center_lng').text())
+                ),
+                {
+                    defaultZoomLevel: parseInt(jQuery(xml)
+                            .find('#map_output_default_zoom_level').text()),                 
+                    
+                    mapStyleName: jQuery(xml)
+                            .find('#map_output_map_style_name').text(), 
+
+                    markerImageUrlPrefix: jQuery(xml)
+                            .find('#map_output_marker_image_url_prefix').text(), 
+                    markerShadowUrl: jQuery(xml)
+                            .find('#map_output_marker_shadow_url').text(), 
+                    
+                    originMarkerColour: jQuery(xml)
+                            .find('#map_output_origin_marker_colour').text(),
+                    originMarkerIcon: jQuery(xml)
+                            .find('#map_output_origin_marker_icon').text(),
+                    originMarkerTitle: jQuery(xml)
+                            .find('#map_output_origin_marker_title').text(),               
+                                    
+                    destinationMarkerColour: jQuery(xml)
+                            .find('#map_output_destination_marker_colour')
+                            .text(),
+                    destinationMarkerIcon: jQuery(xml)
+                            .find('#map_output_destination_marker_icon').text(),                 
+                    destinationMarkerTitle: jQuery(xml)
+                            .find('#map_output_destination_marker_title')
+                            .text(),
+                    
+                    stopMarkerColour: jQuery(xml)
+                            .find('#map_output_stop_marker_colour').text(),
+                    stopMarkerTitle: jQuery(xml)
+                            .find('#map_output_stop_marker_title').text(),
+                    
+                    routeStrokeColour: jQuery(xml)
+                            .find('#map_output_route_stroke_colour').text(),
+                    routeStrokeWeight: jQuery(xml)
+                            .find('#map_output_route_stroke_weight').text(),
+                    alternativeRouteStrokeColours: jQuery(xml)
+                            .find('#map_output_alternative_route_stroke_colours')
+                            .text().split(','),
+                    alternativeRouteStrokeWeight: jQuery(xml)
+                            .find('#map_output_alternative_route_stroke_weight')
+                            .text(),
+                    
+                    locationZoomLevel: parseInt(jQuery(xml)
+                            .find('#map_output_location_zoom_level').text()),
+                    
+                    reachColour: jQuery(xml)
+                            .find('#map_output_reach_colour').text()
+                }
+            );
+        }
+                
+        originLocator = new OriginLocator(
+            container.find('.locate-button').text(jQuery(xml)
+                    .find('#locate_button_value').text()),
+            originInput,
+            routingProvider,
+            fareOutput,
+            mapOutput || null,
+            parseInt(jQuery(xml).find('#locate_timeout').text()),
+            {
+                unsupported: jQuery(xml)
+                        .find('#locate_unsupported_error_message').text(),
+                permissionDenied: jQuery(xml)
+                        .find('#locate_permission_denied_error_message')
+                        .text(),
+                unavailable: jQuery(xml)
+                        .find('#locate_unavailable_error_message').text(),
+                timeout: jQuery(xml)
+                        .find('#locate_timeout_error_message').text()
+            }
+        );
+                
+        fareCalculator = new FareCalculator(
+            originInput,
+            stopList,
+            destinationInput,
+            estimatePipeline,
+            fareOutput,
+            tariffCatalogue,
+            serviceSelect,
+            tripDateInput,
+            ridersInput,
+            luggageInput,
+            tipSelector,
+            departurePicker,
+            parseFloat(jQuery(xml).find('#fare_free_flow_speed').text()),
+            jQuery.map(
+                jQuery(xml).find('#traffic_profile').text().split(','),
+                function(factor) {
+                    return parseFloat(factor);
+                }
+            ),
+            {
+                baseFare: jQuery(xml)
+                        .find('#fare_breakdown_base_label').text(),
+                distanceFare: jQuery(xml)
+                        .find('#fare_breakdown_distance_label').text(),
+                waitingFare: jQuery(xml)
+                        .find('#fare_breakdown_waiting_label').text(),
+                flatRate: jQuery(xml)
+                        .find('#fare_breakdown_flat_label').text(),
+                passengerSurcharge: jQuery(xml)
+                        .find('#fare_breakdown_passenger_label').text(),
+                luggageSurcharge: jQuery(xml)
+                        .find('#fare_breakdown_luggage_label').text(),
+                toll: jQuery(xml).find('#fare_breakdown_toll_label').text(),
+                tip: jQuery(xml).find('#fare_breakdown_tip_label').text(),
+                grandTotal: jQuery(xml)
+                        .find('#fare_breakdown_total_label').text(),
+                fareRange: jQuery(xml)
+                        .find('#fare_output_fare_range_label').text(),
+                recommendedRoute: jQuery(xml)
+                        .find('#fare_output_recommended_route_label').text(),
+                leg: jQuery(xml).find('#fare_output_leg_label').text(),
+                rider: jQuery(xml).find('#fare_output_rider_label').text(),
+                dropOff: jQuery(xml)
+                        .find('#fare_output_drop_off_label').text(),
+                tariff: jQuery(xml)
+                        .find('#fare_output_tariff_label').text(),
+                manualDistance: jQuery(xml)
+                        .find('#fare_output_manual_distance_label').text(),
+                departure: jQuery(xml)
+                        .find('#fare_output_departure_label').text()
+            },
+            localeFormat,
+            {
+                emptyField: jQuery(xml)
+                        .find('#empty_field_error_message').text(),
+                notFound: jQuery(xml)
+                        .find('#not_found_error_message').text(),
+                unroutable: jQuery(xml)
+                        .find('#unroutable_error_message').text(),
+                overQueryLimit: jQuery(xml)
+                        .find('#over_query_limit_error_message').text(),
+                timeout: jQuery(xml)
+                        .find('#timeout_error_message').text(),
+                network: jQuery(xml)
+                        .find('#network_error_message').text(),
+                noTariff: jQuery(xml)
+                        .find('#no_tariff_error_message').text(),
+                noDistance: jQuery(xml)
+                        .find('#no_distance_error_message').text()
+            },
+            {
+                outOfServiceArea: jQuery(xml)
+                        .find('#out_of_service_area_warning').text(),
+                routeLeavesServiceArea: jQuery(xml)
+                        .find('#route_leaves_service_area_warning').text()
+            },
+            {
+                origin: jQuery(xml).find('#origin_field_name').text(),
+                destination: jQuery(xml)
+                        .find('#destination_field_name').text(),
+                stop: jQuery(xml).find('#stop_field_name').text()
+            },
+            serviceArea,
+            'invalid'
+        );
+        
+        fareByHourChart = new FareByHourChart(
+            container.find('.fare-chart'),
+            fareCalculator,
+            localeFormat,
+            {
+                title: jQuery(xml).find('#fare_chart_title').text(),
+                hour: jQuery(xml).find('#fare_chart_hour_format').text(),
+                cheapest: jQuery(xml).find('#fare_chart_cheapest_label').text(),
+                dearest: jQuery(xml).find('#fare_chart_dearest_label').text()
+            },
+            'selected'
+        );
+        
+        tripReceipt = new TripReceipt(
+            container.find('.trip-receipt'),
+            originInput,
+            stopList,
+            destinationInput,
+            serviceSelect,
+            fareCalculator,
+            localeFormat,
+            {
+                view: jQuery(xml).find('#receipt_view_button_value').text(),
+                print: jQuery(xml).find('#receipt_print_button_value').text(),
+                json: jQuery(xml).find('#receipt_json_button_value').text(),
+                csv: jQuery(xml).find('#receipt_csv_button_value').text(),
+                title: jQuery(xml).find('#receipt_title').text(),
+                timestamp: jQuery(xml).find('#receipt_timestamp_label').text(),
+                origin: jQuery(xml).find('#receipt_origin_label').text(),
+                stop: jQuery(xml).find('#receipt_stop_label').text(),
+                destination: jQuery(xml)
+                        .find('#receipt_destination_label').text(),
+                route: jQuery(xml).find('#receipt_route_label').text(),
+                distance: jQuery(xml).find('#receipt_distance_label').text(),
+                service: jQuery(xml).find('#receipt_service_label').text(),
+                tariff: jQuery(xml).find('#receipt_tariff_label').text(),
+                warning: jQuery(xml).find('#receipt_warning_label').text(),
+                note: jQuery(xml).find('#receipt_note').text()
+            },
+            jQuery(xml).find('#receipt_file_name').text(),
+            'printing-receipt'
+        );
+        
+        routeDirections = new RouteDirections(
+            container.find('.route-directions'),
+            estimatePipeline,
+            localeFormat,
+            {
+                title: jQuery(xml).find('#route_directions_title').text(),
+                step: jQuery(xml).find('#route_directions_step_label').text()
+            }
+        );
+        
+        modeComparison = new ModeComparison(
+            container.find('.mode-comparison'),
+            fareCalculator,
+            routingProvider,
+            departurePicker,
+            mapOutput || null,
+            routeDirections,
+            [
+                {
+                    travelMode: 'transit',
+                    label: jQuery(xml).find('#mode_transit_label').text(),
+                    fare: FareEngine.toCents(parseFloat(jQuery(xml)
+                            .find('#transit_fare').text())),
+                    stops: false,
+                    strokeColour: jQuery(xml)
+                            .find('#map_output_transit_route_stroke_colour')
+                            .text()
+                },
+                {
+                    travelMode: 'walking',
+                    label: jQuery(xml).find('#mode_walking_label').text(),
+                    fare: 0,
+                    stops: true,
+                    strokeColour: jQuery(xml)
+                            .find('#map_output_walking_route_stroke_colour')
+                            .text()
+                },
+                {
+                    travelMode: 'bicycling',
+                    label: jQuery(xml).find('#mode_bicycling_label').text(),
+                    fare: 0,
+                    stops: true,
+                    strokeColour: jQuery(xml)
+                            .find('#map_output_bicycling_route_stroke_colour')
+                            .text()
+                }
+            ],
+            localeFormat,
+            {
+                title: jQuery(xml).find('#mode_comparison_title').text(),
+                mode: jQuery(xml).find('#mode_comparison_mode_heading').text(),
+                duration: jQuery(xml)
+                        .find('#mode_comparison_duration_heading').text(),
+                cost: jQuery(xml).find('#mode_comparison_cost_heading').text(),
+                taxi: jQuery(xml).find('#mode_taxi_label').text(),
+                free: jQuery(xml).find('#mode_free_label').text(),
+                unavailable: jQuery(xml)
+                        .find('#mode_unavailable_label').text(),
+                show: jQuery(xml).find('#mode_show_button_value').text()
+            },
+            'selected'
+        );
+        
+        manualDistance = new ManualDistance(
+            container.find('.manual-distance'),
+            fareCalculator,
+            estimatePipeline,
+            !(namedRoutingProvider instanceof UnavailableRoutingProvider),
+            localeFormat,
+            {
+                notice: jQuery(xml).find('#degraded_notice').text(),
+                distanceKm: jQuery(xml)
+                        .find('#manual_distance_km_label').text(),
+                distanceMi: jQuery(xml)
+                        .find('#manual_distance_mi_label').text(),
+                button: jQuery(xml).find('#manual_fare_button_value').text()
+            },
+            'invalid'
+        );
+        
+        budgetMode = new BudgetMode(
+            container.find('.budget-mode'),
+            originInput,
+            fareCalculator,
+            routingProvider,
+            departurePicker,
+            mapOutput || null,
+            localeFormat,
+            parseInt(jQuery(xml).find('#budget_reach_directions').text()),
+            parseFloat(jQuery(xml).find('#budget_reach_detour_factor').text()),
+            {
+                input: jQuery(xml).find('#budget_input_label').text(),
+                button: jQuery(xml).find('#budget_button_value').text(),
+                reach: jQuery(xml).find('#budget_reach_message').text(),
+                tooLow: jQuery(xml).find('#budget_too_low_message').text(),
+                noBudget: jQuery(xml).find('#budget_no_budget_message').text()
+            },
+            'invalid'
+        );
+        
+        estimateUrl = new EstimateUrl(
+            originInput,
+            stopList,
+            destinationInput,
+            serviceSelect,
+            tripDateInput,
+            departurePicker,
+            ridersInput,
+            luggageInput,
+            tipSelector,
+            showFareButton,
+            estimatePipeline,
+            fareCalculator,
+            options.page
+        );
+        
+        initializeMilesInput(xml);
+        
+        estimateHistory = new EstimateHistory(
+            container.find('.estimate-history'),
+            originInput,
+            destinationInput,
+            tripDateInput,
+            fareCalculator,
+            estimateUrl,
+            findLocalStorage(),
+            jQuery(xml).find('#estimate_history_storage_key').text(),
+            parseInt(jQuery(xml).find('#estimate_history_size').text()),
+            {
+                title: jQuery(xml).find('#estimate_history_title').text(),
+                rerun: jQuery(xml)
+                        .find('#estimate_history_rerun_button_value').text(),
+                clear: jQuery(xml)
+                        .find('#estimate_history_clear_button_value').text()
+            }
+        );
+        
+        fareCalculator.addEstimateListener(function(estimate) {
+            notify('estimate', estimate);
+        });
+        
+        fareCalculator.addErrorListener(function(error) {
+            notify('error', error);
+        });
+        
+        initialized.resolve();
+        
+        estimateUrl.restore();
+    }
+    
+    
+    /**
+     * Makes the URL of the image of the origin or destination marker, as the
+     * map shows it (see MapDisplay).
+     *
+     * @param xml Configurable values XML received via AJAX GET request.
+     * @param {String} endpoint The endpoint ("origin" or "destination").
+     * @return {String} The URL of the marker image.
+     */
+    function makeMarkerImageUrl(xml, endpoint) {
+        return jQuery(xml).find('#map_output_marker_image_url_prefix').text() + 
+                jQuery(xml).find('#map_output_' + endpoint + '_marker_icon')
+                        .text() + 
+                '|' + 
+                jQuery(xml).find('#map_output_' + endpoint + '_marker_colour')
+                        .text();
+    }
+    
+    
+    /**
+     * Shows the page text in the given locale and initializes the language
+     * selector, which reloads the page in the language chosen.
+     *
+     * @param xml XML received via AJAX GET request.
+     * @param {String} locale The locale strings are shown in.
+     */
+    function initializePage(xml, locale) {
+        
+        // Native names of the locales, in the order the locales are listed.
+        var localeNames = jQuery(xml).find('#locale_names').text().split(',');
+        
+        // The language selector.
+        var localeSelect = jQuery('#locale-select');
+        
+        jQuery('html').attr('lang', locale);
+        document.title = jQuery(xml).find('#page_title').text();
+        jQuery('header h1 a').text(jQuery(xml).find('#page_title').text());
+        jQuery('header h2').text(jQuery(xml).find('#page_subtitle').text());
+        
+        jQuery('label[for="locale-select"]').text(jQuery(xml)
+                .find('#locale_select_label').text());
+        
+        jQuery.each(
+            jQuery(xml).find('#locales').text().split(','), 
+            function(count, value) {
+                localeSelect.append(
+                    jQuery('<option>').val(value).text(localeNames[count])
+                );
+            }
+        );
+        
+        localeSelect.val(locale).bind('change', function() {
+            writeStorage(
+                findLocalStorage(), 
+                jQuery(xml).find('#locale_storage_key').text(), 
+                localeSelect.val()
+            );
+            
+            window.location.reload();
+        });
+    }
+    
+    
+    /**
+     * Initializes the miles option, which switches distances between km and 
+     * miles (showing the estimate again in the units chosen).
+     *
+     * @param xml XML received via AJAX GET request.
+     */
+    function initializeMilesInput(xml) {
+        
+        // The miles option checkbox.
+        var milesInput = container.find('.miles-input')
+                .attr('checked', localeFormat.usesMiles());
+        
+        container.find('.miles-label').text(jQuery(xml)
+                .find('#miles_input_label').text());
+        
+        milesInput.bind('change', function() {
+            localeFormat.setMiles(milesInput.is(':checked'));
+            manualDistance.showUnit();
+            
+            writeStorage(
+                findLocalStorage(), 
+                jQuery(xml).find('#miles_storage_key').text(), 
+                localeFormat.usesMiles()
+            );
+            
+            if (!originInput.isEmpty() && !destinationInput.isEmpty()) {
+                estimatePipeline.run();
+            }
+        });
+    }
+    
+    
+    /**
+     * Adds address suggestions to the given input field.
+     *
+     * @param {InputField} inputField The input field.
+     * @param xml XML received via AJAX GET request.
+     */
+    function addSuggestions(inputField, xml) {
+        new SuggestionList(
+            inputField,
+            routingProvider,
+            landmarks,
+            savedPlaces,
+            {
+                delay: parseInt(jQuery(xml)
+                        .find('#suggestion_delay').text()),
+                minLength: parseInt(jQuery(xml)
+                        .find('#suggestion_min_length').text()),
+                maxSuggestions: parseInt(jQuery(xml)
+                        .find('#suggestion_max_suggestions').text())
+            },
+            {
+                list: 'suggestions',
+                selected: 'selected'
+            }
+        );
+    }
+    
+    
+    /**
+     * Makes the routing provider named in the loaded configurable values:
+     * "google" (Google Maps API), "osrm" (our own OSRM-style router and
+     * Nominatim-style geocoder) or "fixture" (the bundled fixture file). If
+     * the Google Maps API couldn't be loaded (e.g. the page was opened
+     * offline), no routing is available.
+     *
+     * @param xml XML received via AJAX GET request.
+     * @param {Array} bounds The bounds coded addresses are biased towards (see
+     *         routing_providers.js).
+     * @return {Object} The routing provider.
+     */
+    function makeRoutingProvider(xml, bounds) {
+        if (jQuery(xml).find('#routing_provider').text() == 'osrm') {
+            return new OsrmRoutingProvider(
+                jQuery(xml).find('#routing_osrm_route_url').text(),
+                jQuery(xml).find('#routing_osrm_geocode_url').text(),
+                jQuery(xml).find('#routing_osrm_reverse_geocode_url').text(),
+                null,
+                bounds
+            );
+        }
+        
+        if (jQuery(xml).find('#routing_provider').text() == 'fixture') {
+            return new FixtureRoutingProvider(
+                jQuery(xml).find('#routing_fixture_url').text(),
+                null
+            );
+        }
+        
+        if (typeof google == 'undefined' || !google.maps) {
+            return new UnavailableRoutingProvider();
+        }
+        
+        return new GoogleRoutingProvider(bounds);
+    }
+    
+    
+    /**
+     * Finds the browser's localStorage, which routing answers, saved places,
+     * the estimate history and the user's preferences are kept in.
+     *
+     * @return {Object} The localStorage object, or null if the browser doesn't
+     *         have it (or doesn't allow it to be used).
+     */
+    function findLocalStorage() {
+        try {
+            return window.localStorage || null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+
+/**
+ * The number of finders created so far (used to keep their element IDs
+ * apart).
+ */
+TaxiFareFinder.count = 0;
+
+
+/**
+ * Creates a taxi fare finder in the given container element, e.g.:
+ *     var finder = TaxiFareFinder.create('#fare-finder', {locale: 'fr'});
+ *     finder.bind('estimate', function(estimate) { ... });
+ *     finder.estimate({origin: 'Union Station', destination: 'CN Tower'})
+ *             .done(function(estimate) { ... });
+ *
+ * @param container The container element, or a selector for it. Its content
+ *         is replaced by the finder.
+ * @param {Array} options (optional) An associative array of the finder's
+ *         options. Includes (all optional):
+ *         1) baseUrl: The URL the application's xml/ and css/ directories are
+ *                    in, ending in "/" (default: "", i.e. the page's own
+ *                    directory).
+ *         2) locale: The locale strings are shown in (default: the one the
+ *                    user chose, or else the browser's language).
+ *         3) tariff: The ID of the service whose tariff is selected at first
+ *                    (e.g. "limousine").
+ *         4) stylesheet: The URL of the finder's stylesheet, added to the page
+ *                    unless already linked, or null for none (default:
+ *                    css/taxi_fare_finder.css under the base URL).
+ *         5) center: The map center shown before a route is found, of the
+ *                    form {lat: Number, lng: Number} (default: the one in
+ *                    xml/strings.xml).
+ *         6) page: True if the finder is the application's own page, whose
+ *                    text, language selector and URL it controls (default:
+ *                    false).
+ * @return {TaxiFareFinder} The finder.
+ */
+TaxiFareFinder.create = function(container, options) {
+    
+    // The base URL given (if any).
+    var baseUrl = options && options.baseUrl ? options.baseUrl : '';
+    
+    return new TaxiFareFinder(
+        jQuery(container).first(),
+        jQuery.extend(
+            {
+                baseUrl: baseUrl,
+                locale: null,
+                tariff: null,
+                stylesheet: baseUrl + 'css/taxi_fare_finder.css',
+                center: null,
+                page: false
+            },
+            options
+        )
+    );
+}
+
+
+/**
+ * This class represents an input field. This field displays placeholder text 
+ * when empty (as the field's placeholder attribute, so that screen readers
+ * don't take the text for its value). It may also have a fixed location (e.g.
+ * from a chosen address suggestion), which holds for as long as its value is
+ * unchanged.
+ *
+ * This class makes use of the jQuery library. 
+ *
+ * @param {jQuery} element The input field element.
+ * @param {String} placeholder This input field's placeholder text.
+ */
+function InputField(element, placeholder) {
+
+    // This input field's last recorded value.
+    var oldValue = new String();
+    
+    // This input field's fixed {lat, lng} location (if any), and the value it
+    // was fixed for.
+    var location = null;
+    var locationValue;
+
+    element.attr('placeholder', placeholder).blur(updateOnBlur); 
+   
+      
+    /**
+     * Returns the input field element.
+     * 
+     * @return {jQuery} The input field element.
+     */   
+    this.getElement = function() {
+        return element;
+    }
+
+
+    /**
+     * Returns this input field's placeholder text.
+     * 
+     * @return {String} This input field's placeholder text.
+     */     
+    this.getPlaceholder = function() {
+        return placeholder;
+    }
+
+    
+    /**
+     * Returns this input field's last recorded value.
+     * 
+     * @return {String} This input field's last recorded value.
+     */     
+    this.getOldValue = function() {
+        return oldValue;
+    }
+    
+    
+    /**
+     * Sets this input field's value (its placeholder text shows if the value
+     * is empty).
+     * 
+     * @param {String} value The value to set.
+     */     
+    this.setValue = function(value) {
+        element.val(value);
+    }
+    
+    
+    /**
+     * Returns this input field's fixed location, if it has one and its value
+     * hasn't changed since the location was fixed.
+     * 
+     * @return {Array} The {lat, lng} location, or null if there is none.
+     */     
+    this.getLocation = function() {
+        return element.val() == locationValue ? location : null;
+    }
+    
+    
+    /**
+     * Fixes this input field's location for its current value.
+     * 
+     * @param {Array} newLocation The {lat, lng} location.
+     */     
+    this.setLocation = function(newLocation) {
+        location = newLocation;
+        locationValue = element.val();
+    }
+    
+    
+    /**
+     * Returns the place this input field specifies, for a routing request:
+     * its fixed location if it has one, otherwise its value.
+     * 
+     * @return {String|Array} The address or {lat, lng} location.
+     */     
+    this.getPlace = function() {
+        return this.getLocation() || element.val();
+    }
+    
+    
+    /**
+     * Checks if this input field is empty (i.e. showing its placeholder text).
+     * 
+     * @return {Boolean} True if this input field is empty.
+     */     
+    this.isEmpty = function() {
+        return element.val() == '';
+    }
+    
+    
+    /**
+     * Sets this input field's last recorded value to a new value.
+     * 
+     * @param {String} newValue The new value to set this field's last recorded
+     *         value to.
+     */             
+    this.setOldValue = function(newValue) {
+        oldValue = newValue;
+    }
+    
+    
+    /**
+     * Checks if this input field's value is empty, and clears its last
+     * recorded value if it is.
+     */    
+    function updateOnBlur() {
+        if(element.val() == '') {
+            oldValue = '';            
+        } 
+    }   
+}
+
+
+/**
+ * This class shows a list of address suggestions under an input field as the
+ * user types. Suggestions come from the user's saved places, a list of
+ * landmarks and the routing provider's geocoder, and are looked up once the
+ * user pauses typing (saved places are suggested from the first character
+ * typed, as their names are short). A
+ * suggestion can be chosen with the mouse, or with the arrow keys and Enter
+ * (Escape closes the list). Choosing a suggestion fixes the input field's
+ * location, so the address doesn't need to be geocoded again. The input field
+ * and list are marked up as an ARIA combobox and listbox, so that screen
+ * readers announce the suggestions and the one selected.
+ *
+ * This class makes use of the jQuery library.
+ *
+ * @param {InputField} inputField The input field to suggest addresses for.
+ * @param {Object} routingProvider The routing provider that codes addresses.
+ * @param {Array} landmarks Array of landmarks to suggest, each of the form
+ *         {address: String, location: {lat, lng}}.
+ * @param {SavedPlaces} savedPlaces The user's saved places, suggested by name.
+ * @param {Array} options An associative array of suggestion options. Includes:
+ *         1) delay: Time (in ms) to wait after the user stops typing before
+ *                    looking up suggestions.
+ *         2) minLength: Minimum number of characters typed before suggestions
+ *                    are looked up.
+ *         3) maxSuggestions: Maximum number of suggestions shown.
+ * @param {Array} stylingClasses An associative array of styling classes.
+ *         Includes:
+ *         1) list: Class applied to the suggestion list element.
+ *         2) selected: Class applied to the suggestion selected with the
+ *                    arrow keys.
+ */
+function SuggestionList(
+    inputField, 
+    routingProvider, 
+    landmarks, 
+    savedPlaces,
+    options, 
+    stylingClasses
+) {
+    
+    // The input field element.
+    var element = inputField.getElement();
+    
+    // ID of the suggestion list element.
+    var listId = 'taxi-fare-finder-suggestions-' + (++SuggestionList.count);
+    
+    // The suggestion list element.
+    var list = jQuery('<ul>').addClass(stylingClasses.list).hide()
+            .attr({id: listId, role: 'listbox'})
+            .insertAfter(element);
+    
+    // Suggestions shown, each of the form {address, location} (plus the label
+    // shown instead of the address, for saved places).
+    var suggestions = new Array();
+    
+    // Index of the suggestion selected with the arrow keys (-1 if none).
+    var selectedIndex = -1;
+    
+    // Text suggestions were last looked up for.
+    var query = '';
+    
+    // Timer that looks up suggestions once the user pauses typing.
+    var timer;
+    
+    element.attr({
+        role: 'combobox',
+        'aria-autocomplete': 'list',
+        'aria-controls': listId,
+        'aria-expanded': 'false'
+    });
+    
+    element.keydown(navigate).keyup(scheduleUpdate).blur(function() {
+        
+        // Wait before hiding, so that a click on a suggestion still counts.
+        setTimeout(hide, 200);
+    });
+    
+    
+    /**
+     * Moves through and chooses suggestions with the arrow keys, Enter and 
+     * Escape.
+     *
+     * @param {Event} event The keydown event.
+     */
+    function navigate(event) {
+        if(!list.is(':visible')) {
+            return;
+        }
+        
+        switch(event.which) {
+            
+            // Down arrow.
+            case 40:
+                select(Math.min(selectedIndex + 1, suggestions.length - 1));
+                event.preventDefault();
+                break;
+            
+            // Up arrow.
+            case 38:
+                select(Math.max(selectedIndex - 1, 0));
+                event.preventDefault();
+                break;
+            
+            // Enter.
+            case 13:
+                if(selectedIndex >= 0) {
+                    choose(selectedIndex);
+                    event.preventDefault();
+                }
+                break;
+            
+            // Escape.
+            case 27:
+                hide();
+                break;
+        }
+    }
+    
+    
+    /**
+     * Looks up suggestions once the user pauses typing.
+     *
+     * @param {Event} event The keyup event.
+     */
+    function scheduleUpdate(event) {
+        
+        // Ignore the keys used to move through suggestions.
+        if(jQuery.inArray(event.which, [13, 27, 38, 40]) >= 0) {
+            return;
+        }
+        
+        clearTimeout(timer);
+        timer = setTimeout(update, options.delay);
+    }
+    
+    
+    /**
+     * Looks up and shows suggestions for the text typed: matching saved places
+     * and landmarks first, then the geocoder's results.
+     */
+    function update() {
+        var text = jQuery.trim(element.val());
+        
+        // Saved places and landmarks whose names contain the text typed.
+        var matches;
+        
+        if(text == query) {
+            return;
+        }
+        
+        query = text;
+        
+        if(!text || inputField.getLocation()) {
+            hide();
+            return;
+        }
+        
+        matches = jQuery.map(savedPlaces.getPlaces(), function(place) {
+            return place.name.toLowerCase()
+                    .indexOf(text.toLowerCase()) >= 0 ? {
+                        label: place.name + ': ' + place.address,
+                        address: place.address,
+                        location: place.location
+                    } : null;
+        });
+        
+        if(text.length < options.minLength) {
+            show(matches);
+            return;
+        }
+        
+        matches = matches.concat(jQuery.grep(landmarks, function(landmark) {
+            return landmark.address.toLowerCase()
+                    .indexOf(text.toLowerCase()) >= 0;
+        }));
+        
+        show(matches);
+        
+        routingProvider.geocode(text, function(status, results) {
+            
+            // Ignore results for text the user has since changed.
+            if(text == query && status == RoutingStatus.OK) {
+                show(matches.concat(results));
+            }
+        });
+    }
+    
+    
+    /**
+     * Shows the given suggestions (up to the maximum number).
+     *
+     * @param {Array} newSuggestions Array of the suggestions to show.
+     */
+    function show(newSuggestions) {
+        suggestions = newSuggestions.slice(0, options.maxSuggestions);
+        selectedIndex = -1;
+        list.empty();
+        
+        if(!suggestions.length) {
+            hide();
+            return;
+        }
+        
+        list.width(element.outerWidth());
+        
+        jQuery.each(suggestions, function(index, suggestion) {
+            jQuery('<li>').text(suggestion.label || suggestion.address)
+                    .attr({
+                        id: listId + '-' + index,
+                        role: 'option',
+                        'aria-selected': 'false'
+                    })
+                    .mousedown(function() {
+                        choose(index);
+                    })
+                    .appendTo(list);
+        });
+        
+        list.show();
+        element.attr('aria-expanded', 'true')
+                .removeAttr('aria-activedescendant');
+    }
+    
+    
+    /**
+     * Hides the suggestions.
+     */
+    function hide() {
+        list.hide();
+        selectedIndex = -1;
+        element.attr('aria-expanded', 'false')
+                .removeAttr('aria-activedescendant');
+    }
+    
+    
+    /**
+     * Selects the suggestion at the given index.
+     *
+     * @param {Number} index The index of the suggestion to select.
+     */
+    function select(index) {
+        selectedIndex = index;
+        list.children().removeClass(stylingClasses.selected)
+                .attr('aria-selected', 'false')
+                .eq(index).addClass(stylingClasses.selected)
+                .attr('aria-selected', 'true');
+        element.attr('aria-activedescendant', listId + '-' + index);
+    }
+    
+    
+    /**
+     * Chooses the suggestion at the given index, filling in the input field
+     * with its address and fixing its location.
+     *
+     * @param {Number} index The index of the suggestion to choose.
+     */
+    function choose(index) {
+        inputField.setValue(suggestions[index].address);
+        inputField.setLocation(suggestions[index].location);
+        query = jQuery.trim(element.val());
+        hide();
+    }
+}
+
+
+/**
+ * The number of suggestion lists created so far (used to keep their element
+ * IDs apart).
+ */
+SuggestionList.count = 0;
+
+
+/**
+ * This class represents the list of intermediate stops of a taxi route,
+ * between its origin and destination. Each stop has its own input field, and
+ * stops can be added, removed and moved up the list. Each input field and
+ * button is labelled with its stop number, and focus moves to the stop added
+ * (or back to the add stop button when a stop is removed), so the list can be
+ * used from the keyboard and with a screen reader.
+ *
+ * This class makes use of the jQuery library.
+ *
+ * @param {jQuery} element The element that holds the stop input fields.
+ * @param {jQuery} addStopButton The button that, when clicked, adds a stop to
+ *         the end of the list.
+ * @param {String} placeholder The stop input fields' placeholder text.
+ * @param {Array} labels An associative array of the labels of each stop input
+ *         field and the buttons shown beside it. Includes:
+ *         1) input: Label of the stop input field, in which "{number}" is
+ *                    replaced by the stop number.
+ *         2) moveUp: Label of the button that moves the stop up the list.
+ *         3) remove: Label of the button that removes the stop.
+ * @param {Function} initializeInput Function called with each stop input field
+ *         made (e.g. to add address suggestions to it).
+ */
+function StopList(
+    element, 
+    addStopButton, 
+    placeholder, 
+    labels, 
+    initializeInput
+) {
+    
+    // Stops in the list, in order. Each is an associative array of the stop's
+    // row element, input field and buttons.
+    var stops = new Array();
+    
+    addStopButton.bind('click', function() {
+        addStop().input.getElement().focus();
+    });
+    
+    
+    /**
+     * Returns the input fields of the stops that have been entered, in order.
+     * 
+     * @return {Array} Array of the stop input fields.
+     */
+    this.getStops = function() {
+        return jQuery.map(stops, function(stop) {
+            return stop.input.isEmpty() ? null : stop.input;
+        });
+    }
+    
+    
+    /**
+     * Replaces the stops in the list with stops at the given addresses.
+     * 
+     * @param {Array} addresses Array of the stop addresses, in order.
+     */
+    this.setStops = function(addresses) {
+        while(stops.length) {
+            removeStop(stops[0]);
+        }
+        
+        jQuery.each(addresses, function(count, address) {
+            addStop().input.setValue(address);
+        });
+    }
+    
+    
+    /**
+     * Adds a stop to the end of the list.
+     *
+     * @return {Array} The stop added.
+     */
+    function addStop() {
+        var stop = {
+            row: jQuery('<div>').addClass('stop')
+        };
+        
+        stop.input = new InputField(
+            jQuery('<input type="text" />').appendTo(stop.row),
+            placeholder
+        );
+        
+        initializeInput(stop.input);
+        
+        stop.moveUpButton = jQuery('<button>').text(labels.moveUp)
+                .bind('click', function() {
+                    moveUp(stop);
+                    stop.moveUpButton.focus();
+                })
+                .appendTo(stop.row);
+        
+        stop.removeButton = jQuery('<button>').text(labels.remove)
+                .bind('click', function() {
+                    removeStop(stop);
+                    addStopButton.focus();
+                })
+                .appendTo(stop.row);
+        
+        stops.push(stop);
+        element.append(stop.row);
+        number();
+        
+        return stop;
+    }
+    
+    
+    /**
+     * Removes the given stop from the list.
+     *
+     * @param {Array} stop The stop to remove.
+     */
+    function removeStop(stop) {
+        stops.splice(jQuery.inArray(stop, stops), 1);
+        stop.row.remove();
+        number();
+    }
+    
+    
+    /**
+     * Moves the given stop one place up the list (i.e. earlier in the trip).
+     *
+     * @param {Array} stop The stop to move.
+     */
+    function moveUp(stop) {
+        var index = jQuery.inArray(stop, stops);
+        
+        if(index > 0) {
+            stops.splice(index, 1);
+            stops.splice(index - 1, 0, stop);
+            stop.row.insertBefore(stops[index].row);
+            number();
+        }
+    }
+    
+    
+    /**
+     * Labels each stop's input field and buttons with its stop number.
+     */
+    function number() {
+        jQuery.each(stops, function(index, stop) {
+            
+            // Label of the stop's input field.
+            var label = labels.input.replace('{number}', index + 1);
+            
+            stop.input.getElement().attr('aria-label', label);
+            stop.moveUpButton.attr('aria-label', label + ': ' + labels.moveUp);
+            stop.removeButton.attr('aria-label', label + ': ' + labels.remove);
+        });
+    }
+}
+
+
+/**
+ * This class represents the tip selector. The user picks one of the preset tip
+ * percentages or "custom", in which case the percentage is entered in an input
+ * field shown beside the selector.
+ *
+ * This class makes use of the jQuery library.
+ *
+ * @param {jQuery} element The selector where the tip is chosen.
+ * @param {jQuery} customInput The input field where a custom tip percentage
+ *         is entered.
+ * @param {Array} percentages Array of the preset tip percentages, in order.
+ * @param {Number} defaultPercentage The tip percentage selected at first.
+ * @param {Array} labels An associative array of the selector's labels.
+ *         Includes:
+ *         1) none: Label of the 0% option.
+ *         2) option: Format of the other preset options' labels, in which
+ *                    "{percent}" is replaced by the percentage.
+ *         3) custom: Label of the custom option.
+ *         4) placeholder: Placeholder of the custom tip input field.
+ * @param {Function} onChange Function called whenever the tip changes.
+ */
+function TipSelector(
+    element,
+    customInput,
+    percentages,
+    defaultPercentage,
+    labels,
+    onChange
+) {
+
+    // Value of the custom option.
+    var customValue = 'custom';
+
+    jQuery.each(percentages, function(count, percentage) {
+        element.append(jQuery('<option>').val(percentage).text(
+            percentage ?
+                    labels.option.replace('{percent}', percentage) :
+                    labels.none
+        ));
+    });
+
+    element.append(jQuery('<option>').val(customValue).text(labels.custom));
+    customInput.attr({
+        placeholder: labels.placeholder,
+        'aria-label': labels.placeholder
+    });
+
+    setPercentage(defaultPercentage);
+
+    element.bind('change', function() {
+        customInput.toggle(element.val() == customValue);
+        onChange();
+    });
+
+    customInput.bind('change', onChange);
+
+
+    /**
+     * Returns the tip percentage chosen, rounded to a whole percentage.
+     *
+     * @return {Number} The tip percentage (0 if no valid custom percentage
+     *         has been entered).
+     */
+    this.getPercentage = function() {
+        return Math.max(0, Math.round(parseFloat(
+            element.val() == customValue ? customInput.val() : element.val()
+        )) || 0);
+    }
+
+
+    /**
+     * Chooses the given tip percentage (see setPercentage()).
+     */
+    this.setPercentage = setPercentage;
+
+
+    /**
+     * Chooses the given tip percentage, selecting the preset option for it or,
+     * if there is none, entering it as a custom tip.
+     *
+     * @param {Number} percentage The tip percentage.
+     */
+    function setPercentage(percentage) {
+        if (element.find('option[value="' + percentage + '"]').length) {
+            element.val(String(percentage));
+        } else {
+            element.val(customValue);
+            customInput.val(percentage);
+        }
+
+        customInput.toggle(element.val() == customValue);
+    }
+}
+
+
+/**
+ * This class represents the departure picker. The user chooses to leave now
+ * or to depart at a time (on the trip date), entered in an input field shown
+ * beside the picker. The departure time sets the traffic the routes are found
+ * in, and so the waiting time charged.
+ *
+ * This class makes use of the jQuery library.
+ *
+ * @param {jQuery} element The selector where "leave now" or "depart at" is
+ *         chosen.
+ * @param {jQuery} timeInput The input field where the departure time is
+ *         entered, as "HH:MM".
+ * @param {jQuery} tripDateInput The input field where the trip date is
+ *         entered.
+ * @param {Array} labels An associative array of the picker's labels.
+ *         Includes:
+ *         1) now: Label of the "leave now" option.
+ *         2) at: Label of the "depart at" option.
+ * @param {Function} onChange Function called whenever the departure changes.
+ */
+function DeparturePicker(element, timeInput, tripDateInput, labels, onChange) {
+
+    // Value of the "leave now" option.
+    var nowValue = 'now';
+
+    // Value of the "depart at" option.
+    var atValue = 'at';
+
+    element.append(
+        jQuery('<option>').val(nowValue).text(labels.now),
+        jQuery('<option>').val(atValue).text(labels.at)
+    );
+
+    setTime('');
+
+    element.bind('change', function() {
+
+        // The next full hour, the time first suggested.
+        var nextHour = (new Date().getHours() + 1) % 24;
+
+        if (element.val() == atValue && !timeInput.val()) {
+            timeInput.val((nextHour < 10 ? '0' : '') + nextHour + ':00');
+        }
+
+        timeInput.toggle(element.val() == atValue);
+        onChange();
+    });
+
+    timeInput.bind('change', onChange);
+
+
+    /**
+     * Returns the departure time entered (see getTime()).
+     */
+    this.getTime = getTime;
+
+
+    /**
+     * Chooses the given departure time (see setTime()).
+     */
+    this.setTime = setTime;
+
+
+    /**
+     * Returns the date and time the trip departs at: now, or the time entered
+     * on the trip date.
+     *
+     * @return {Date} The departure time.
+     */
+    this.getDepartureTime = function() {
+
+        // Trip date, as [year, month, day].
+        var date = tripDateInput.val().split('-');
+
+        // Departure time, as [hours, minutes].
+        var time = getTime().split(':');
+
+        if (!getTime() || date.length != 3) {
+            return new Date();
+        }
+
+        return new Date(
+            parseInt(date[0], 10),
+            parseInt(date[1], 10) - 1,
+            parseInt(date[2], 10),
+            parseInt(time[0], 10),
+            parseInt(time[1], 10)
+        );
+    }
+
+
+    /**
+     * Returns the departure time the routes are found for. Since routing
+     * services only predict traffic from now on, a departure time that has
+     * passed is moved on by whole weeks to the next time it comes round (as
+     * traffic follows a weekly pattern).
+     *
+     * @return {Date} The departure time the routes are found for.
+     */
+    this.getRoutingTime = function() {
+
+        // Length of a week, in ms.
+        var week = 7 * 24 * 60 * 60 * 1000;
+
+        // The departure time, and the time now.
+        var departureTime = this.getDepartureTime().getTime();
+        var now = new Date().getTime();
+
+        if (getTime() && departureTime < now) {
+            departureTime += Math.ceil((now - departureTime) / week) * week;
+        }
+
+        return new Date(departureTime);
+    }
+
+
+    /**
+     * Returns the departure time entered.
+     *
+     * @return {String} The departure time, as "HH:MM", or "" if the trip
+     *         leaves now.
+     */
+    function getTime() {
+        return element.val() == atValue ? timeInput.val() : '';
+    }
+
+
+    /**
+     * Chooses the given departure time, or leaving now.
+     *
+     * @param {String} time The departure time, as "HH:MM", or "" to leave
+     *         now.
+     */
+    function setTime(time) {
+        element.val(time ? atValue : nowValue);
+        timeInput.val(time);
+        timeInput.toggle(!!time);
+    }
+}
+
+
+/**
+ * This class represents the estimate pipeline. When the "show fare" button is
+ * pressed, it finds the taxi routes from the origin through any intermediate
+ * stops to the destination, and publishes the result to its listeners (e.g.
+ * the map and the fare calculator), so they always show the same route.
+ *
+ * Each address is coded once, before the routes are requested. Where an
+ * address matches several places, the places inside the service area are
+ * preferred (in the geocoder's order otherwise), the first is used and the
+ * others are published along with the result, so the user can be asked if
+ * they meant one of them instead.
+ *
+ * Before the request is made, its checks are run (e.g. to make sure the
+ * fields are filled in), and the request is only made if they all pass; its
+ * start listeners are then told that it has started. Pressing the button
+ * again cancels the estimate in progress: the result of a request that has
+ * been superseded is dropped rather than published.
+ *
+ * This class makes use of the jQuery library.
+ *
+ * @param {InputField} originInput The input field where the taxi route origin 
+ *         is entered.
+ * @param {StopList} stopList The list of intermediate stops of the taxi route.
+ * @param {InputField} destinationInput The input field where the taxi route 
+ *         destination is entered. 
+ * @param {jQuery} showFareButton The button that, when clicked, starts an
+ *         estimate.
+ * @param {Object} routingProvider The routing provider that codes addresses
+ *         and finds the taxi routes.
+ * @param {Array} serviceArea Array of the areas taxis are licensed to serve
+ *         (see FareEngine.isInAnyArea()).
+ * @param {Number} maxChoices The maximum number of places an ambiguous address
+ *         is published with.
+ * @param {DeparturePicker} departurePicker The picker where the departure
+ *         time the routes are found for is chosen.
+ * @param {String} trafficModel How the routing provider predicts the route
+ *         durations in traffic (see routing_providers.js).
+ */
+function EstimatePipeline(
+    originInput,
+    stopList,
+    destinationInput,
+    showFareButton,
+    routingProvider,
+    serviceArea,
+    maxChoices,
+    departurePicker,
+    trafficModel
+) {
+    
+    // Functions run before each request, each returning true if the estimate
+    // can be made.
+    var checks = [];
+    
+    // Functions called whenever a request starts.
+    var startListeners = [];
+    
+    // Functions the result of each request is published to.
+    var listeners = [];
+    
+    // Number of the latest request (earlier requests have been cancelled).
+    var requestNumber = 0;
+    
+    showFareButton.bind('click', run);
+    
+    
+    /**
+     * Adds a check run before each request.
+     *
+     * @param {function} check Function that returns true if the estimate can
+     *         be made (and reports why not otherwise).
+     */
+    this.addCheck = function(check) {
+        checks.push(check);
+    }
+    
+    
+    /**
+     * Adds a function called whenever a request starts (once its checks have
+     * passed), before any address is coded.
+     *
+     * @param {function} listener Function called with no arguments.
+     */
+    this.addStartListener = function(listener) {
+        startListeners.push(listener);
+    }
+    
+    
+    /**
+     * Adds a listener the result of each request is published to.
+     *
+     * @param {function} listener Function called with the routing provider
+     *         result: listener(status, routes, failedIndex, ambiguities) (see
+     *         routing_providers.js), where ambiguities is an Array of the
+     *         addresses that matched several places, each of the form:
+     *         1) index: The index of the place (counting the origin, stops
+     *                    and destination in order).
+     *         2) input: The InputField the address was entered in.
+     *         3) results: Array of the coded addresses matched, the one
+     *                    used first (see routing_providers.js).
+     */
+    this.addListener = function(listener) {
+        listeners.push(listener);
+    }
+    
+    
+    /**
+     * Starts an estimate (see run()).
+     */
+    this.run = run;
+    
+    
+    /**
+     * Starts an estimate, cancelling any estimate in progress.
+     */
+    function run() {
+        
+        // Number of this request.
+        var number = ++requestNumber;
+        
+        for (var i = 0; i < checks.length; i++) {
+            if (!checks[i]()) {
+                return;
+            }
+        }
+        
+        jQuery.each(startListeners, function(count, listener) {
+            listener();
+        });
+        
+        locate(
+            [originInput].concat(stopList.getStops(), [destinationInput]),
+            [],
+            [],
+            number
+        );
+    }
+    
+    
+    /**
+     * Codes the address of each of the given input fields in turn (running
+     * recursively), then requests the routes through their locations. Fields
+     * with a fixed location aren't coded again.
+     *
+     * @param {Array} inputs Array of the input fields of the route, in order.
+     * @param {Array} locations Array of the locations found so far.
+     * @param {Array} ambiguities Array of the addresses found so far that
+     *         matched several places (see addListener()).
+     * @param {Number} number The number of the request.
+     */
+    function locate(inputs, locations, ambiguities, number) {
+        
+        // Index of the input field to code.
+        var index = locations.length;
+        
+        if (number != requestNumber) {
+            return;
+        }
+        
+        if (index == inputs.length) {
+            requestRoutes(locations, ambiguities, number);
+            return;
+        }
+        
+        if (inputs[index].getLocation()) {
+            locations.push(inputs[index].getLocation());
+            locate(inputs, locations, ambiguities, number);
+            return;
+        }
+        
+        routingProvider.geocode(
+            inputs[index].getPlace(), 
+            function(status, results) {
+                if (number != requestNumber) {
+                    return;
+                }
+                
+                if (status == RoutingStatus.ZERO_RESULTS) {
+                    publish(RoutingStatus.NOT_FOUND, [], index, ambiguities);
+                    return;
+                }
+                
+                if (status != RoutingStatus.OK) {
+                    publish(status, [], undefined, ambiguities);
+                    return;
+                }
+                
+                results = rankResults(results);
+                locations.push(results[0].location);
+                
+                if (results.length > 1) {
+                    ambiguities.push({
+                        index: index,
+                        input: inputs[index],
+                        results: results
+                    });
+                }
+                
+                locate(inputs, locations, ambiguities, number);
+            }
+        );
+    }
+    
+    
+    /**
+     * Requests the routes through the given locations and publishes the
+     * result.
+     *
+     * @param {Array} locations Array of the {lat, lng} locations of the route
+     *         stops, in order.
+     * @param {Array} ambiguities Array of the addresses that matched several
+     *         places (see addListener()).
+     * @param {Number} number The number of the request.
+     */
+    function requestRoutes(locations, ambiguities, number) {
+        
+        // Request to get the routes between origin and destination (at the
+        // departure time, so that the route durations reflect its traffic).
+        var request = {
+            origin: locations[0],
+            destination: locations[locations.length - 1],
+            waypoints: locations.slice(1, locations.length - 1),
+            departureTime: departurePicker.getRoutingTime(),
+            alternatives: true,
+            trafficModel: trafficModel
+        };
+        
+        routingProvider.route(request, function(status, routes, failedIndex) {
+            if (number != requestNumber) {
+                return;
+            }
+            
+            publish(status, routes, failedIndex, ambiguities);
+        });
+    }
+    
+    
+    /**
+     * Orders the given coded addresses so that those inside the service area
+     * come first, leaving out repeated addresses and any beyond the maximum
+     * number of choices.
+     *
+     * @param {Array} results Array of coded addresses, in the geocoder's order.
+     * @return {Array} Array of the coded addresses, the one to use first.
+     */
+    function rankResults(results) {
+        
+        // Addresses already ranked.
+        var addresses = {};
+        
+        // Coded addresses inside the service area, then outside it.
+        var inside = [];
+        var outside = [];
+        
+        jQuery.each(results, function(count, result) {
+            if (addresses[result.address]) {
+                return;
+            }
+            
+            addresses[result.address] = true;
+            
+            if (FareEngine.isInAnyArea(result.location, serviceArea)) {
+                inside.push(result);
+            } else {
+                outside.push(result);
+            }
+        });
+        
+        return inside.concat(outside).slice(0, maxChoices);
+    }
+    
+    
+    /**
+     * Publishes the result of a request to the listeners.
+     *
+     * @param {String} status The RoutingStatus of the request.
+     * @param {Array} routes Array of the routes found.
+     * @param {Number} failedIndex The index of the place that couldn't be
+     *         coded (if status is NOT_FOUND).
+     * @param {Array} ambiguities Array of the addresses that matched several
+     *         places (see addListener()).
+     */
+    function publish(status, routes, failedIndex, ambiguities) {
+        jQuery.each(listeners, function(count, listener) {
+            listener(status, routes, failedIndex, ambiguities);
+        });
+    }
+}
+
+
+/**
+ * This class represents the "did you mean" panel. Whenever an address entered
+ * matches several places, the panel names the place the estimate used and
+ * lists the other places matched, each as a button that fills in the address
+ * field with it and runs the estimate again. The panel is hidden while no
+ * address is ambiguous.
+ *
+ * This class makes use of the jQuery library.
+ *
+ * @param {jQuery} element The element that shows the places to choose from.
+ * @param {EstimatePipeline} estimatePipeline The pipeline that finds the taxi
+ *         routes, and publishes the ambiguous addresses.
+ * @param {Array} labels An associative array of the panel's labels. Includes:
+ *         1) title: Title of the panel.
+ *         2) address: Label of an ambiguous address, in which "{address}"
+ *                    is replaced by the address entered and "{place}" by the
+ *                    place used.
+ */
+function AddressChoices(element, estimatePipeline, labels) {
+    
+    estimatePipeline.addListener(showChoices);
+    
+    element.hide();
+    
+    
+    /**
+     * Shows the places matched by each ambiguous address (hiding the panel if
+     * there are none).
+     *
+     * @param {String} status The RoutingStatus of the estimate.
+     * @param {Array} routes Array of the routes found.
+     * @param {Number} failedIndex The index of the place that couldn't be
+     *         coded (if status is NOT_FOUND).
+     * @param {Array} ambiguities Array of the addresses that matched several
+     *         places (see EstimatePipeline.addListener()).
+     */
+    function showChoices(status, routes, failedIndex, ambiguities) {
+        element.empty();
+        
+        if (!ambiguities || !ambiguities.length) {
+            element.hide();
+            return;
+        }
+        
+        element.append(jQuery('<h3>').text(labels.title));
+        
+        jQuery.each(ambiguities, function(count, ambiguity) {
+            
+            // List of the other places matched.
+            var list = jQuery('<ul>');
+            
+            jQuery.each(ambiguity.results.slice(1), function(count, result) {
+                jQuery('<li>')
+                        .append(jQuery('<button>').text(result.address)
+                                .bind('click', function() {
+                                    choose(ambiguity.input, result);
+                                }))
+                        .appendTo(list);
+            });
+            
+            element.append(jQuery('<p>').text(labels.address
+                    .replace('{address}', ambiguity.input.getElement().val())
+                    .replace('{place}', ambiguity.results[0].address)))
+                    .append(list);
+        });
+        
+        element.show();
+    }
+    
+    
+    /**
+     * Fills in the given input field with the given place and runs the
+     * estimate again.
+     *
+     * @param {InputField} input The input field of the ambiguous address.
+     * @param {Array} result The coded address chosen.
+     */
+    function choose(input, result) {
+        input.setValue(result.address);
+        input.setLocation(result.location);
+        
+        estimatePipeline.run();
+    }
+}
+
+
+/**
+ * This class shows a map that displays the taxi route found by the estimate
+ * pipeline from the origin to the destination, along with any alternative
+ * routes (each in its own stroke). The route passes through any intermediate
+ * stops, which are marked with their numbers. If no route is found, the map is
+ * left as it is (the fare calculator reports the error).
+ *
+ * The origin and destination can also be set on the map: the origin and
+ * destination markers can be dragged, and clicking the map places the origin
+ * (or the destination, once there is an origin). The matching input field is
+ * filled in with the address at the new location, and the estimate is run
+ * again. The map is created once, and its markers and route lines are
+ * replaced as the route changes. The route of another travel mode (e.g.
+ * transit) can be shown in place of the taxi routes, and so can the area a
+ * budget reaches from the origin.
+ *
+ * This class makes use of the jQuery library and Google Maps API.
+ *
+ * @param {jQuery} element The output element that displays the taxi route map.
+ * @param {InputField} originInput The input field where the taxi route origin 
+ *         is entered.
+ * @param {InputField} destinationInput The input field where the taxi route 
+ *         destination is entered. 
+ * @param {EstimatePipeline} estimatePipeline The pipeline that finds the taxi
+ *         routes when an estimate is requested.
+ * @param {Object} routingProvider The routing provider that finds the address
+ *         at a location set on the map.
+ * @param {LatLng} center The map center shown before a route is found.
+ * @param {Array} mapProperties Associative array of map and map element 
+ *         properties. Includes:
+ *          1) defaultZoomLevel: Default zoom level to display map at.
+ *          2) mapStyleName: Name of map style.
+ *          3) markerImageUrlPrefix: URL prefix for dynamic marker image load.
+ *          4) markerShadowUrl: URL for dynamic marker shadow load.
+ *          5) originMarkerColour: Origin marker colour.
+ *          6) originMarkerIcon: Origin marker icon in marker image.
+ *          7) originMarkerTitle: Origin marker title shown on hover.
+ *          8) destinationMarkerColour: Destination marker colour.
+ *          9) destinationMarkerIcon: Destination marker icon in marker image.
+ *         10) destinationMarkerTitle: Destination marker title shown on hover.
+ *         11) stopMarkerColour: Stop marker colour.
+ *         12) stopMarkerTitle: Stop marker title shown on hover (followed by
+ *             the stop number, which is also the stop marker icon).
+ *         13) routeStrokeColour: Recommended taxi route stroke colour.
+ *         14) routeStrokeWeight: Recommended taxi route stroke weight.
+ *         15) alternativeRouteStrokeColours: Array of alternative taxi route
+ *             stroke colours (one per alternative route, reused in turn if
+ *             there are more routes than colours).
+ *         16) alternativeRouteStrokeWeight: Alternative taxi route stroke
+ *             weight.
+ *         17) locationZoomLevel: Zoom level to display map at when it is
+ *             centered on the user's location.
+ *         18) reachColour: Stroke and fill colour of the area a budget
+ *             reaches.
+ */
+function MapDisplay(
+    element,     
+    originInput,
+    destinationInput,
+    estimatePipeline,
+    routingProvider,
+    center,
+    mapProperties
+) {      
+
+    // Array of map style settings.
+    var mapStyle = [
+        {
+            featureType: 'all',
+            stylers: [
+                {saturation: -100},
+                {gamma: 1}
+            ]
+        }
+    ]
+   
+    // "Greyscale" styled map type.
+    var styledMapType = new google.maps.StyledMapType(
+        mapStyle, 
+        {name: mapProperties.mapStyleName}
+    );
+    
+    // Map that is shown to user (at default location until a route is found).
+    var map = new google.maps.Map(
+        element.get(0), 
+        {
+            zoom: mapProperties.defaultZoomLevel,
+            center: center,
+            mapTypeControlOptions: {
+                mapTypeIds: [
+                    google.maps.MapTypeId.ROADMAP, 
+                    mapProperties.mapStyleName
+                ]
+            }
+        }
+    );
+    
+    // Markers, taxi route lines and reached areas shown on the map.
+    var overlays = new Array();
+    
+    // Taxi routes found for the latest estimate, the recommended route first.
+    var taxiRoutes = null;
+    
+    map.mapTypes.set(mapProperties.mapStyleName, styledMapType);
+    map.setMapTypeId(mapProperties.mapStyleName);
+    
+    google.maps.event.addListener(map, 'click', function(event) {
+        moveEndpoint(
+            originInput.isEmpty() ? originInput : destinationInput, 
+            event.latLng
+        );
+    });
+    
+    estimatePipeline.addListener(updateContent);
+    
+    
+    /**
+     * Shows the given location as the route origin (see showOrigin()).
+     */
+    this.showOrigin = showOrigin;
+    
+    
+    /**
+     * Shows the given route of another travel mode (e.g. transit) in place of
+     * the taxi routes.
+     *
+     * @param {Array} route The route (see routing_providers.js).
+     * @param {String} strokeColour The stroke colour of the route line.
+     */
+    this.showModeRoute = function(route, strokeColour) {
+        showRoutes([route], strokeColour);
+    }
+    
+    
+    /**
+     * Shows the taxi routes of the latest estimate again (e.g. in place of
+     * another travel mode's route).
+     */
+    this.showTaxiRoutes = function() {
+        if (taxiRoutes) {
+            showRoutes(taxiRoutes, null);
+        }
+    }
+    
+    
+    /**
+     * Shows the given area reached from the given origin (e.g. the area a
+     * budget reaches) in place of the taxi routes, fitting the map to it.
+     *
+     * @param {Array} origin The {lat, lng} location of the origin.
+     * @param {Array} area Array of {lat, lng} points outlining the area.
+     */
+    this.showReach = function(origin, area) {
+        
+        // Bounds of the area.
+        var bounds = new google.maps.LatLngBounds();
+        
+        showMap(
+            toLatLng(origin), 
+            mapProperties.defaultZoomLevel, 
+            [makeEndpointMarker(origin, originInput)], 
+            null
+        );
+        
+        jQuery.each(area, function(count, point) {
+            bounds.extend(toLatLng(point));
+        });
+        
+        overlays.push(new google.maps.Polygon({
+            paths: jQuery.map(area, toLatLng),
+            strokeColor: mapProperties.reachColour,
+            strokeWeight: mapProperties.alternativeRouteStrokeWeight,
+            fillColor: mapProperties.reachColour,
+            fillOpacity: 0.2,
+            map: map
+        }));
+        
+        map.fitBounds(bounds);
+    }
+    
+    
+    /**
+     * Shows the given location as the route origin, centering the map on it
+     * (or shows the map at its default location if there is none).
+     *
+     * @param {Array} location The {lat, lng} location of the origin, or null.
+     */
+    function showOrigin(location) {
+        showMap(
+            location ? toLatLng(location) : center,
+            location ? mapProperties.locationZoomLevel :
+                    mapProperties.defaultZoomLevel,
+            location ? [makeEndpointMarker(location, originInput)] : null
+        );
+    }
+    
+     
+    /**
+     * Shows the map to the user. The map may include markers at the origin and
+     * destination points specified by the user, as well as the taxi route lines
+     * between those points. The markers and route lines shown before are
+     * removed.
+     *
+     * @param {LatLng} mapCenter The center of the map.
+     * @param {Number} zoom The zoom level of the map.
+     * @param {Array} markers Array of markers to be shown on the map.
+     * @param {Array} paths Array of taxi route lines, the recommended route
+     *         first. Each is an Array of {lat, lng} locations the line passes
+     *         through.
+     * @param {String} strokeColour The stroke colour of the recommended route
+     *         line, or null for the taxi route colour.
+     */
+    function showMap(mapCenter, zoom, markers, paths, strokeColour) {
+        jQuery.each(overlays, function(count, overlay) {
+            overlay.setMap(null);
+        });
+        
+        overlays = new Array();
+        
+        map.setCenter(mapCenter);
+        map.setZoom(zoom);
+
+        // Show markers (if any) on map.
+        if(markers) {
             jQuery.each(markers, function(count, marker) {
                 marker.setMap(map);
+                overlays.push(marker);
+            });
+        }
+        
+        // Show the taxi route lines (if any), drawing the recommended route
+        // last so that it is on top of the alternatives.
+        if(paths) {
+            for(var i = paths.length - 1; i >= 0; i--) {
+                overlays.push(new google.maps.Polyline({
+                    path: jQuery.map(paths[i], toLatLng),
+                    strokeColor: i == 0 ? 
+                            strokeColour || mapProperties.routeStrokeColour :
+                            mapProperties.alternativeRouteStrokeColours[
+                                (i - 1) % 
+                                mapProperties.alternativeRouteStrokeColours
+                                        .length
+                            ],
+                    strokeWeight: i == 0 ? mapProperties.routeStrokeWeight :
+                            mapProperties.alternativeRouteStrokeWeight,
+                    map: map
+                }));
+            }
+        }
+    }
+    
+    
+    /**
+     * Updates map content with the routes found (if any).
+     *
+     * @param {String} status The RoutingStatus of the estimate.
+     * @param {Array} routes Array of the routes found, the recommended route
+     *         first (see routing_providers.js).
+     */
+    function updateContent(status, routes) {
+        if (status != RoutingStatus.OK) {
+            return;
+        }
+        
+        taxiRoutes = routes;
+        
+        showRoutes(routes, null);
+    }
+    
+    
+    /**
+     * Shows the given routes, with their origin, stops and destination, on
+     * the map.
+     *
+     * @param {Array} routes Array of the routes, the recommended route first
+     *         (see routing_providers.js).
+     * @param {String} strokeColour The stroke colour of the recommended route
+     *         line, or null for the taxi route colour.
+     */
+    function showRoutes(routes, strokeColour) {
+        
+        // Locations of the route origin, stops and destination, in order.
+        var locations = routes[0].locations;
+        
+        showRoute(
+            locations[0], 
+            locations.slice(1, locations.length - 1),
+            locations[locations.length - 1],
+            jQuery.map(routes, function(route) {
+                return [route.path];
+            }),
+            strokeColour
+        );
+    }
+    
+    
+    /**
+     * Shows the given origin, stops and destination and the taxi route lines
+     * between them on the map.
+     *
+     * @param {Array} origin The {lat, lng} location of the route origin.
+     * @param {Array} stops Array of the {lat, lng} locations of the route
+     *         stops, in order.
+     * @param {Array} destination The {lat, lng} location of the route
+     *         destination.
+     * @param {Array} paths Array of taxi route lines, the recommended route
+     *         first (empty if no route was found).
+     * @param {String} strokeColour The stroke colour of the recommended route
+     *         line, or null for the taxi route colour.
+     */
+    function showRoute(origin, stops, destination, paths, strokeColour) {
+        
+        // Markers of the route stops, numbered from 1.
+        var stopMarkers = jQuery.map(stops, function(stop, index) {
+            return makeMarker(
+                toLatLng(stop),
+                mapProperties.stopMarkerTitle + ' ' + (index + 1),
+                mapProperties.stopMarkerColour,
+                String(index + 1)
+            );
+        });
+        
+        showMap(
+            new google.maps.LatLng(
+                (origin.lat + destination.lat) / 2, 
+                (origin.lng + destination.lng) / 2
+            ),
+            mapProperties.defaultZoomLevel,
+            [
+                makeEndpointMarker(origin, originInput),
+                makeEndpointMarker(destination, destinationInput)
+            ].concat(stopMarkers),
+            paths,
+            strokeColour
+        );   
+    }
+    
+    
+    /**
+     * Sets the origin or destination to the given location, filling in its
+     * input field with the address at the location, then runs the estimate
+     * again (or, if only the origin has been set, shows it on the map).
+     *
+     * @param {InputField} input The origin or destination input field.
+     * @param {LatLng} position The new location.
+     */
+    function moveEndpoint(input, position) {
+        var location = {lat: position.lat(), lng: position.lng()};
+        
+        placeAt(input, location, routingProvider, function() {
+            if(!originInput.isEmpty() && !destinationInput.isEmpty()) {
+                estimatePipeline.run();
+            } else if(input == originInput) {
+                showOrigin(location);
+            }
+        });
+    }
+    
+    
+    /**
+     * Converts a {lat, lng} location to a Google Maps LatLng.
+     *
+     * @param {Array} location The location.
+     * @return {LatLng} The LatLng.
+     */
+    function toLatLng(location) {
+        return new google.maps.LatLng(location.lat, location.lng);
+    }
+    
+    
+    /**
+     * Makes a draggable origin or destination marker. Dropping it sets the
+     * origin or destination to where it was dropped.
+     *
+     * @param {Array} location The {lat, lng} location of the marker.
+     * @param {InputField} input The origin or destination input field.
+     * @return {Marker} The marker to be placed on the map.
+     */
+    function makeEndpointMarker(location, input) {
+        
+        // True if the marker is the origin marker.
+        var isOrigin = input == originInput;
+        
+        // The marker, in the origin or destination colours.
+        var marker = makeMarker(
+            toLatLng(location),
+            isOrigin ? mapProperties.originMarkerTitle : 
+                    mapProperties.destinationMarkerTitle,
+            isOrigin ? mapProperties.originMarkerColour : 
+                    mapProperties.destinationMarkerColour,
+            isOrigin ? mapProperties.originMarkerIcon : 
+                    mapProperties.destinationMarkerIcon
+        );
+        
+        marker.setDraggable(true);
+        
+        google.maps.event.addListener(marker, 'dragend', function(event) {
+            moveEndpoint(input, event.latLng);
+        });
+        
+        return marker;
+    }
+    
+    
+    /**
+     * Makes markers to be placed on the map.
+     *
+     * @param {LatLng} position The marker position.
+     * @param {String} title The marker title.
+     * @return {Marker} The marker to be placed on the map.
+     */
+    function makeMarker(position, title, markerColor, markerIcon) {
+
+        // Get marker image from Google Charts API, and set its size and points.
+        var markerImage = new google.maps.MarkerImage(
+            mapProperties.markerImageUrlPrefix + 
+                    markerIcon + '|' + markerColor,
+            new google.maps.Size(21, 34),
+            new google.maps.Point(0,0),
+            new google.maps.Point(10, 34)
+        );
+        
+        // Get marker shadow from same source, and set its size and points.
+        var markerShadow = new google.maps.MarkerImage(
+            mapProperties.markerShadowUrl,
+            new google.maps.Size(40, 37),
+            new google.maps.Point(0, 0),
+            new google.maps.Point(12, 35)
+        );
+        
+        // Make the marker.
+        var marker = new google.maps.Marker({
+            position: position,
+            title: title,
+            icon: markerImage,
+            shadow: markerShadow           
+        });
+    
+        return marker;
+    }    
+}
+
+
+/**
+ * This class lists the turn-by-turn directions of the route shown on the map
+ * as text, for users who can't see the map. The taxi's recommended route is
+ * listed after each estimate, and another travel mode's route is listed in
+ * its place when it is chosen (see ModeComparison). The directions are hidden
+ * while no route is found.
+ *
+ * This class makes use of the jQuery library.
+ *
+ * @param {jQuery} element The element that lists the directions.
+ * @param {EstimatePipeline} estimatePipeline The pipeline that finds the taxi
+ *         routes.
+ * @param {LocaleFormat} localeFormat The format distances are shown in.
+ * @param {Array} labels An associative array of the directions' labels.
+ *         Includes:
+ *         1) title: Title of the directions.
+ *         2) step: Label of a step, in which "{instruction}" is replaced by
+ *                    its instruction and "{distance}" by its distance.
+ */
+function RouteDirections(element, estimatePipeline, localeFormat, labels) {
+    
+    // Recommended taxi route of the latest estimate (or null if none was
+    // found).
+    var taxiRoute = null;
+    
+    element.hide();
+    
+    estimatePipeline.addListener(updateContent);
+    
+    
+    /**
+     * Lists the directions of the given route of another travel mode (e.g.
+     * transit) in place of the taxi route's.
+     *
+     * @param {Array} route The route (see routing_providers.js).
+     */
+    this.showModeRoute = function(route) {
+        showRoute(route);
+    }
+    
+    
+    /**
+     * Lists the directions of the taxi route of the latest estimate again
+     * (e.g. in place of another travel mode's).
+     */
+    this.showTaxiRoute = function() {
+        if (taxiRoute) {
+            showRoute(taxiRoute);
+        }
+    }
+    
+    
+    /**
+     * Lists the directions of the recommended taxi route found (if any).
+     *
+     * @param {String} status The RoutingStatus of the estimate.
+     * @param {Array} routes Array of the routes found, the recommended route
+     *         first (see routing_providers.js).
+     */
+    function updateContent(status, routes) {
+        if (status != RoutingStatus.OK) {
+            taxiRoute = null;
+            element.hide();
+            return;
+        }
+        
+        taxiRoute = routes[0];
+        
+        showRoute(taxiRoute);
+    }
+    
+    
+    /**
+     * Lists the directions of the given route, or hides them if the routing
+     * provider gave none.
+     *
+     * @param {Array} route The route (see routing_providers.js).
+     */
+    function showRoute(route) {
+        
+        // The steps of the route, in order.
+        var list = jQuery('<ol>');
+        
+        if (!route.steps || !route.steps.length) {
+            element.hide();
+            return;
+        }
+        
+        jQuery.each(route.steps, function(count, step) {
+            jQuery('<li>')
+                    .text(labels.step
+                            .replace('{instruction}', step.instruction)
+                            .replace('{distance}', 
+                                    localeFormat.formatDistance(step.distance)))
+                    .appendTo(list);
+        });
+        
+        element.empty()
+                .append(jQuery('<h3>').text(labels.title))
+                .append(list)
+                .show();
+    }
+}
+
+
+/**
+ * This class represents the "use my location" button. When it is clicked, the
+ * user's location is found with the browser's Geolocation API and set as the
+ * taxi route origin: the origin input field is filled in with the address at
+ * the location (or its coordinates, if no address is found) and fixed to the
+ * location, and the map is centered on it. If the location can't be found
+ * (e.g. the user doesn't allow it), an error message says why and the map is
+ * shown at its default location.
+ *
+ * This class makes use of the jQuery library and the Geolocation API.
+ *
+ * @param {jQuery} button The button that, when clicked, finds the user's 
+ *         location.
+ * @param {InputField} originInput The input field where the taxi route origin 
+ *         is entered.
+ * @param {Object} routingProvider The routing provider that finds the address
+ *         at the user's location.
+ * @param {OutputField} fareOutput The output field that shows error messages.
+ * @param {MapDisplay} mapOutput The map centered on the user's location (or
+ *         null if there is no map).
+ * @param {Number} timeout Time (in ms) to wait for the user's location.
+ * @param {Array} errorMessages An associative array of the error messages
+ *         shown when the user's location can't be found. Includes:
+ *         1) unsupported: The browser can't find locations.
+ *         2) permissionDenied: The user didn't allow their location to be
+ *                    used.
+ *         3) unavailable: The user's location couldn't be found.
+ *         4) timeout: The user's location took too long to find.
+ */
+function OriginLocator(
+    button,
+    originInput,
+    routingProvider,
+    fareOutput,
+    mapOutput,
+    timeout,
+    errorMessages
+) {
+    
+    button.bind('click', locate);
+    
+    
+    /**
+     * Finds the user's location.
+     */
+    function locate() {
+        if(!navigator.geolocation) {
+            fareOutput.showError(errorMessages.unsupported, null);
+            return;
+        }
+        
+        button.attr('disabled', true);
+        
+        navigator.geolocation.getCurrentPosition(
+            showLocation, 
+            reportError, 
+            {
+                enableHighAccuracy: true,
+                timeout: timeout,
+                maximumAge: 60000
+            }
+        );
+    }
+    
+    
+    /**
+     * Sets the origin to the user's location.
+     *
+     * @param {Position} position The user's position.
+     */
+    function showLocation(position) {
+        var location = {
+            lat: position.coords.latitude,
+            lng: position.coords.longitude
+        };
+        
+        placeAt(originInput, location, routingProvider, function() {
+            button.attr('disabled', false);
+            
+            if(mapOutput) {
+                mapOutput.showOrigin(location);
+            }
+        });
+    }
+    
+    
+    /**
+     * Shows an error message saying why the user's location couldn't be
+     * found (with a button to try again, unless the user didn't allow it),
+     * and shows the map at its default location.
+     *
+     * @param {PositionError} error The error.
+     */
+    function reportError(error) {
+        button.attr('disabled', false);
+        
+        if(mapOutput) {
+            mapOutput.showOrigin(null);
+        }
+        
+        if(error.code == error.PERMISSION_DENIED) {
+            fareOutput.showError(errorMessages.permissionDenied, null);
+        } else if(error.code == error.TIMEOUT) {
+            fareOutput.showError(errorMessages.timeout, locate);
+        } else {
+            fareOutput.showError(errorMessages.unavailable, locate);
+        }
+    }
+}
+
+
+/**
+ * This class represens an output field. It creates and shows either a taxi
+ * fare estimate message (including the itemized fare and the taxi route
+ * distance) or an error message (if the given taxi route origin or destination
+ * is invalid).
+ *
+ * The field fades out and in as its message changes, which screen readers
+ * don't reliably announce, so each fare and message is also announced in a
+ * (visually hidden) live region: politely for fares, and at once for errors.
+ * The fading is left out for users who prefer reduced motion.
+ *
+ *  This class makes use of the jQuery library.
+ *
+ * @param {jQuery} element The output element that displays messages.
+ * @param {Array} stylingClasses An associative array of styling classes that 
+ *         can be applied to the message output element as well as its child
+ *         elements (e.g. parts of the message). It includes:
+ *         1) hidden: Class originally applied to output element to hide it from 
+ *                    view and prevent it flickering into and out of view on 
+ *                    page load.
+ *         2) error: Class applied to output element when it shows an error 
+ *                    message.
+ *         3) totalFare: Class applied to the total fare amount shown within
+ *                    the output element.
+ *         4) retry: Class applied to the button that retries a failed
+ *                    estimate.
+ *         5) fareBreakdown: Class applied to the table of fare items.
+ *         6) warning: Class applied to each warning shown with the fare.
+ * @param {String} retryLabel The label of the button that retries a failed
+ *         estimate.
+ * @param {jQuery} announcement The ARIA live region element that fares and
+ *         messages are announced in.
+ * @param {String} fareAnnouncement The announcement of a fare, in which
+ *         "{fare}" is replaced by the total fare and "{details}" by its first
+ *         detail (e.g. the route distance).
+ */
+function OutputField(
+    element, 
+    stylingClasses, 
+    retryLabel, 
+    announcement, 
+    fareAnnouncement
+) {
+    
+    // Hide element and remove class that first hid it (to avoid flickering). 
+    element.hide();
+    element.removeClass(stylingClasses.hidden);
+
+    // Total fare.
+    var totalFare;
+    
+    // Details of the fare (e.g. total taxi route distance, fare range).
+    var fareDetails;
+    
+    // Items of the fare (e.g. base fare, tolls, tip), the total last.
+    var fareBreakdown;
+    
+    // Warnings shown with the fare (e.g. that a different tariff applies).
+    var fareWarnings;
+    
+    // Message to display.
+    var message;
+    
+    // Styling class to apply to the message output element. 
+    var messageClass;
+    
+    // Function that retries a failed estimate (or null if it can't be retried).
+    var retry = null;
+    
+    
+    
+    /**
+     * Shows the total taxi fare, the items it is made up of, the details of
+     * the fare (e.g. the total taxi route distance) and any warnings about it.
+     * 
+     * @param {String} newTotalFare Total taxi fare to display.
+     * @param {Array} newFareDetails Array of fare detail Strings to display.
+     * @param {Array} newFareBreakdown Array of the fare items to display, the
+     *         total last, each of the form {label: String, amount: String}.
+     * @param {Array} newFareWarnings Array of warning Strings to display.
+     */
+    this.showFare = function(
+        newTotalFare, 
+        newFareDetails, 
+        newFareBreakdown, 
+        newFareWarnings
+    ) {
+        totalFare = newTotalFare;
+        fareDetails = newFareDetails;
+        fareBreakdown = newFareBreakdown || [];
+        fareWarnings = newFareWarnings || [];
+        
+        showOutputField(makeFareMessage);
+        announce(
+            [
+                fareAnnouncement
+                        .replace('{fare}', totalFare)
+                        .replace('{details}', fareDetails[0] || '')
+            ].concat(fareWarnings).join(' '),
+            false
+        );
+    }
+
+
+    /** 
+     * Reveals the output field showing a message to the user.
+     *
+     * @param {String} newMessage The message to show the user.
+     * @param {String} newMessageClass the class to add to the output field
+     *         element.
+     */
+    this.showMessage = function(newMessage, newMessageClass){
+        message = newMessage;
+        messageClass = newMessageClass;
+        retry = null;
+        
+        showOutputField(makeMessage);
+        announce(message, false);
+    }
+    
+    
+    /** 
+     * Reveals the output field showing an error message to the user, along
+     * with a button to try again if the error is temporary.
+     *
+     * @param {String} newMessage The error message to show the user.
+     * @param {function} newRetry The function that retries the estimate, or
+     *         null if retrying wouldn't help.
+     */
+    this.showError = function(newMessage, newRetry){
+        message = newMessage;
+        messageClass = stylingClasses.error;
+        retry = newRetry;
+        
+        showOutputField(makeMessage);
+        announce(message, true);
+    }
+    
+    
+    /**
+     * Makes message to show the user by adding the message content and class to
+     * the output element.
+     */
+    function makeMessage() {
+        element.text(message);
+        element.addClass(messageClass);
+        
+        if(retry) {
+            element.append(jQuery('<button>')
+                    .text(retryLabel)
+                    .addClass(stylingClasses.retry)
+                    .bind('click', retry));
+        }
+    }
+
+    
+    /**
+     * Makes message that shows the total taxi fare estimate and its details.
+     */
+    function makeFareMessage() {
+    
+        // Document fragment to which all text/HTML is appended.
+        var fragment = document.createDocumentFragment();
+    
+        // Display element containing the total taxi fare amount.
+        var totalFareOutput = jQuery('<p>').text(totalFare)
+                .addClass(stylingClasses.totalFare);
+        
+        fragment.appendChild(totalFareOutput[0]);
+        
+        // Display elements containing the warnings.
+        jQuery.each(fareWarnings, function(count, fareWarning) {
+            fragment.appendChild(jQuery('<p>').text(fareWarning)
+                    .addClass(stylingClasses.warning)[0]);
+        });
+        
+        // Display element containing the fare items.
+        var fareBreakdownOutput = jQuery('<table>')
+                .addClass(stylingClasses.fareBreakdown);
+        
+        jQuery.each(fareBreakdown, function(count, item) {
+            fareBreakdownOutput.append(jQuery('<tr>').append(
+                jQuery('<td>').text(item.label),
+                jQuery('<td>').text(item.amount)
+            ));
+        });
+        
+        if (fareBreakdown.length) {
+            fragment.appendChild(fareBreakdownOutput[0]);
+        }
+        
+        // Display elements containing the fare details.
+        jQuery.each(fareDetails, function(count, fareDetail) {
+            fragment.appendChild(jQuery('<p>').text(fareDetail)[0]);
+        });
+        
+        element.empty();
+        element[0].appendChild(fragment);
+        
+        // Remove "error" message styling class if output element has it.
+        if(element.hasClass(stylingClasses.error)) {
+            element.removeClass(stylingClasses.error);
+        }
+    }
+    
+    /**
+     * Reveals the output field to the user.
+     *
+     * @param {function} action The function to carry out upon fading out the
+     *         output field so that it is completed by the time the output field
+     *         fades in again (e.g. the given function could change the output
+     *         field text while it is not yet visible to the user).
+     */
+    function showOutputField(action) {
+        if (prefersReducedMotion()) {
+            element.hide();
+            action.call(element[0]);
+            element.show();
+            return;
+        }
+        
+        element.fadeOut(action);
+        element.fadeIn();
+    }    
+    
+    
+    /**
+     * Announces the given text to screen readers. The live region is emptied
+     * first, so that the same text is announced again (e.g. when an estimate
+     * is repeated).
+     *
+     * @param {String} text The text to announce.
+     * @param {Boolean} urgent True if the text interrupts what the screen
+     *         reader is saying (e.g. an error).
+     */
+    function announce(text, urgent) {
+        announcement.text('')
+                .attr('aria-live', urgent ? 'assertive' : 'polite');
+        
+        setTimeout(function() {
+            announcement.text(text);
+        }, 100);
+    }
+}
+
+
+/**
+ * This class represents a taxi fare calculator. It receives the taxi routes
+ * from the estimate pipeline when the "show fare" button is pressed, and
+ * outputs the fare estimate based on the route distance, plus a waiting time
+ * charge for the time the route is expected to take in traffic beyond its
+ * typical duration (i.e. the time the meter spends running below its speed
+ * threshold in slow traffic). Routes without traffic data are given a
+ * duration in traffic from the traffic profile. The fare is calculated with
+ * the tariff of the selected service in effect on the trip date, which may
+ * charge a flat rate for airport trips instead. The tariff's surcharges for
+ * extra passengers and luggage, the tolls of any toll road on the route and
+ * the chosen tip are added to the fare, and each item is shown along with the
+ * grand total.
+ *
+ * Since drivers don't always take the same route, a fare is calculated for
+ * each alternative route as well, and the range of fares is shown along with
+ * the fare of the recommended route.
+ *
+ * For trips with stops, the distance and fare of each leg is shown. If there
+ * is more than one rider, the fare is split among them by drop-off order: one
+ * rider is dropped off at each stop in turn, the rest at the destination, and
+ * each leg's fare is shared by the riders in the taxi during that leg.
+ *
+ * The routes are found for the departure time chosen, and where the routing
+ * provider has no traffic data, their durations are scaled by the traffic
+ * profile for the departure hour. The fare for a departure at each hour of
+ * the day is estimated from the profile as well (see FareByHourChart).
+ *
+ * The tariffs only apply inside the licensed service area, so if a stop is
+ * outside it, or the route passes outside it, a warning that a different
+ * tariff applies is shown with the fare.
+ *
+ * When routing is unavailable, the fare can also be estimated from a trip
+ * distance entered by hand (see ManualDistance).
+ *
+ * If the estimate fails, the error names the field at fault (e.g. an empty
+ * field or an address that can't be found) and highlights it. Temporary
+ * failures (e.g. a timeout) can be retried.
+ *
+ * This class makes use of the jQuery library.
+ * 
+ * @param {InputField} originInput The input field where the taxi route origin 
+ *         is entered.
+ * @param {StopList} stopList The list of intermediate stops of the taxi route.
+ * @param {InputField} destinationInput The input field where the taxi route 
+ *         destination is entered. 
+ * @param {EstimatePipeline} estimatePipeline The pipeline that finds the taxi
+ *         routes when an estimate is requested.
+ * @param {jQuery} fareOutput The output field that shows the taxi fare 
+ *         estimate.
+ * @param {TariffCatalogue} tariffCatalogue The catalogue of tariffs the fare
+ *         can be calculated with.
+ * @param {jQuery} serviceSelect The selector where the taxi service is chosen.
+ * @param {jQuery} tripDateInput The input field where the trip date is
+ *         entered.
+ * @param {jQuery} ridersInput The input field where the number of riders is
+ *         entered.
+ * @param {jQuery} luggageInput The input field where the number of bags is
+ *         entered.
+ * @param {TipSelector} tipSelector The selector where the tip is chosen.
+ * @param {DeparturePicker} departurePicker The picker where the departure
+ *         time is chosen.
+ * @param {Number} freeFlowSpeed The speed (in km/h) a taxi travels at in free-
+ *         flowing traffic. Time spent on a route with no typical duration
+ *         (see FareEngine.estimate()) beyond the time it would take at this
+ *         speed is charged as waiting time.
+ * @param {Array} trafficProfile Array of 24 factors, one per hour from
+ *         midnight, giving how long a trip departing at that hour takes
+ *         relative to its typical duration.
+ * @param {Array} labels An associative array of labels shown before parts of
+ *         the fare estimate. Includes:
+ *         1) baseFare: Label of the base fare.
+ *         2) distanceFare: Label of the distance charge.
+ *         3) waitingFare: Label of the waiting time charge.
+ *         4) flatRate: Label of the flat rate, in which "{zone}" is replaced
+ *                    by the flat-rate zone.
+ *         5) passengerSurcharge: Label of the extra passenger charge, in
+ *                    which "{count}" is replaced by the number of extra
+ *                    passengers.
+ *         6) luggageSurcharge: Label of the luggage charge, in which
+ *                    "{count}" is replaced by the number of bags.
+ *         7) toll: Label of a toll, in which "{road}" is replaced by the
+ *                    toll road.
+ *         8) tip: Label of the tip, in which "{percent}" is replaced by the
+ *                    tip percentage.
+ *         9) grandTotal: Label of the grand total.
+ *         10) fareRange: Label of the range of fares across all routes.
+ *         11) recommendedRoute: Label of the recommended route summary.
+ *         12) leg: Label of a leg's distance and fare (followed by the leg
+ *                    number).
+ *         13) rider: Label of the amount a rider owes (followed by the rider
+ *                    number).
+ *         14) dropOff: Label of the place a rider is dropped off.
+ *         15) tariff: Label of the service and tariff the fare is calculated
+ *                    with.
+ *         16) manualDistance: Detail shown with a fare estimated from a
+ *                    distance entered by hand.
+ *         17) departure: Label of the departure date and time (when the
+ *                    trip doesn't leave now).
+ * @param {LocaleFormat} localeFormat The format amounts of money and distances
+ *         are shown in.
+ * @param {Array} errorMessages An associative array of the error messages
+ *         shown when no estimate can be made. "{field}" in a message is
+ *         replaced by the name of the field at fault. Includes:
+ *         1) emptyField: A field is empty.
+ *         2) notFound: A field's address can't be found.
+ *         3) unroutable: There is no route between the addresses.
+ *         4) overQueryLimit: The routing service has had too many requests.
+ *         5) timeout: The routing service took too long to answer.
+ *         6) network: The routing service couldn't be reached.
+ *         7) noTariff: The selected service has no tariff in effect on the
+ *                    trip date.
+ *         8) noDistance: No trip distance was entered (when estimating the
+ *                    fare from a distance).
+ * @param {Array} warningMessages An associative array of the warnings shown
+ *         with the fare when the trip leaves the service area (where a
+ *         different tariff applies). "{field}" is replaced as above. Includes:
+ *         1) outOfServiceArea: A field's address is outside the service area.
+ *         2) routeLeavesServiceArea: The route passes outside the service
+ *                    area, though its stops are all inside it.
+ * @param {Array} fieldNames An associative array of the field names used in
+ *         error and warning messages. Includes:
+ *         1) origin: Name of the origin field.
+ *         2) destination: Name of the destination field.
+ *         3) stop: Name of a stop field (followed by the stop number).
+ * @param {Array} serviceArea Array of the areas taxis are licensed to serve
+ *         (see FareEngine.isInAnyArea()).
+ * @param {String} invalidClass The styling class applied to the field at fault
+ *         when an error message is shown.
+ */
+function FareCalculator(
+    originInput,
+    stopList,
+    destinationInput,
+    estimatePipeline,
+    fareOutput,
+    tariffCatalogue,
+    serviceSelect,
+    tripDateInput,
+    ridersInput,
+    luggageInput,
+    tipSelector,
+    departurePicker,
+    freeFlowSpeed,
+    trafficProfile,
+    labels,
+    localeFormat,
+    errorMessages,
+    warningMessages,
+    fieldNames,
+    serviceArea,
+    invalidClass
+) {    
+    
+    // Itemized fares for each taxi route, the recommended route first (see
+    // FareEngine.addExtras()).
+    var fareBreakdowns;
+    
+    // Functions called with each estimate shown.
+    var estimateListeners = new Array();
+    
+    // Functions called with each error shown.
+    var errorListeners = new Array();
+    
+    // Input fields of the route being estimated, in order, each with its name.
+    var fields;
+    
+    // Tariff the route being estimated is calculated with.
+    var tariff;
+    
+    // Addresses of the stops and destination of the route being estimated, in
+    // order.
+    var dropOffPlaces;
+    
+    estimatePipeline.addCheck(checkInput);
+    estimatePipeline.addListener(updateContent);
+    
+    
+    /**
+     * Adds a function to call whenever an estimate is shown.
+     *
+     * @param {function} listener Function called with the estimate, an
+     *         associative array that includes:
+     *         1) fare: The grand total of the recommended route's fare, in
+     *                    cents.
+     *         2) formattedFare: The grand total, formatted for the locale.
+     *         3) fareBreakdown: The itemized fare of the recommended route (see
+     *                    FareEngine.addExtras()).
+     *         4) fareRange: The lowest and highest grand totals across all
+     *                    routes, of the form {min: Number, max: Number} (in
+     *                    cents).
+     *         5) distance: The recommended route's distance, in meters.
+     *         6) summary: The recommended route's summary.
+     *         7) service: The ID of the service.
+     *         8) tariff: The ID of the tariff the fare is calculated with.
+     *         9) warnings: Array of the warnings shown with the fare (e.g.
+     *                    that the trip leaves the service area).
+     *         10) departureHour: The hour the trip departs at (0 to 23).
+     *         11) faresByHour: Array of the grand totals of the recommended
+     *                    route's fare (in cents) for a departure at each hour
+     *                    from midnight (see FareEngine.estimateByHour()).
+     *         12) duration: The recommended route's expected duration, in
+     *                    seconds.
+     *         13) locations: Array of the {lat, lng} locations of the
+     *                    origin, stops and destination, in order (empty if
+     *                    the fare is estimated from a distance entered).
+     *         14) riders: The number of riders.
+     *         15) fareItems: Array of the fare items shown, the grand total
+     *                    last (see OutputField.showFare()).
+     *         16) fareDetails: Array of the fare detail Strings shown (e.g.
+     *                    the route distance and the tariff).
+     */
+    this.addEstimateListener = function(listener) {
+        estimateListeners.push(listener);
+    }
+    
+    
+    /**
+     * Estimates the fare of a trip of the given distance without a route (e.g.
+     * when routing is unavailable), taking the time it takes in typical
+     * traffic for the departure hour (see trafficProfile). No flat rate or
+     * toll applies, since the trip's ends and roads aren't known. Shows an
+     * error message if no distance is given or the selected service has no
+     * tariff in effect on the trip date.
+     *
+     * @param {Number} distance The trip distance, in meters, or null if none
+     *         was entered.
+     */
+    this.estimateDistance = function(distance) {
+        
+        // Route of the given distance.
+        var route;
+        
+        // Tariff the distance is charged with (the route being estimated
+        // keeps its own).
+        var distanceTariff;
+        
+        if (!distance) {
+            reportError('noDistance', null, null);
+            return;
+        }
+        
+        distanceTariff = findTariff();
+        
+        if (!distanceTariff) {
+            return;
+        }
+        
+        route = applyTrafficProfile(joinLegs(
+            [
+                {
+                    distance: distance,
+                    duration: distance / 1000 / freeFlowSpeed * 3600,
+                    durationInTraffic: null
+                }
+            ], 
+            [], 
+            '', 
+            []
+        ));
+        
+        fareBreakdowns = [estimateFare(route, distanceTariff)];
+        
+        showEstimate(
+            makeEstimate(route, [], distanceTariff), 
+            [localeFormat.formatDistance(distance), labels.manualDistance],
+            distanceTariff
+        );
+    }
+    
+    
+    /**
+     * Finds how far the given budget takes the trip entered (its riders, bags
+     * and tip), in typical traffic for the departure hour (see 
+     * trafficProfile) and without flat rates or tolls (see 
+     * FareEngine.maxDistance()). Shows an error message if the selected 
+     * service has no tariff in effect on the trip date.
+     *
+     * @param {Number} budget The budget, in cents.
+     * @return {Number} The longest distance the budget pays for, in meters, or
+     *         null if there is no tariff.
+     */
+    this.findReach = function(budget) {
+        
+        // Tariff the budget is spent on (the route being estimated keeps its
+        // own).
+        var budgetTariff = findTariff();
+        
+        if (!budgetTariff) {
+            return null;
+        }
+        
+        return FareEngine.maxDistance(
+            budget, 
+            budgetTariff, 
+            getTrip(), 
+            trafficProfile[departurePicker.getDepartureTime().getHours()]
+        );
+    }
+    
+    
+    /**
+     * Adds a function to call whenever an error is shown.
+     *
+     * @param {function} listener Function called with the error, an
+     *         associative array that includes:
+     *         1) type: The type of error (one of the keys of the error
+     *                    messages, e.g. "notFound").
+     *         2) message: The error message shown.
+     *         3) field: The name of the field at fault, or null if the
+     *                    error isn't due to one field.
+     *         4) retryable: True if retrying might help.
+     */
+    this.addErrorListener = function(listener) {
+        errorListeners.push(listener);
+    }
+    
+    
+    /**
+     * Checks that the route fields are filled in and that the selected service
+     * has a tariff in effect on the trip date, showing an error message if
+     * not.
+     *
+     * @return {Boolean} True if the fare can be estimated.
+     */
+    function checkInput() {
+        
+        // The first field left empty (if any).
+        var emptyField = null;
+        
+        fields = [{input: originInput, name: fieldNames.origin}];
+        
+        dropOffPlaces = jQuery.map(
+            stopList.getStops().concat([destinationInput]), 
+            function(input) {
+                return input.getElement().val();
+            }
+        );
+        
+        jQuery.each(stopList.getStops(), function(count, stopInput) {
+            fields.push({
+                input: stopInput, 
+                name: fieldNames.stop + (count + 1)
+            });
+        });
+        
+        fields.push({input: destinationInput, name: fieldNames.destination});
+        
+        jQuery.each(fields, function(count, field) {
+            field.input.getElement().removeClass(invalidClass)
+                    .removeAttr('aria-invalid');
+        });
+        
+        if (originInput.isEmpty()) {
+            emptyField = fields[0];
+        } else if (destinationInput.isEmpty()) {
+            emptyField = fields[fields.length - 1];
+        }
+        
+        if (emptyField) {
+            reportError('emptyField', emptyField, null);
+            return false;
+        }
+        
+        tariff = findTariff();
+        
+        return tariff !== null;
+    }
+    
+    
+    /**
+     * Finds the tariff of the selected service in effect on the trip date,
+     * showing an error message if there is none.
+     *
+     * @return {Array} The tariff (see FareEngine.estimate()), or null if none
+     *         was found.
+     */
+    function findTariff() {
+        
+        // Tariff in the catalogue.
+        var foundTariff = tariffCatalogue.find(
+            serviceSelect.val(), 
+            tripDateInput.val()
+        );
+        
+        if (!foundTariff) {
+            reportError('noTariff', null, null);
+            return null;
+        }
+        
+        return jQuery.extend({freeFlowSpeed: freeFlowSpeed}, foundTariff);
+    }
+    
+    
+    /**
+     * Updates the fare output field content and shows the field to the user.
+     * Calculates the fare of each route and shows the recommended route's fare
+     * along with its distance, the range of fares, (for trips with stops or
+     * several riders) the fare of each leg and rider and any warnings.
+     *
+     * @param {String} status The RoutingStatus of the estimate.
+     * @param {Array} routes Array of the routes found, the recommended route
+     *         first (see routing_providers.js).
+     * @param {Number} failedIndex The index of the field whose address couldn't
+     *         be found (if status is NOT_FOUND).
+     */
+    function updateContent(status, routes, failedIndex) {
+        if (status == RoutingStatus.NOT_FOUND) {
+            reportError('notFound', fields[failedIndex], null);
+        } else if (status == RoutingStatus.ZERO_RESULTS) {
+            reportError('unroutable', null, null);
+        } else if (status == RoutingStatus.OVER_QUERY_LIMIT) {
+            reportError('overQueryLimit', null, retryEstimate);
+        } else if (status == RoutingStatus.TIMEOUT) {
+            reportError('timeout', null, retryEstimate);
+        } else if (status != RoutingStatus.OK) {
+            reportError('network', null, retryEstimate);
+        } else {
+            routes = jQuery.map(routes, applyTrafficProfile);
+            
+            fareBreakdowns = jQuery.map(routes, function(route) {
+                return estimateFare(route, tariff);
+            });
+
+            // The estimate told to the listeners.
+            var estimate = makeEstimate(
+                routes[0], 
+                findWarnings(routes[0]), 
+                tariff
+            );
+
+            showEstimate(estimate, [
+                localeFormat.formatDistance(estimate.distance),
+                labels.fareRange + 
+                        localeFormat.formatCents(estimate.fareRange.min) + 
+                        ' - ' + 
+                        localeFormat.formatCents(estimate.fareRange.max),
+                labels.recommendedRoute + routes[0].summary
+            ].concat(
+                makeTripDetails(
+                    routes[0], 
+                    fareBreakdowns[0], 
+                    dropOffPlaces, 
+                    tariff
+                )
+            ), tariff);
+        }
+    }
+    
+    
+    /**
+     * Makes the estimate of the fares calculated, the first being the
+     * recommended route's.
+     *
+     * @param {Array} route The recommended route.
+     * @param {Array} warnings Array of the warnings shown with the fare.
+     * @param {Array} tariff The tariff the fares are calculated with.
+     * @return {Array} The estimate (see addEstimateListener()).
+     */
+    function makeEstimate(route, warnings, tariff) {
+        
+        // Hour the trip departs at.
+        var departureHour = departurePicker.getDepartureTime().getHours();
+            
+        // Lowest and highest fares across all routes.
+        var minFare = fareBreakdowns[0].grandTotal;
+        var maxFare = fareBreakdowns[0].grandTotal;
+        
+        jQuery.each(fareBreakdowns, function(count, fareBreakdown) {
+            minFare = Math.min(minFare, fareBreakdown.grandTotal);
+            maxFare = Math.max(maxFare, fareBreakdown.grandTotal);
+        });
+        
+        return {
+            fare: fareBreakdowns[0].grandTotal,
+            formattedFare: localeFormat.formatCents(
+                fareBreakdowns[0].grandTotal
+            ),
+            fareBreakdown: fareBreakdowns[0],
+            fareRange: {min: minFare, max: maxFare},
+            distance: fareBreakdowns[0].distance,
+            summary: route.summary,
+            service: serviceSelect.val(),
+            tariff: tariff.id,
+            warnings: warnings,
+            departureHour: departureHour,
+            faresByHour: FareEngine.estimateByHour(
+                route, 
+                tariff, 
+                getTrip(), 
+                trafficProfile, 
+                departureHour
+            ),
+            duration: getDuration(route),
+            locations: route.locations,
+            riders: getRiders()
+        };
+    }
+    
+    
+    /**
+     * Shows the given estimate, with the given details followed by the
+     * service and tariff, and tells the estimate listeners.
+     *
+     * @param {Array} estimate The estimate (see addEstimateListener()).
+     * @param {Array} fareDetails Array of fare detail Strings to show.
+     * @param {Array} tariff The tariff the fare is calculated with.
+     */
+    function showEstimate(estimate, fareDetails, tariff) {
+        estimate.fareItems = makeFareItems(estimate.fareBreakdown, tariff);
+        estimate.fareDetails = fareDetails.concat(
+            departurePicker.getTime() ? [
+                labels.departure + tripDateInput.val() + ' ' + 
+                        departurePicker.getTime()
+            ] : [], 
+            [
+                labels.tariff + 
+                        serviceSelect.find('option:selected').text() + 
+                        ' (' + tariff.effective + ')'
+            ]
+        );
+        
+        fareOutput.showFare(
+            estimate.formattedFare, 
+            estimate.fareDetails,
+            estimate.fareItems,
+            estimate.warnings
+        );
+        
+        jQuery.each(estimateListeners, function(count, listener) {
+            listener(estimate);
+        });
+    }
+    
+    
+    /**
+     * Shows the error message of the given type, naming and highlighting the
+     * field at fault (if any), and tells the error listeners.
+     *
+     * @param {String} type The type of error (one of the keys of the error
+     *         messages).
+     * @param {Array} field The field at fault, of the form {input: InputField,
+     *         name: String}, or null if the error isn't due to one field.
+     * @param {function} retry The function that retries the estimate, or null
+     *         if retrying wouldn't help.
+     */
+    function reportError(type, field, retry) {
+        
+        // The error told to the listeners.
+        var error = {
+            type: type,
+            message: errorMessages[type]
+                    .replace('{field}', field ? field.name : ''),
+            field: field ? field.name : null,
+            retryable: retry !== null
+        };
+        
+        if (field) {
+            field.input.getElement().addClass(invalidClass)
+                    .attr('aria-invalid', 'true');
+        }
+        
+        fareOutput.showError(error.message, retry);
+        
+        jQuery.each(errorListeners, function(count, listener) {
+            listener(error);
+        });
+    }
+    
+    
+    /**
+     * Finds the warnings to show with the fare of the given route: one for
+     * each of its stops outside the service area, or else one if the route
+     * line leaves the service area.
+     *
+     * @param {Array} route The route (see routing_providers.js).
+     * @return {Array} Array of the warning messages.
+     */
+    function findWarnings(route) {
+        
+        // Warning messages found.
+        var warnings = [];
+        
+        jQuery.each(route.locations, function(count, location) {
+            if (!FareEngine.isInAnyArea(location, serviceArea)) {
+                warnings.push(warningMessages.outOfServiceArea
+                        .replace('{field}', fields[count].name));
+            }
+        });
+        
+        if (!warnings.length && 
+                FareEngine.leavesAreas(route.path, serviceArea)) {
+            warnings.push(warningMessages.routeLeavesServiceArea);
+        }
+        
+        return warnings;
+    }
+    
+    
+    /**
+     * Retries the estimate after a temporary failure.
+     */
+    function retryEstimate() {
+        estimatePipeline.run();
+    }
+    
+    
+    /**
+     * Estimates the fare of the given route with the given tariff, including
+     * the surcharges, tolls and tip of the trip entered (see
+     * FareEngine.estimateRoute()).
+     *
+     * @param {Array} route The route (see routing_providers.js).
+     * @param {Array} tariff The tariff (see FareEngine.estimate()).
+     * @return {Array} The itemized fare (see FareEngine.addExtras()).
+     */
+    function estimateFare(route, tariff) {
+        return FareEngine.estimateRoute(route, tariff, getTrip());
+    }
+    
+    
+    /**
+     * Returns the details of the trip entered that the fare depends on.
+     *
+     * @return {Array} The trip (see FareEngine.estimateRoute()).
+     */
+    function getTrip() {
+        return {
+            riders: getRiders(),
+            bags: Math.max(0, parseInt(luggageInput.val()) || 0),
+            tipPercent: tipSelector.getPercentage()
+        };
+    }
+    
+    
+    /**
+     * Scales the given route's duration by the traffic profile for the
+     * departure hour, if the routing provider has no traffic data for it.
+     *
+     * @param {Array} route The route (see routing_providers.js).
+     * @return {Array} The route, or its scaled copy.
+     */
+    function applyTrafficProfile(route) {
+        if (route.durationInTraffic !== null) {
+            return route;
+        }
+        
+        return FareEngine.scaleDuration(
+            route, 
+            trafficProfile[departurePicker.getDepartureTime().getHours()]
+        );
+    }
+    
+    
+    /**
+     * Makes the items of the given itemized fare shown to the user: the
+     * metered charges (or the flat rate), any surcharges, tolls and tip, and
+     * the grand total. Surcharges that don't apply are left out.
+     *
+     * @param {Array} fareBreakdown The itemized fare (see
+     *         FareEngine.addExtras()).
+     * @param {Array} tariff The tariff the fare is calculated with.
+     * @return {Array} Array of the fare items, the grand total last, each of
+     *         the form {label: String, amount: String}.
+     */
+    function makeFareItems(fareBreakdown, tariff) {
+        
+        // Fare items, each of the form {label: String, amount: Number}.
+        var items = fareBreakdown.flatRateZone ? [
+            {
+                label: labels.flatRate.replace(
+                    '{zone}', 
+                    fareBreakdown.flatRateZone
+                ),
+                amount: fareBreakdown.flatFare
+            }
+        ] : [
+            {label: labels.baseFare, amount: fareBreakdown.baseFare},
+            {label: labels.distanceFare, amount: fareBreakdown.distanceFare},
+            {label: labels.waitingFare, amount: fareBreakdown.waitingFare}
+        ];
+        
+        if (fareBreakdown.passengerSurcharge) {
+            items.push({
+                label: labels.passengerSurcharge.replace(
+                    '{count}', 
+                    getRiders() - tariff.freePassengers
+                ),
+                amount: fareBreakdown.passengerSurcharge
+            });
+        }
+        
+        if (fareBreakdown.luggageSurcharge) {
+            items.push({
+                label: labels.luggageSurcharge.replace(
+                    '{count}', 
+                    luggageInput.val()
+                ),
+                amount: fareBreakdown.luggageSurcharge
+            });
+        }
+        
+        jQuery.each(fareBreakdown.tolls, function(count, toll) {
+            items.push({
+                label: labels.toll.replace('{road}', toll.name),
+                amount: toll.fare
+            });
+        });
+        
+        if (fareBreakdown.tip) {
+            items.push({
+                label: labels.tip.replace(
+                    '{percent}', 
+                    tipSelector.getPercentage()
+                ),
+                amount: fareBreakdown.tip
+            });
+        }
+        
+        items.push({
+            label: labels.grandTotal, 
+            amount: fareBreakdown.grandTotal
+        });
+        
+        return jQuery.map(items, function(item) {
+            return {
+                label: item.label,
+                amount: localeFormat.formatCents(item.amount)
+            };
+        });
+    }
+    
+    
+    /**
+     * Makes the fare details of each leg of the given route (if it has stops)
+     * and of each rider (if there is more than one). The surcharges, tolls and
+     * tip are shared equally by all riders.
+     *
+     * @param {Array} route The route (see routing_providers.js).
+     * @param {Array} fareBreakdown The itemized fare of the route.
+     * @param {Array} dropOffPlaces Array of the addresses at the end of each
+     *         leg.
+     * @param {Array} tariff The tariff (see FareEngine.estimate()).
+     * @return {Array} Array of fare detail Strings.
+     */
+    function makeTripDetails(route, fareBreakdown, dropOffPlaces, tariff) {
+        
+        // Fare of each leg, in cents.
+        var legFares = route.legs.length == 1 ? [fareBreakdown.totalFare] :
+                FareEngine.estimateLegs(
+                    jQuery.map(route.legs, function(leg) {
+                        return {
+                            distance: leg.distance / 1000,
+                            duration: getDuration(leg),
+                            typicalDuration: leg.durationInTraffic !== null ? 
+                                    leg.duration : null
+                        };
+                    }),
+                    tariff
+                );
+        
+        // Fare of each leg shared by its riders, in cents: the surcharges,
+        // tolls and tip are added to the first leg, which all riders share.
+        var sharedFares = legFares.slice(0);
+        
+        sharedFares[0] += fareBreakdown.grandTotal - fareBreakdown.totalFare;
+        
+        // Number of riders.
+        var riders = getRiders();
+        
+        // Number of riders dropped off at the end of each leg: one at each
+        // stop in turn, the rest at the destination.
+        var dropOffs = jQuery.map(route.legs, function(leg, index) {
+            return index < route.legs.length - 1 ? 
+                    (index < riders - 1 ? 1 : 0) :
+                    Math.max(1, riders - index);
+        });
+        
+        // Fare details of each leg and rider.
+        var tripDetails = new Array();
+        
+        if(route.legs.length > 1) {
+            jQuery.each(route.legs, function(index, leg) {
+                tripDetails.push(
+                    labels.leg + (index + 1) + ': ' + 
+                            localeFormat.formatDistance(leg.distance) + 
+                            ', ' + localeFormat.formatCents(legFares[index])
+                );
             });
         }
         
-        // Request to get directions between origin and destination.
-        var request = {
+        if(riders > 1) {
+            jQuery.each(
+                FareEngine.splitFare(sharedFares, dropOffs), 
+                function(index, share) {
+                    
+                    // Leg at the end of which this rider is dropped off.
+                    var leg = 0;
+                    
+                    for(var dropped = dropOffs[0]; dropped <= index; 
+                            dropped += dropOffs[leg]) {
+                        leg++;
+                    }
+                    
+                    tripDetails.push(
+                        labels.rider + (index + 1) + ' (' + labels.dropOff + 
+                                dropOffPlaces[leg] + '): ' + 
+                                localeFormat.formatCents(share)
+                    );
+                }
+            );
+        }
+        
+        return tripDetails;
+    }
+    
+    
+    /**
+     * Returns the number of riders entered (at least one).
+     *
+     * @return {Number} The number of riders.
+     */
+    function getRiders() {
+        return Math.max(1, parseInt(ridersInput.val()) || 1);
+    }
+    
+    
+    /**
+     * Returns the expected duration of the given route or route leg in current
+     * traffic, falling back to its typical duration if there is no traffic
+     * data.
+     *
+     * @param {Array} route The route or route leg.
+     * @return {Number} The expected duration, in seconds.
+     */
+    function getDuration(route) {
+        return route.durationInTraffic !== null ? 
+                route.durationInTraffic : route.duration;
+    }
+}
+
+
+/**
+ * This class shows how the fare of the route estimated changes across the
+ * day: a small bar chart of the fare for a departure at each hour, with the
+ * departure hour chosen highlighted, and the cheapest and most expensive
+ * hours named below it. Each bar also holds its hour and fare as visually
+ * hidden text, read out by screen readers. The chart is hidden while an error
+ * is shown.
+ *
+ * This class makes use of the jQuery library.
+ *
+ * @param {jQuery} element The element that shows the chart.
+ * @param {FareCalculator} fareCalculator The fare calculator whose estimates
+ *         are charted.
+ * @param {LocaleFormat} localeFormat The format amounts of money are shown
+ *         in.
+ * @param {Array} labels An associative array of the chart's labels. Includes:
+ *         1) title: Title of the chart.
+ *         2) hour: Format of an hour, in which "{hour}" is replaced by the
+ *                    hour (0 to 23).
+ *         3) cheapest: Label of the cheapest hour, in which "{hour}" is
+ *                    replaced by the hour and "{fare}" by its fare.
+ *         4) dearest: Label of the most expensive hour (as above).
+ * @param {String} selectedClass The styling class applied to the bar of the
+ *         departure hour chosen.
+ */
+function FareByHourChart(
+    element,
+    fareCalculator,
+    localeFormat,
+    labels,
+    selectedClass
+) {
+    
+    // Height of the tallest bar, in em (the shortest bar is a fifth of it).
+    var maxBarHeight = 5;
+    
+    element.hide();
+    
+    fareCalculator.addEstimateListener(showChart);
+    fareCalculator.addErrorListener(function() {
+        element.hide();
+    });
+    
+    
+    /**
+     * Shows the chart of the given estimate's fares by hour.
+     *
+     * @param {Array} estimate The estimate (see
+     *         FareCalculator.addEstimateListener()).
+     */
+    function showChart(estimate) {
+        
+        // The bars, one per hour.
+        var chart = jQuery('<ol>');
+        
+        // Hours with the lowest and highest fares.
+        var cheapestHour = 0;
+        var dearestHour = 0;
+        
+        // Lowest and highest fares.
+        var minFare;
+        var maxFare;
+        
+        jQuery.each(estimate.faresByHour, function(hour, fare) {
+            if (fare < estimate.faresByHour[cheapestHour]) {
+                cheapestHour = hour;
+            }
+            
+            if (fare > estimate.faresByHour[dearestHour]) {
+                dearestHour = hour;
+            }
+        });
+        
+        minFare = estimate.faresByHour[cheapestHour];
+        maxFare = estimate.faresByHour[dearestHour];
+        
+        jQuery.each(estimate.faresByHour, function(hour, fare) {
+            jQuery('<li>')
+                    .attr('title', formatHour(hour) + ': ' + 
+                            localeFormat.formatCents(fare))
+                    .toggleClass(selectedClass, 
+                            hour == estimate.departureHour)
+                    .append(jQuery('<span>').addClass('bar').css(
+                        'height', 
+                        (maxBarHeight * (maxFare > minFare ? 
+                                0.2 + 0.8 * (fare - minFare) / 
+                                        (maxFare - minFare) : 
+                                1)) + 'em'
+                    ))
+                    .append(jQuery('<span>').addClass('hour')
+                            .attr('aria-hidden', 'true')
+                            .text(hour % 6 ? '' : formatHour(hour)))
+                    .append(jQuery('<span>').addClass('visually-hidden')
+                            .text(formatHour(hour) + ': ' + 
+                                    localeFormat.formatCents(fare)))
+                    .appendTo(chart);
+        });
+        
+        element.empty()
+                .append(jQuery('<h3>').text(labels.title))
+                .append(chart)
+                .append(jQuery('<p>').text(
+                    labels.cheapest
+                            .replace('{hour}', formatHour(cheapestHour))
+                            .replace('{fare}', 
+                                    localeFormat.formatCents(minFare)) + 
+                            ' ' + 
+                            labels.dearest
+                            .replace('{hour}', formatHour(dearestHour))
+                            .replace('{fare}', 
+                                    localeFormat.formatCents(maxFare))
+                ))
+                .show();
+    }
+    
+    
+    /**
+     * Formats the given hour.
+     *
+     * @param {Number} hour The hour (0 to 23).
+     * @return {String} The formatted hour.
+     */
+    function formatHour(hour) {
+        return labels.hour.replace('{hour}', hour);
+    }
+}
+
+
+/**
+ * This class compares the taxi with other ways to travel the route estimated
+ * (e.g. transit, walking and cycling): a table of the time each takes and
+ * what it costs the riders, the taxi first. The routes of the other travel
+ * modes are found through the routing provider for the taxi route's places
+ * and departure time. Each travel mode has a button that shows its route on
+ * the map (in its own colour) and in the route directions, the mode shown
+ * being highlighted (and its button marked as pressed). The table is
+ * hidden while an error is shown, and when the fare is estimated from a
+ * distance entered (since there are no places to route between).
+ *
+ * This class makes use of the jQuery library.
+ *
+ * @param {jQuery} element The element that shows the comparison.
+ * @param {FareCalculator} fareCalculator The fare calculator whose estimates
+ *         are compared.
+ * @param {Object} routingProvider The routing provider that finds the routes
+ *         of the other travel modes.
+ * @param {DeparturePicker} departurePicker The picker where the departure
+ *         time the routes are found for is chosen.
+ * @param {MapDisplay} mapOutput The map the routes are shown on (or null if
+ *         there is no map).
+ * @param {RouteDirections} routeDirections The directions the routes are
+ *         listed in.
+ * @param {Array} modes Array of the travel modes compared with the taxi, in
+ *         order, each an associative array that includes:
+ *         1) travelMode: The travel mode of its routes (see
+ *                    routing_providers.js).
+ *         2) label: Name of the travel mode.
+ *         3) fare: The fare each rider pays, in cents (0 if it is free).
+ *         4) stops: True if its routes can pass through stops (otherwise it
+ *                    isn't offered for trips with stops).
+ *         5) strokeColour: The stroke colour of its route line on the map.
+ * @param {LocaleFormat} localeFormat The format durations and amounts of
+ *         money are shown in.
+ * @param {Array} labels An associative array of the comparison's labels.
+ *         Includes:
+ *         1) title: Title of the comparison.
+ *         2) mode: Heading of the travel mode column.
+ *         3) duration: Heading of the duration column.
+ *         4) cost: Heading of the cost column.
+ *         5) taxi: Name of the taxi travel mode.
+ *         6) free: Cost of a travel mode that is free.
+ *         7) unavailable: Duration of a travel mode with no route.
+ *         8) show: Label of the button that shows a route (followed by the
+ *                    name of the travel mode, for screen readers).
+ * @param {String} selectedClass The styling class applied to the row of the
+ *         travel mode shown on the map.
+ */
+function ModeComparison(
+    element,
+    fareCalculator,
+    routingProvider,
+    departurePicker,
+    mapOutput,
+    routeDirections,
+    modes,
+    localeFormat,
+    labels,
+    selectedClass
+) {
+    
+    // Number of the latest comparison (the routes of earlier comparisons are
+    // ignored).
+    var comparisonNumber = 0;
+    
+    element.hide();
+    
+    fareCalculator.addEstimateListener(showComparison);
+    fareCalculator.addErrorListener(function() {
+        comparisonNumber++;
+        element.hide();
+    });
+    
+    
+    /**
+     * Shows the comparison of the given estimate's taxi route with the other
+     * travel modes, finding their routes.
+     *
+     * @param {Array} estimate The estimate (see
+     *         FareCalculator.addEstimateListener()).
+     */
+    function showComparison(estimate) {
+        
+        // Number of this comparison.
+        var number = ++comparisonNumber;
+        
+        // The table of travel modes, the taxi first.
+        var table = jQuery('<table>').append(jQuery('<tr>')
+                .append(jQuery('<th scope="col">').text(labels.mode))
+                .append(jQuery('<th scope="col">').text(labels.duration))
+                .append(jQuery('<th scope="col">').text(labels.cost))
+                .append(jQuery('<td>')));
+        
+        if (!estimate.locations.length) {
+            element.hide();
+            return;
+        }
+        
+        showRow(
+            makeRow(labels.taxi).addClass(selectedClass).appendTo(table),
+            labels.taxi,
+            estimate.duration,
+            estimate.formattedFare,
+            function() {
+                if (mapOutput) {
+                    mapOutput.showTaxiRoutes();
+                }
+                
+                routeDirections.showTaxiRoute();
+            }
+        );
+        
+        element.empty()
+                .append(jQuery('<h3>').text(labels.title))
+                .append(table)
+                .show();
+        
+        jQuery.each(modes, function(count, mode) {
+            
+            // Row of the travel mode.
+            var row = makeRow(mode.label).appendTo(table);
+            
+            if (!mode.stops && estimate.locations.length > 2) {
+                row.children().eq(1).text(labels.unavailable);
+                return;
+            }
+            
+            routingProvider.route(
+                {
+                    origin: estimate.locations[0],
+                    destination: 
+                            estimate.locations[estimate.locations.length - 1],
+                    waypoints: estimate.locations.slice(
+                        1, 
+                        estimate.locations.length - 1
+                    ),
+                    departureTime: departurePicker.getRoutingTime(),
+                    travelMode: mode.travelMode
+                },
+                function(status, routes) {
+                    if (number != comparisonNumber) {
+                        return;
+                    }
+                    
+                    if (status != RoutingStatus.OK) {
+                        row.children().eq(1).text(labels.unavailable);
+                        return;
+                    }
+                    
+                    showRow(
+                        row,
+                        mode.label,
+                        routes[0].duration,
+                        mode.fare ? 
+                                localeFormat.formatCents(
+                                    mode.fare * estimate.riders
+                                ) : 
+                                labels.free,
+                        function() {
+                            if (mapOutput) {
+                                mapOutput.showModeRoute(
+                                    routes[0], 
+                                    mode.strokeColour
+                                );
+                            }
+                            
+                            routeDirections.showModeRoute(routes[0]);
+                        }
+                    );
+                }
+            );
+        });
+    }
+    
+    
+    /**
+     * Makes the row of a travel mode, its duration and cost not yet known.
+     *
+     * @param {String} label The name of the travel mode.
+     * @return {jQuery} The row.
+     */
+    function makeRow(label) {
+        return jQuery('<tr>')
+                .append(jQuery('<th scope="row">').text(label))
+                .append(jQuery('<td>'))
+                .append(jQuery('<td>'))
+                .append(jQuery('<td>'));
+    }
+    
+    
+    /**
+     * Shows the duration and cost of a travel mode in its row, along with the
+     * button that shows its route.
+     *
+     * @param {jQuery} row The row of the travel mode.
+     * @param {String} label The name of the travel mode.
+     * @param {Number} duration The duration of its route, in seconds.
+     * @param {String} cost The formatted cost of the trip.
+     * @param {Function} showRoute Function that shows its route.
+     */
+    function showRow(row, label, duration, cost, showRoute) {
+        row.children().eq(1).text(localeFormat.formatDuration(duration));
+        row.children().eq(2).text(cost);
+        
+        row.children().eq(3).append(jQuery('<button>')
+                .text(labels.show)
+                .attr({
+                    'aria-label': labels.show + ': ' + label,
+                    'aria-pressed': String(row.hasClass(selectedClass))
+                })
+                .bind('click', function() {
+                    row.siblings().removeClass(selectedClass)
+                            .find('button').attr('aria-pressed', 'false');
+                    row.addClass(selectedClass)
+                            .find('button').attr('aria-pressed', 'true');
+                    showRoute();
+                }));
+    }
+}
+
+
+/**
+ * This class represents the degraded mode the finder falls back to when
+ * routing is unavailable: the browser is offline, the routing service
+ * couldn't be loaded, or its last request failed. In degraded mode, a notice
+ * says that maps and address lookup are unavailable, and a form lets the user
+ * enter a known trip distance (in km or miles, as distances are shown) to get
+ * the fare from the fare engine without a route. Degraded mode ends once the
+ * browser is back online and routing works again.
+ *
+ * This class makes use of the jQuery library.
+ *
+ * @param {jQuery} element The element that holds the notice and the form,
+ *         shown only in degraded mode.
+ * @param {FareCalculator} fareCalculator The fare calculator that estimates
+ *         the fare from the distance entered.
+ * @param {EstimatePipeline} estimatePipeline The pipeline whose results show
+ *         whether routing works.
+ * @param {Boolean} routingAvailable False if no routing service could be
+ *         loaded at all.
+ * @param {LocaleFormat} localeFormat The format distances are shown in, which
+ *         the distance is entered in as well.
+ * @param {Array} labels An associative array of the labels. Includes:
+ *         1) notice: Notice shown in degraded mode.
+ *         2) distanceKm: Label of the distance input field, in km.
+ *         3) distanceMi: Label of the distance input field, in miles.
+ *         4) button: Label of the button that estimates the fare.
+ * @param {String} invalidClass The styling class applied to the distance
+ *         input field when no distance is entered.
+ */
+function ManualDistance(
+    element,
+    fareCalculator,
+    estimatePipeline,
+    routingAvailable,
+    localeFormat,
+    labels,
+    invalidClass
+) {
+    
+    // Label of the distance input field.
+    var label = element.find('.manual-distance-label');
+    
+    // Distance input field.
+    var input = element.find('.manual-distance-input');
+    
+    // True if the last routing request failed for want of the routing service.
+    var routingFailed = false;
+    
+    element.find('.degraded-notice').text(labels.notice);
+    element.find('.manual-fare-button').text(labels.button)
+            .bind('click', estimate);
+    
+    input.keydown(function(event) {
+        
+        // Enter.
+        if (event.which == 13) {
+            estimate();
+        }
+    });
+    
+    estimatePipeline.addListener(function(status) {
+        routingFailed = status == RoutingStatus.ERROR || 
+                status == RoutingStatus.TIMEOUT;
+        update();
+    });
+    
+    jQuery(window).bind('online offline', update);
+    
+    update();
+    
+    
+    /**
+     * Shows the distance input field's label in the current unit (see
+     * showUnit()).
+     */
+    this.showUnit = showUnit;
+    
+    
+    /**
+     * Shows or hides the notice and form, depending on whether routing is
+     * unavailable.
+     */
+    function update() {
+        showUnit();
+        element.toggle(!routingAvailable || routingFailed || 
+                navigator.onLine === false);
+    }
+    
+    
+    /**
+     * Shows the distance input field's label in the unit distances are shown
+     * in.
+     */
+    function showUnit() {
+        label.text(localeFormat.usesMiles() ? 
+                labels.distanceMi : labels.distanceKm);
+    }
+    
+    
+    /**
+     * Estimates the fare from the distance entered.
+     */
+    function estimate() {
+        
+        // Distance entered, in km or miles.
+        var distance = localeFormat.parseNumber(input.val());
+        
+        input.toggleClass(invalidClass, !(distance > 0))
+                .attr('aria-invalid', String(!(distance > 0)));
+        
+        fareCalculator.estimateDistance(distance > 0 ? 
+                distance * (localeFormat.usesMiles() ? 1609.344 : 1000) : 
+                null);
+    }
+}
+
+
+/**
+ * This class represents budget mode, which answers "how far can I go for
+ * $X?": given a budget, it finds the longest trip the budget pays for (see
+ * FareCalculator.findReach()) and, if an origin is entered, shows the area it
+ * reaches on the map. The area is an approximate drive-distance isoline: a
+ * route is found from the origin in each of a number of directions, and the
+ * distance reached in each direction is the budget's distance scaled by how
+ * directly its route heads that way (or by a typical detour factor, if no
+ * route is found).
+ *
+ * This class makes use of the jQuery library.
+ *
+ * @param {jQuery} element The element that holds the budget input field, its
+ *         button and the answer.
+ * @param {InputField} originInput The input field where the taxi route origin 
+ *         is entered.
+ * @param {FareCalculator} fareCalculator The fare calculator that finds how
+ *         far the budget goes.
+ * @param {Object} routingProvider The routing provider that codes the origin
+ *         and finds the route in each direction.
+ * @param {DeparturePicker} departurePicker The picker where the departure
+ *         time the routes are found for is chosen.
+ * @param {MapDisplay} mapOutput The map the area is shown on (or null if
+ *         there is no map).
+ * @param {LocaleFormat} localeFormat The format the budget is entered in and
+ *         the distance shown in.
+ * @param {Number} directions The number of directions routes are found in.
+ * @param {Number} detourFactor How much longer than the straight line a route
+ *         typically is (used in directions with no route).
+ * @param {Array} labels An associative array of the labels. Includes:
+ *         1) input: Label of the budget input field.
+ *         2) button: Label of the button that finds how far the budget goes.
+ *         3) reach: Answer saying how far the budget goes ("{budget}" and
+ *                    "{distance}" are replaced with the budget and the
+ *                    distance).
+ *         4) tooLow: Answer shown if the budget doesn't cover the base fare
+ *                    ("{budget}" is replaced with the budget).
+ *         5) noBudget: Answer shown if no budget is entered.
+ * @param {String} invalidClass The styling class applied to the budget input
+ *         field when no budget is entered.
+ */
+function BudgetMode(
+    element,
+    originInput,
+    fareCalculator,
+    routingProvider,
+    departurePicker,
+    mapOutput,
+    localeFormat,
+    directions,
+    detourFactor,
+    labels,
+    invalidClass
+) {
+    
+    // Budget input field.
+    var input = element.find('.budget-input');
+    
+    // Element the answer is shown in.
+    var output = element.find('.budget-output');
+    
+    // Number of the latest search (the routes of earlier searches are
+    // ignored).
+    var searchNumber = 0;
+    
+    element.find('.budget-label').text(labels.input);
+    element.find('.budget-button').text(labels.button).bind('click', search);
+    
+    input.keydown(function(event) {
+        
+        // Enter.
+        if (event.which == 13) {
+            search();
+        }
+    });
+    
+    fareCalculator.addEstimateListener(cancel);
+    fareCalculator.addErrorListener(cancel);
+    
+    
+    /**
+     * Finds how far the budget entered goes, and shows the area it reaches
+     * from the origin (if one is entered).
+     */
+    function search() {
+        
+        // Budget entered, in cents.
+        var budget = FareEngine.toCents(localeFormat.parseNumber(input.val()));
+        
+        // Number of this search.
+        var number = ++searchNumber;
+        
+        // Longest distance the budget pays for, in meters.
+        var distance;
+        
+        input.toggleClass(invalidClass, !(budget > 0))
+                .attr('aria-invalid', String(!(budget > 0)));
+        
+        if (!(budget > 0)) {
+            output.text(labels.noBudget);
+            return;
+        }
+        
+        distance = fareCalculator.findReach(budget);
+        
+        if (distance === null) {
+            output.text('');
+            return;
+        }
+        
+        output.text(distance ? 
+                labels.reach
+                        .replace('{budget}', localeFormat.formatCents(budget))
+                        .replace('{distance}', 
+                                localeFormat.formatDistance(distance)) : 
+                labels.tooLow
+                        .replace('{budget}', localeFormat.formatCents(budget)));
+        
+        if (!distance || !mapOutput || originInput.isEmpty()) {
+            return;
+        }
+        
+        if (originInput.getLocation()) {
+            showReach(originInput.getLocation(), distance, number);
+            return;
+        }
+        
+        routingProvider.geocode(
+            originInput.getElement().val(), 
+            function(status, results) {
+                if (number == searchNumber && status == RoutingStatus.OK) {
+                    showReach(results[0].location, distance, number);
+                }
+            }
+        );
+    }
+    
+    
+    /**
+     * Finds the area the given distance reaches from the given origin (by
+     * finding a route in each direction), then shows it on the map.
+     *
+     * @param {Array} origin The {lat, lng} location of the origin.
+     * @param {Number} distance The distance, in meters.
+     * @param {Number} number The number of the search.
+     */
+    function showReach(origin, distance, number) {
+        
+        // Direction of each route, in degrees clockwise from north.
+        var bearings = new Array();
+        
+        // Distance reached in each direction, in meters.
+        var reaches = new Array();
+        
+        // Number of routes yet to be found.
+        var waiting = directions;
+        
+        for (var i = 0; i < directions; i++) {
+            bearings.push(i * 360 / directions);
+        }
+        
+        jQuery.each(bearings, function(index, bearing) {
+            routingProvider.route(
+                {
+                    origin: origin,
+                    destination: FareEngine.offsetLocation(
+                        origin, 
+                        distance, 
+                        bearing
+                    ),
+                    departureTime: departurePicker.getRoutingTime()
+                },
+                function(status, routes) {
+                    
+                    // Where the route ends.
+                    var end;
+                    
+                    if (number != searchNumber) {
+                        return;
+                    }
+                    
+                    if (status == RoutingStatus.OK && routes[0].distance) {
+                        end = routes[0].locations[
+                            routes[0].locations.length - 1
+                        ];
+                        reaches[index] = distance * Math.min(
+                            1, 
+                            FareEngine.measureDistance(origin, end) / 
+                                    routes[0].distance
+                        );
+                    } else {
+                        reaches[index] = distance / detourFactor;
+                    }
+                    
+                    if (!--waiting) {
+                        mapOutput.showReach(origin, jQuery.map(
+                            bearings, 
+                            function(bearing, index) {
+                                return FareEngine.offsetLocation(
+                                    origin, 
+                                    reaches[index], 
+                                    bearing
+                                );
+                            }
+                        ));
+                    }
+                }
+            );
+        });
+    }
+    
+    
+    /**
+     * Stops showing the area of the latest search (e.g. once an estimate is
+     * shown on the map instead).
+     */
+    function cancel() {
+        searchNumber++;
+    }
+}
+
+
+/**
+ * This class keeps the page URL in step with the estimate shown, so that an
+ * estimate can be bookmarked or shared and is restored after a reload. Each
+ * estimate's origin, stops, destination, service, trip date, departure time,
+ * numbers of riders and bags and tip are encoded in the URL query (e.g.
+ * "?from=...&via=...&to=..."), and a browser history entry is added for each
+ * new estimate so that the back and forward buttons move between previous
+ * estimates. Every routed estimate shown is recorded, however it was started
+ * (e.g. by the show fare button, the Enter key, a change of tip or departure
+ * time, or an endpoint dragged on the map); fares estimated from a distance
+ * entered by hand aren't, since the URL can't encode them.
+ *
+ * This class makes use of the jQuery library and the HTML5 History API (the URL
+ * is only read, not updated, in browsers without it).
+ *
+ * @param {InputField} originInput The input field where the taxi route origin 
+ *         is entered.
+ * @param {StopList} stopList The list of intermediate stops of the taxi route.
+ * @param {InputField} destinationInput The input field where the taxi route 
+ *         destination is entered. 
+ * @param {jQuery} serviceSelect The selector where the taxi service is chosen.
+ * @param {jQuery} tripDateInput The input field where the trip date is
+ *         entered.
+ * @param {DeparturePicker} departurePicker The picker where the departure
+ *         time is chosen.
+ * @param {jQuery} ridersInput The input field where the number of riders is
+ *         entered.
+ * @param {jQuery} luggageInput The input field where the number of bags is
+ *         entered.
+ * @param {TipSelector} tipSelector The selector where the tip is chosen.
+ * @param {jQuery} showFareButton The button that, when clicked, shows the
+ *         estimate.
+ * @param {EstimatePipeline} estimatePipeline The estimate pipeline, whose
+ *         requests' inputs are encoded in the URL.
+ * @param {FareCalculator} fareCalculator The fare calculator whose estimates
+ *         are recorded in the URL.
+ * @param {Boolean} usesPageUrl True if estimates are recorded in and restored
+ *         from the page URL. If false (e.g. for a finder embedded in another
+ *         site's page), estimates are only encoded in query strings.
+ */
+function EstimateUrl(
+    originInput,
+    stopList,
+    destinationInput,
+    serviceSelect,
+    tripDateInput,
+    departurePicker,
+    ridersInput,
+    luggageInput,
+    tipSelector,
+    showFareButton,
+    estimatePipeline,
+    fareCalculator,
+    usesPageUrl
+) {
+    
+    // Query string encoding the inputs of the latest estimate started (so
+    // that fields edited while it loads aren't recorded with it).
+    var startedQuery = null;
+    
+    if(usesPageUrl) {
+        estimatePipeline.addStartListener(function() {
+            startedQuery = makeQuery();
+        });
+        
+        fareCalculator.addEstimateListener(record);
+        
+        jQuery(window).bind('popstate', restore);
+    }
+    
+    
+    /**
+     * Restores the estimate encoded in the page URL (see restore()).
+     */
+    this.restore = restore;
+    
+    
+    /**
+     * Returns the URL query string encoding the estimate in the input fields
+     * (see makeQuery()).
+     */
+    this.getQuery = makeQuery;
+    
+    
+    /**
+     * Fills in the input fields with the estimate encoded in the given URL
+     * query string and shows it, recording it in the page URL.
+     *
+     * @param {String} query The URL query string (starting with "?").
+     */
+    this.open = function(query) {
+        if(load(query)) {
+            showFareButton.trigger('click');
+        }
+    }
+    
+    
+    /**
+     * Records the estimate being shown in the page URL (as its inputs were
+     * when it started), adding a browser history entry if it differs from the
+     * current one.
+     *
+     * @param {Object} estimate The estimate (see
+     *         FareCalculator.addEstimateListener()).
+     */
+    function record(estimate) {
+        
+        // Query string encoding the estimate.
+        var query = startedQuery;
+        
+        if(!estimate.locations.length || query === null || 
+                !window.history.pushState) {
+            return;
+        }
+        
+        if(query != window.location.search) {
+            window.history.pushState(null, '', query);
+        }
+    }
+    
+    
+    /**
+     * Makes the URL query string encoding the estimate in the input fields.
+     *
+     * @return {String} The URL query string (starting with "?").
+     */
+    function makeQuery() {
+        return '?' + jQuery.param(
+            {
+                from: originInput.isEmpty() ? 
+                        '' : originInput.getElement().val(),
+                via: jQuery.map(stopList.getStops(), function(stopInput) {
+                    return stopInput.getElement().val();
+                }),
+                to: destinationInput.isEmpty() ? 
+                        '' : destinationInput.getElement().val(),
+                service: serviceSelect.val(),
+                date: tripDateInput.val(),
+                depart: departurePicker.getTime(),
+                riders: ridersInput.val(),
+                bags: luggageInput.val(),
+                tip: tipSelector.getPercentage()
+            },
+            true
+        );
+    }
+    
+    
+    /**
+     * Restores the estimate encoded in the page URL (if any) and shows it. The
+     * URL is rewritten in the form record() makes, so that showing the
+     * estimate doesn't add a browser history entry.
+     */
+    function restore() {
+        if(usesPageUrl && load(window.location.search)) {
+            if(window.history.replaceState) {
+                window.history.replaceState(null, '', makeQuery());
+            }
+            
+            showFareButton.trigger('click');
+        }
+    }
+    
+    
+    /**
+     * Fills in the input fields with the estimate encoded in the given URL
+     * query string.
+     *
+     * @param {String} query The URL query string (starting with "?").
+     * @return {Boolean} True if the query string encodes an estimate.
+     */
+    function load(query) {
+        
+        // Values encoded in the URL query.
+        var values = parseQuery(query);
+        
+        if(!values.from || !values.to) {
+            return false;
+        }
+        
+        originInput.setValue(values.from[0]);
+        stopList.setStops(values.via || []);
+        destinationInput.setValue(values.to[0]);
+        
+        if(values.service) {
+            serviceSelect.val(values.service[0]);
+        }
+        
+        if(values.date) {
+            tripDateInput.val(values.date[0]);
+        }
+        
+        departurePicker.setTime(values.depart ? values.depart[0] : '');
+        
+        if(values.riders) {
+            ridersInput.val(values.riders[0]);
+        }
+        
+        if(values.bags) {
+            luggageInput.val(values.bags[0]);
+        }
+        
+        if(values.tip) {
+            tipSelector.setPercentage(parseFloat(values.tip[0]) || 0);
+        }
+        
+        return true;
+    }
+    
+    
+    /**
+     * Parses the given URL query string.
+     *
+     * @param {String} query The URL query string (starting with "?").
+     * @return {Array} An associative array of the Array of values given for
+     *         each key.
+     */
+    function parseQuery(query) {
+        var values = {};
+        
+        jQuery.each(query.replace(/^\?/, '').split('&'), function(count, pair) {
+            var key = decodeURIComponent(pair.split('=')[0]);
+            var value = pair.split('=')[1];
+            
+            if(!key || value === undefined) {
+                return;
+            }
+            
+            values[key] = values[key] || new Array();
+            values[key].push(decodeURIComponent(value.replace(/\+/g, ' ')));
+        });
+        
+        return values;
+    }
+}
+
+
+/**
+ * This class represents the estimate history panel. It lists the user's most
+ * recent estimates (origin, destination, fare, distance and trip date), newest
+ * first, and keeps them in the browser's storage so that they outlast the
+ * page. Each estimate can be shown again with one click. Only routed
+ * estimates are kept, since fares estimated from a distance entered by hand
+ * can't be shown again from their URL (see EstimateUrl).
+ *
+ * This class makes use of the jQuery library.
+ *
+ * @param {jQuery} element The element that shows the estimate history.
+ * @param {InputField} originInput The input field where the taxi route origin 
+ *         is entered.
+ * @param {InputField} destinationInput The input field where the taxi route 
+ *         destination is entered. 
+ * @param {jQuery} tripDateInput The input field where the trip date is
+ *         entered.
+ * @param {FareCalculator} fareCalculator The fare calculator whose routed
+ *         estimates are added to the history.
+ * @param {EstimateUrl} estimateUrl The estimate URL, which encodes each
+ *         estimate so that it can be shown again.
+ * @param {Object} storage The Web Storage object the history is kept in, or
+ *         null if it is only kept until the page is closed.
+ * @param {String} storageKey The storage key of the history.
+ * @param {Number} size The number of estimates kept.
+ * @param {Array} labels An associative array of the panel's labels. Includes:
+ *         1) title: Title of the panel.
+ *         2) rerun: Label of the button that shows an estimate again.
+ *         3) clear: Label of the button that clears the history.
+ */
+function EstimateHistory(
+    element,
+    originInput,
+    destinationInput,
+    tripDateInput,
+    fareCalculator,
+    estimateUrl,
+    storage,
+    storageKey,
+    size,
+    labels
+) {
+    
+    // Estimates in the history, newest first. Each is an associative array of
+    // the origin, destination, fare, distance, date and URL query string.
+    var estimates = readStorage(storage, storageKey) || new Array();
+    
+    fareCalculator.addEstimateListener(add);
+    
+    showEstimates();
+    
+    
+    /**
+     * Adds the estimate being shown to the history (moving it to the top if
+     * it is already there), unless it wasn't routed.
+     *
+     * @param {Array} shownEstimate The estimate shown (see
+     *         FareCalculator.addEstimateListener()).
+     */
+    function add(shownEstimate) {
+        
+        // The estimate, as kept in the history.
+        var estimate;
+        
+        if(!shownEstimate.locations.length) {
+            return;
+        }
+        
+        estimate = {
             origin: originInput.getElement().val(),
             destination: destinationInput.getElement().val(),
-            travelMode: google.maps.DirectionsTravelMode.DRIVING       
+            fare: shownEstimate.formattedFare,
+            distance: shownEstimate.fareDetails[0],
+            date: tripDateInput.val(),
+            query: estimateUrl.getQuery()
         };
         
-        // Show the taxi route line.
-        directionsService.route(
-            request, 
-            function(response, status) {
-                if (status == google.maps.DirectionsStatus.OK) {
-                    directionsDisplay.setDirections(response);
-                }
-            }
-        );
+        estimates = jQuery.grep(estimates, function(oldEstimate) {
+            return oldEstimate.query != estimate.query;
+        });
+        
+        estimates.unshift(estimate);
+        estimates = estimates.slice(0, size);
+        
+        writeStorage(storage, storageKey, estimates);
+        showEstimates();
     }
     
     
     /**
-     * Updates map content.
+     * Shows the estimates in the history (hiding the panel if there are none).
      */
-    function updateContent() {
-        addresses[0] = originInput.getElement().val();
-        addresses[1] = destinationInput.getElement().val();
+    function showEstimates() {
         
-        codeAddresses(addresses, 0, codeAddresses);       
-    }
-    
-
-    /**
-     * Codes each address in given array (running recursively), then shows the 
-     * coded addresses (and the taxi route line between them) on the map.
-     * 
-     * @param {Array} Array of addresses to be coded.
-     * @param {Number} index The index value in the address array to check next
-     *         for coding.
-     * @param {Function} callback Callback function representing codeAddresses()
-     *         itself - used to run recursively until all addresses have been
-     *         coded.
-     */
-    function codeAddresses(addresses, index, callback) {
-        
-        // Code each address in given array...
-        if (index < addresses.length) {
-            geocoder.geocode(
-                {'address': addresses[index]}, 
-                function(results, status) {
-                    if (status == google.maps.GeocoderStatus.OK) {
-                        codedAddresses[index] = results[0].geometry.location;
-                        
-                        // Recursive call to codeAddresses().
-                        callback(addresses, index + 1, codeAddresses);
-                    } else {
-                        fareOutput.showMessage(errorMessage, errorClass);
-                    }
-                });
+        // List of the estimates.
+        var list = jQuery('<ol>');
         
-        // ...then show the coded addresses on the map.        
-        } else {
-            var origin = codedAddresses[0];
-            var destination = codedAddresses[1];
-            
-            showMap(
-                {
-                    zoom: mapProperties.defaultZoomLevel,                   
-                    center: new google.maps.LatLng(
-                        (origin.lat() + destination.lat()) / 2, 
-                        (origin.lng() + destination.lng()) / 2
-                    ),
-                    
-                    mapTypeControlOptions: {
-                        mapTypeIds: [
-                            google.maps.MapTypeId.ROADMAP, 
-                            mapProperties.mapStyleName
-                        ]
-                    }
-                },
-                [
-                    makeMarker(
-                        origin, 
-                        mapProperties.originMarkerTitle, 
-                        mapProperties.originMarkerColour, 
-                        mapProperties.originMarkerIcon
-                    ),
-                    
-                    makeMarker(
-                        destination, 
-                        mapProperties.destinationMarkerTitle, 
-                        mapProperties.destinationMarkerColour, 
-                        mapProperties.destinationMarkerIcon
-                    )
-                ]
-            );   
+        element.empty();
+        
+        if(!estimates.length) {
+            element.hide();
+            return;
         }
+        
+        jQuery.each(estimates, function(count, estimate) {
+            jQuery('<li>')
+                    .append(jQuery('<button>').text(labels.rerun)
+                            .attr('aria-label', labels.rerun + ': ' + 
+                                    estimate.origin + ' - ' + 
+                                    estimate.destination)
+                            .bind('click', function() {
+                                estimateUrl.open(estimate.query);
+                            }))
+                    .append(jQuery('<span>').text(
+                        estimate.origin + ' - ' + estimate.destination + ': ' + 
+                                estimate.fare + ', ' + estimate.distance + 
+                                ' (' + estimate.date + ')'
+                    ))
+                    .appendTo(list);
+        });
+        
+        element.append(jQuery('<h3>').text(labels.title))
+                .append(list)
+                .append(jQuery('<button>').text(labels.clear)
+                        .bind('click', clear))
+                .show();
     }
     
     
     /**
-     * Makes markers to be placed on the map.
-     *
-     * @param {LatLng} position The marker position.
-     * @param {String} title The marker title.
-     * @return {Marker} The marker to be placed on the map.
+     * Clears the history.
      */
-    function makeMarker(position, title, markerColor, markerIcon) {
-
-        // Get marker image from Google Charts API, and set its size and points.
-        var markerImage = new google.maps.MarkerImage(
-            mapProperties.markerImageUrlPrefix + 
-                    markerIcon + '|' + markerColor,
-            new google.maps.Size(21, 34),
-            new google.maps.Point(0,0),
-            new google.maps.Point(10, 34)
-        );
+    function clear() {
+        estimates = new Array();
         
-        // Get marker shadow from same source, and set its size and points.
-        var markerShadow = new google.maps.MarkerImage(
-            mapProperties.markerShadowUrl,
-            new google.maps.Size(40, 37),
-            new google.maps.Point(0, 0),
-            new google.maps.Point(12, 35)
-        );
-        
-        // Make the marker.
-        var marker = new google.maps.Marker({
-            position: position,
-            title: title,
-            icon: markerImage,
-            shadow: markerShadow           
-        });
-    
-        return marker;
-    }    
+        writeStorage(storage, storageKey, estimates);
+        showEstimates();
+    }
 }
 
 
 /**
- * This class represens an output field. It creates and shows either a taxi
- * fare estimate message (including the taxi route distance) or an error
- * message (if the given taxi route origin or destination is invalid).
+ * This class represents the receipt of the fare estimate shown: a printable
+ * view of the trip (its origin, stops, destination, route, distance, service
+ * and tariff) and the itemized fare, along with buttons that download it as
+ * JSON or CSV. While the receipt view is open, printing the page prints just
+ * the receipt.
  *
- *  This class makes use of the jQuery library.
+ * This class makes use of the jQuery library.
  *
- * @param {jQuery} element The output element that displays messages.
- * @param {Array} stylingClasses An associative array of styling classes that 
- *         can be applied to the message output element as well as its child
- *         elements (e.g. parts of the message). It includes:
- *         1) hidden: Class originally applied to output element to hide it from 
- *                    view and prevent it flickering into and out of view on 
- *                    page load.
- *         2) error: Class applied to output element when it shows an error 
- *                    message.
- *         3) totalFare: Class applied to the total fare amount shown within
- *                    the output element.
+ * @param {jQuery} element The element that shows the receipt actions and view.
+ * @param {InputField} originInput The input field where the taxi route origin 
+ *         is entered.
+ * @param {StopList} stopList The list of the taxi route's stops.
+ * @param {InputField} destinationInput The input field where the taxi route 
+ *         destination is entered. 
+ * @param {jQuery} serviceSelect The select element where the service is 
+ *         chosen.
+ * @param {FareCalculator} fareCalculator The fare calculator whose estimates
+ *         the receipts are made of.
+ * @param {LocaleFormat} localeFormat The format distances are shown in.
+ * @param {Array} labels An associative array of the receipt's labels.
+ *         Includes:
+ *         1) view: Label of the button that opens and closes the receipt view.
+ *         2) print: Label of the button that prints the receipt.
+ *         3) json: Label of the button that downloads the receipt as JSON.
+ *         4) csv: Label of the button that downloads the receipt as CSV.
+ *         5) title: Title of the receipt.
+ *         6) timestamp: Label of the time the estimate was made.
+ *         7) origin: Label of the origin.
+ *         8) stop: Label of a stop ("{number}" is replaced with its number).
+ *         9) destination: Label of the destination.
+ *         10) route: Label of the route summary.
+ *         11) distance: Label of the route distance.
+ *         12) service: Label of the service.
+ *         13) tariff: Label of the tariff.
+ *         14) warning: Label of a warning.
+ *         15) note: Note that the fare is an estimate.
+ * @param {String} fileName The name the receipt is downloaded under (followed
+ *         by the time of the estimate and the file extension).
+ * @param {String} printingClass The styling class applied to the page body 
+ *         while the receipt view is open, so that only the receipt is printed.
  */
-function OutputField(element, stylingClasses) {
+function TripReceipt(
+    element,
+    originInput,
+    stopList,
+    destinationInput,
+    serviceSelect,
+    fareCalculator,
+    localeFormat,
+    labels,
+    fileName,
+    printingClass
+) {
     
-    // Hide element and remove class that first hid it (to avoid flickering). 
-    element.hide();
-    element.removeClass(stylingClasses.hidden);
-
-    // Total fare.
-    var totalFare;
+    // Receipt of the estimate shown (or null if none is shown).
+    var receipt = null;
     
-    // Total taxi route distance.
-    var totalDistance;
+    // The receipt view.
+    var view = jQuery('<div class="receipt">').hide();
     
-    // Message to display.
-    var message;
+    // Button that opens and closes the receipt view.
+    var viewButton = jQuery('<button>').text(labels.view)
+            .attr('aria-expanded', 'false')
+            .bind('click', function() {
+                showView(!view.is(':visible'));
+            });
     
-    // Styling class to apply to the message output element. 
-    var messageClass;
+    element.append(jQuery('<div class="receipt-actions">')
+                    .append(viewButton)
+                    .append(jQuery('<button>').text(labels.json)
+                            .bind('click', downloadJson))
+                    .append(jQuery('<button>').text(labels.csv)
+                            .bind('click', downloadCsv)))
+            .append(view)
+            .hide();
+    
+    fareCalculator.addEstimateListener(makeReceipt);
+    fareCalculator.addErrorListener(function() {
+        receipt = null;
+        showView(false);
+        element.hide();
+    });
     
     
     /**
-     * Shows the total taxi fare and total taxi route distance.
-     * 
-     * @param {String} newTotalFare Total taxi fare to display.
-     * @param {String} newTotalDistance Total taxi route distance to display.
+     * Makes the receipt of the given estimate (refreshing the receipt view if
+     * it is open).
+     *
+     * @param {Array} estimate The estimate (see
+     *         FareCalculator.addEstimateListener()).
      */
-    this.showFare = function(newTotalFare, newTotalDistance) {
-        totalFare = newTotalFare;
-        totalDistance = newTotalDistance;
+    function makeReceipt(estimate) {
+        receipt = {
+            timestamp: new Date(),
+            origin: originInput.getElement().val(),
+            stops: jQuery.map(stopList.getStops(), function(stop) {
+                return stop.getElement().val();
+            }),
+            destination: destinationInput.getElement().val(),
+            route: estimate.summary || '',
+            distance: {
+                meters: estimate.distance,
+                text: localeFormat.formatDistance(estimate.distance)
+            },
+            service: {
+                id: estimate.service,
+                name: serviceSelect.find('option:selected').text()
+            },
+            tariff: estimate.tariff,
+            details: estimate.fareDetails,
+            items: estimate.fareItems,
+            total: {
+                cents: estimate.fare,
+                text: estimate.formattedFare
+            },
+            warnings: estimate.warnings
+        };
         
-        showOutputField(makeFareMessage);
+        if (view.is(':visible')) {
+            showView(true);
+        }
+        
+        element.show();
     }
-
-
-    /** 
-     * Reveals the output field showing a message to the user.
+    
+    
+    /**
+     * Makes the rows of the receipt, in order: the time, the trip, the fare
+     * items (the grand total last) and any warnings.
      *
-     * @param {String} newMessage The message to show the user.
-     * @param {String} newMessageClass the class to add to the output field
-     *         element.
+     * @return {Array} Array of the rows, each an array of a label and a value.
      */
-    this.showMessage = function(newMessage, newMessageClass){
-        message = newMessage;
-        messageClass = newMessageClass;
+    function makeRows() {
         
-        showOutputField(makeMessage);
+        // Rows of the trip, its empty places left out.
+        var rows = [
+            [labels.timestamp, formatTimestamp(receipt.timestamp, ' ', ':')],
+            [labels.origin, receipt.origin]
+        ].concat(jQuery.map(receipt.stops, function(stop, count) {
+            return [[labels.stop.replace('{number}', count + 1), stop]];
+        }), [
+            [labels.destination, receipt.destination],
+            [labels.route, receipt.route],
+            [labels.distance, receipt.distance.text],
+            [labels.service, receipt.service.name],
+            [labels.tariff, receipt.tariff]
+        ]);
+        
+        return jQuery.grep(rows, function(row) {
+            return row[1] !== '';
+        }).concat(jQuery.map(receipt.items, function(item) {
+            return [[item.label, item.amount]];
+        }), jQuery.map(receipt.warnings, function(warning) {
+            return [[labels.warning, warning]];
+        }));
     }
     
     
     /**
-     * Makes message to show the user by adding the message content and class to
-     * the output element.
+     * Opens or closes the receipt view.
+     *
+     * @param {Boolean} open True to open the view (showing the receipt), false
+     *         to close it.
      */
-    function makeMessage() {
-        element.html(message);
-        element.addClass(messageClass);
+    function showView(open) {
+        
+        // Table of the receipt's rows.
+        var table = jQuery('<table>');
+        
+        // List of the fare details.
+        var details = jQuery('<ul>');
+        
+        viewButton.attr('aria-expanded', open ? 'true' : 'false');
+        jQuery('body').toggleClass(printingClass, open);
+        
+        if (!open || !receipt) {
+            view.empty().hide();
+            return;
+        }
+        
+        jQuery.each(makeRows(), function(count, row) {
+            jQuery('<tr>')
+                    .append(jQuery('<th scope="row">').text(row[0]))
+                    .append(jQuery('<td>').text(row[1]))
+                    .appendTo(table);
+        });
+        
+        table.find('tr').eq(-1 - receipt.warnings.length).addClass('total');
+        
+        jQuery.each(receipt.details, function(count, detail) {
+            jQuery('<li>').text(detail).appendTo(details);
+        });
+        
+        view.empty()
+                .append(jQuery('<h3>').text(labels.title))
+                .append(table)
+                .append(details)
+                .append(jQuery('<p>').text(labels.note))
+                .append(jQuery('<button>').text(labels.print)
+                        .bind('click', function() {
+                            window.print();
+                        }))
+                .show();
     }
-
+    
     
     /**
-     * Makes message that shows the total taxi fare estimate and total taxi
-     * route distance.
+     * Downloads the receipt as JSON.
      */
-    function makeFareMessage() {
+    function downloadJson() {
+        download(JSON.stringify({
+            timestamp: receipt.timestamp.toISOString(),
+            origin: receipt.origin,
+            stops: receipt.stops,
+            destination: receipt.destination,
+            route: receipt.route,
+            distance: receipt.distance,
+            service: receipt.service,
+            tariff: receipt.tariff,
+            items: receipt.items,
+            total: receipt.total,
+            warnings: receipt.warnings
+        }, null, 2), 'application/json', 'json');
+    }
     
-        // Document fragment to which all text/HTML is appended.
-        var fragment = document.createDocumentFragment();
     
-        // Display element containing the total taxi fare amount.
-        var totalFareOutput = jQuery('<p>').text(totalFare)
-                .addClass(stylingClasses.totalFare);
+    /**
+     * Downloads the receipt as CSV, a row of its label and value for each row
+     * of the receipt view.
+     */
+    function downloadCsv() {
         
-        // Display element containing the total taxi route distance.
-        var totalDistanceOutput = jQuery('<p>').text(totalDistance);
+        // The CSV text, with a byte order mark so that spreadsheets read it
+        // as UTF-8.
+        var text = '\ufeff' + jQuery.map(makeRows(), function(row) {
+            return jQuery.map(row, function(value) {
+                value = String(value);
+                
+                return /[",\r\n]/.test(value) ? 
+                        '"' + value.replace(/"/g, '""') + '"' : value;
+            }).join(',');
+        }).join('\r\n') + '\r\n';
         
-        fragment.appendChild(totalFareOutput[0]);
-        fragment.appendChild(totalDistanceOutput[0]);
+        download(text, 'text/csv', 'csv');
+    }
+    
+    
+    /**
+     * Downloads the given text as a file named after the receipt.
+     *
+     * @param {String} text The file's text.
+     * @param {String} type The file's MIME type.
+     * @param {String} extension The file's extension.
+     */
+    function download(text, type, extension) {
         
-        element.empty();
-        element[0].appendChild(fragment);
+        // URL of the file.
+        var url = URL.createObjectURL(
+            new Blob([text], {type: type + ';charset=utf-8'})
+        );
         
-        // Remove "error" message styling class if output element has it.
-        if(element.hasClass(stylingClasses.error)) {
-            element.removeClass(stylingClasses.error);
-        }
+        // Link that downloads the file.
+        var link = jQuery('<a>').attr({
+            href: url,
+            download: fileName + '-' + 
+                    formatTimestamp(receipt.timestamp, '-', '') + '.' + 
+                    extension
+        }).appendTo('body');
+        
+        link[0].click();
+        link.remove();
+        
+        setTimeout(function() {
+            URL.revokeObjectURL(url);
+        }, 0);
     }
     
+    
     /**
-     * Reveals the output field to the user.
+     * Formats the given date and time (in local time) as "YYYY-MM-DD", the
+     * given separator and "HH:MM" (with the given time separator).
      *
-     * @param {function} action The function to carry out upon fading out the
-     *         output field so that it is completed by the time the output field
-     *         fades in again (e.g. the given function could change the output
-     *         field text while it is not yet visible to the user).
+     * @param {Date} date The date and time to format.
+     * @param {String} separator The separator of the date and time.
+     * @param {String} timeSeparator The separator of the hours and minutes.
+     * @return {String} The formatted date and time.
      */
-    function showOutputField(action) {
-        element.fadeOut(action);
-        element.fadeIn();
-    }    
+    function formatTimestamp(date, separator, timeSeparator) {
+        return jQuery.map(
+            [date.getFullYear(), date.getMonth() + 1, date.getDate()], 
+            pad
+        ).join('-') + separator + pad(date.getHours()) + timeSeparator + 
+                pad(date.getMinutes());
+    }
+    
+    
+    /**
+     * Pads the given number with a leading zero to two digits.
+     *
+     * @param {Number} number The number.
+     * @return {String} The padded number.
+     */
+    function pad(number) {
+        return (number < 10 ? '0' : '') + number;
+    }
 }
 
 
 /**
- * This class represents a taxi fare calculator. It receives the taxi route
- * origin and destination from two input fields when the "show fare" button is 
- * pressed. It calculates the total taxi route distance and outputs the fare 
- * estimate based on that distance.
+ * This class represents the user's saved places: named addresses (e.g. "Home",
+ * "Office") kept in the browser's storage. The saved places panel lists them,
+ * each with buttons that fill in the origin or destination with it, and saves
+ * the address in the origin or destination input field under a name. Saved
+ * places are also suggested by name in every address input field (see
+ * SuggestionList).
  *
- * This class makes use of the jQuery library and Google Maps API.
- * 
+ * This class makes use of the jQuery library.
+ *
+ * @param {jQuery} element The element that shows the saved places panel.
  * @param {InputField} originInput The input field where the taxi route origin 
  *         is entered.
  * @param {InputField} destinationInput The input field where the taxi route 
  *         destination is entered. 
- * @param {jQuery} showFareButton The button that, when clicked, displays both 
- *         the the estimated taxi fare and the taxi route from the origin to the
- *         destination.
- * @param {jQuery} fareOutput The output field that shows the taxi fare 
- *         estimate.
- * @param {Number} fare An associative array of values used to calculate the 
- *         taxi fare. Includes:
- *         1) baseRate: The base fare for the first unit of distance traveled by
- *                    taxi.
- *         2) distanceUnit: The unit of distance (e.g. a certain number of 
- *                    meters) to which the rate per distance unit applies.
- *         3) RatePerDistanceUnit: The fare rate charged per distance unit
- *                    travelled by taxi.
+ * @param {Object} storage The Web Storage object the saved places are kept
+ *         in, or null if they are only kept until the page is closed.
+ * @param {String} storageKey The storage key of the saved places.
+ * @param {Array} labels An associative array of the panel's labels. Includes:
+ *         1) title: Title of the panel.
+ *         2) name: Placeholder text of the place name input field.
+ *         3) saveOrigin: Label of the button that saves the origin.
+ *         4) saveDestination: Label of the button that saves the destination.
+ *         5) origin: Label of the button that makes a place the origin.
+ *         6) destination: Label of the button that makes a place the 
+ *                    destination.
+ *         7) remove: Label of the button that removes a place.
  */
-function FareCalculator(
+function SavedPlaces(
+    element,
     originInput,
     destinationInput,
-    showFareButton,
-    fareOutput,
-    fare
-) {    
+    storage,
+    storageKey,
+    labels
+) {
     
-    // DirectionsService used to find directions between origin and destination.
-    var directionsService = new google.maps.DirectionsService();
+    // Saved places, in the order they were saved. Each is of the form 
+    // {name: String, address: String, location: {lat, lng} or null}.
+    var places = readStorage(storage, storageKey) || new Array();
     
-    // Total taxi route distance.
-    var totalDistance;
+    // List of the saved places.
+    var list = jQuery('<ul>');
     
-    // Total taxi route distance minus first distance unit (has different fare).
-    var distanceOverBase;
+    // Input field where the name of a place to save is entered.
+    var nameInput = new InputField(
+        jQuery('<input type="text" />').attr('aria-label', labels.name), 
+        labels.name
+    );
     
-    // Fare per unit of distance.
-    var distanceFare;
+    element.append(jQuery('<h3>').text(labels.title))
+            .append(list)
+            .append(nameInput.getElement())
+            .append(jQuery('<button>').text(labels.saveOrigin)
+                    .bind('click', function() {
+                        save(originInput);
+                    }))
+            .append(jQuery('<button>').text(labels.saveDestination)
+                    .bind('click', function() {
+                        save(destinationInput);
+                    }));
     
-    // Total fare.
-    var totalFare;
+    showPlaces();
     
-    showFareButton.bind('click', updateContent);
+    
+    /**
+     * Returns the saved places.
+     *
+     * @return {Array} Array of the saved places, each of the form
+     *         {name: String, address: String, location: {lat, lng} or null}.
+     */
+    this.getPlaces = function() {
+        return places;
+    }
     
     
     /**
-     * Updates the fare output field content and shows the field to the user.
+     * Saves the address in the given input field (and its fixed location, if
+     * any) under the name entered, replacing any place with the same name.
+     *
+     * @param {InputField} input The input field whose address is saved.
      */
-    function updateContent() {
-
-        // Request to get directions between origin and destination.
-        var request = {
-            origin: originInput.getElement().val(),
-            destination: destinationInput.getElement().val(),
-            travelMode: google.maps.DirectionsTravelMode.DRIVING       
-        };
+    function save(input) {
+        var name = jQuery.trim(nameInput.getElement().val());
         
-        // Calculate total fare and show it along with the total route distance.
-        directionsService.route(request, function(response, status) {
-            if (status == google.maps.DirectionsStatus.OK) {
-                totalDistance = new Decimal(
-                    response.routes[0].legs[0].distance.value / 1000, 
-                    3
-                );
-                
-                distanceOverBase = new Decimal(
-                    totalDistance - fare.distanceUnit, 
-                    3
-                );                
-               
-                distanceFare = new Decimal(
-                    fare.ratePerDistanceUnit * 
-                            Math.ceil(distanceOverBase / fare.distanceUnit), 
-                    2
-                );
- 
-                totalFare = new Decimal(fare.baseRate + distanceFare, 2);
-
-                fareOutput.showFare(
-                    totalFare.toCurrency('$'), 
-                    totalDistance.toDistance(' km')
-                );
-            }
+        if(nameInput.isEmpty() || !name || input.isEmpty()) {
+            return;
+        }
+        
+        places = jQuery.grep(places, function(place) {
+            return place.name.toLowerCase() != name.toLowerCase();
+        });
+        
+        places.push({
+            name: name,
+            address: input.getElement().val(),
+            location: input.getLocation()
+        });
+        
+        nameInput.setValue('');
+        
+        writeStorage(storage, storageKey, places);
+        showPlaces();
+    }
+    
+    
+    /**
+     * Removes the given place.
+     *
+     * @param {Array} removedPlace The place to remove.
+     */
+    function remove(removedPlace) {
+        places = jQuery.grep(places, function(place) {
+            return place != removedPlace;
+        });
+        
+        writeStorage(storage, storageKey, places);
+        showPlaces();
+    }
+    
+    
+    /**
+     * Fills in the given input field with the given place.
+     *
+     * @param {InputField} input The input field to fill in.
+     * @param {Array} place The place.
+     */
+    function use(input, place) {
+        input.setValue(place.address);
+        input.setLocation(place.location);
+    }
+    
+    
+    /**
+     * Shows the saved places.
+     */
+    function showPlaces() {
+        list.empty();
+        
+        jQuery.each(places, function(count, place) {
+            jQuery('<li>')
+                    .append(jQuery('<span>')
+                            .text(place.name + ': ' + place.address))
+                    .append(jQuery('<button>').text(labels.origin)
+                            .attr('aria-label', 
+                                    place.name + ': ' + labels.origin)
+                            .bind('click', function() {
+                                use(originInput, place);
+                            }))
+                    .append(jQuery('<button>').text(labels.destination)
+                            .attr('aria-label', 
+                                    place.name + ': ' + labels.destination)
+                            .bind('click', function() {
+                                use(destinationInput, place);
+                            }))
+                    .append(jQuery('<button>').text(labels.remove)
+                            .attr('aria-label', 
+                                    place.name + ': ' + labels.remove)
+                            .bind('click', function() {
+                                remove(place);
+                            }))
+                    .appendTo(list);
         });
     }
 }
 
 
 /**
- * This class represents a decimal number with a specified number of decimal 
- * places.
+ * Sets the given input field to the given location: fills it in with the
+ * address at the location (or the location's coordinates, if no address is
+ * found) and fixes its location.
  *
- * @param {Number} amount The value to convert to a Decimal object.
- * @param {Number} decimalPlaces The number of decimal places this Decimal 
- *         object should have.
+ * @param {InputField} input The input field.
+ * @param {Array} location The {lat, lng} location.
+ * @param {Object} routingProvider The routing provider that finds the address
+ *         at the location.
+ * @param {function} callback Function called once the input field is set.
  */
-var Decimal = function(amount, decimalPlaces) {
-    this.amount = amount;
-    this.decimalPlaces = decimalPlaces;
+function placeAt(input, location, routingProvider, callback) {
+    routingProvider.reverseGeocode(location, function(status, results) {
+        input.setValue(status == RoutingStatus.OK ? 
+                results[0].address : 
+                location.lat.toFixed(6) + ', ' + location.lng.toFixed(6));
+        input.setLocation(location);
+        
+        callback();
+    });
 }
-    
+
 
 /**
- * Returns primitive value of Decimal object with given decimal accuracy.
- */ 
-Decimal.prototype.valueOf = function() {
-    var scale = 1;
-        
-    for(var i = 0; i < this.decimalPlaces; i++) {
-        scale *= 10;
+ * Reads the value stored as JSON under the given key.
+ *
+ * @param {Object} storage The Web Storage object (or null if there is none).
+ * @param {String} key The storage key.
+ * @return {Object} The stored value, or null if there is none.
+ */
+function readStorage(storage, key) {
+    try {
+        return storage ? JSON.parse(storage.getItem(key)) : null;
+    } catch (error) {
+        return null;
     }
-
-    return Math.floor(this.amount * scale) / scale;
 }
 
 
 /**
- * Converts Decimal value to currency format.
+ * Stores the given value as JSON under the given key (if storage is available
+ * and has room for it).
  *
- * @param {String} unitPrefix The unit prefix to add to the returned currency
- *         amount string. 
- * @return {String} The given value as an amount of currency (i.e. as a decimal 
- *         with the given currency unit prefix).
+ * @param {Object} storage The Web Storage object (or null if there is none).
+ * @param {String} key The storage key.
+ * @param {Object} value The value to store.
  */
-Decimal.prototype.toCurrency = function(unitPrefix) {
-    return unitPrefix + Number(this).toFixed(2);
+function writeStorage(storage, key, value) {
+    try {
+        if (storage) {
+            storage.setItem(key, JSON.stringify(value));
+        }
+    } catch (error) {
+        // Storage is full or unavailable: keep the value until the page is 
+        // closed.
+    }
 }
 
 
 /**
- * Converts Decimal value to distance format.
+ * Checks if the user has asked their system to reduce motion (in which case
+ * the finder shows and hides its output without animating it).
  *
- * @param {String} unitSuffix The unit suffix to add to the returned distance 
- *         amount string. 
- * @return {String} The given amount as a distance (i.e. as a decimal with the
- *         given distance unit suffix).
+ * @return {Boolean} True if the user prefers reduced motion.
  */
-Decimal.prototype.toDistance = function(unitSuffix) {
-    return Number(this).toFixed(3) + unitSuffix;
-}
\ No newline at end of file
+function prefersReducedMotion() {
+    return !!(window.matchMedia && 
+            window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+}
@@ -0,0 +1,158 @@
+/**
+ * The service worker that lets the taxi fare finder be installed and opened
+ * offline. When it is installed, it caches the app shell (the page, its
+ * styles, scripts and icon, and jQuery) along with the strings, tariffs,
+ * landmarks and routing fixtures. These are then answered from the cache,
+ * which is refreshed from the network in the background, so that changes are
+ * picked up on the next visit. The page is answered from the cache whatever
+ * its query string (e.g. an estimate URL).
+ *
+ * Other requests (e.g. to the routing provider and the Google Maps API) are
+ * left to the network, so without one the finder falls back to estimating
+ * fares from distances entered by hand (see ManualDistance).
+ *
+ * Change the cache name whenever the list of cached files changes, so that
+ * the old cache is replaced.
+ */
+
+
+// Name of the cache, versioned so that old caches can be removed.
+var cacheName = 'taxi-fare-finder-v4';
+
+// Prefix of the names of this application's caches.
+var cacheNamePrefix = 'taxi-fare-finder-';
+
+// URL of the page.
+var pageUrl = 'index.html';
+
+// URLs cached when the service worker is installed (relative to its scope).
+var cachedUrls = [
+    pageUrl,
+    'manifest.json',
+    'images/icon.svg',
+    'css/reset.css',
+    'css/main.css',
+    'css/taxi_fare_finder.css',
+    'js/fare_engine.js',
+    'js/tariff_catalogue.js',
+    'js/config_reader.js',
+    'js/locale_format.js',
+    'js/routing_providers.js',
+    'js/taxi_fare_finder.js',
+    'xml/strings.xml',
+    'xml/strings-fr.xml',
+    'xml/strings-zh.xml',
+    'xml/strings-es.xml',
+    'xml/strings-pt.xml',
+    'xml/strings-it.xml',
+    'xml/tariffs.xml',
+    'xml/landmarks.xml',
+    'fixtures/routing.json',
+    'https://ajax.googleapis.com/ajax/libs/jquery/1.6.4/jquery.min.js'
+];
+
+self.addEventListener('install', cacheAppShell);
+self.addEventListener('activate', removeOldCaches);
+self.addEventListener('fetch', answer);
+
+
+/**
+ * Caches the app shell, strings and tariff data.
+ *
+ * @param {Event} event The install event.
+ */
+function cacheAppShell(event) {
+    event.waitUntil(caches.open(cacheName).then(function(cache) {
+        return cache.addAll(cachedUrls);
+    }).then(function() {
+        return self.skipWaiting();
+    }));
+}
+
+
+/**
+ * Removes the caches of earlier versions and takes control of open pages.
+ *
+ * @param {Event} event The activate event.
+ */
+function removeOldCaches(event) {
+    event.waitUntil(caches.keys().then(function(names) {
+        return Promise.all(names.filter(function(name) {
+            return name.indexOf(cacheNamePrefix) == 0 && name != cacheName;
+        }).map(function(name) {
+            return caches.delete(name);
+        }));
+    }).then(function() {
+        return self.clients.claim();
+    }));
+}
+
+
+/**
+ * Answers a request for the page or a cached file from the cache (or from
+ * the network, if it isn't cached yet), and refreshes the cached copy from the
+ * network. Other requests aren't answered, so they go to the network.
+ *
+ * @param {Event} event The fetch event.
+ */
+function answer(event) {
+
+    // URL of the cached copy of the requested file.
+    var url = findCachedUrl(event.request);
+
+    // Response from the network, cached once it arrives.
+    var fetched;
+
+    if (!url) {
+        return;
+    }
+
+    fetched = caches.open(cacheName).then(function(cache) {
+        return fetch(event.request).then(function(response) {
+            if (response.ok) {
+                cache.put(url, response.clone());
+            }
+
+            return response;
+        });
+    });
+
+    event.respondWith(caches.match(url).then(function(cached) {
+        return cached || fetched;
+    }));
+
+    // Keep the service worker running until the cache is refreshed (or the
+    // network fails, e.g. offline).
+    event.waitUntil(fetched.catch(function() {}));
+}
+
+
+/**
+ * Finds the URL of the cached copy of the requested file.
+ *
+ * @param {Request} request The request.
+ * @return {String} The absolute URL of the cached copy, or null if the file
+ *         isn't cached.
+ */
+function findCachedUrl(request) {
+
+    // Requested URL, without its query string.
+    var url = request.url.split('?')[0];
+
+    // Absolute URLs of the cached files.
+    var absoluteUrls = cachedUrls.map(function(cachedUrl) {
+        return new URL(cachedUrl, self.registration.scope).href;
+    });
+
+    if (request.method != 'GET') {
+        return null;
+    }
+
+    if (request.mode == 'navigate' &&
+            (url == self.registration.scope ||
+            url == absoluteUrls[0])) {
+        return absoluteUrls[0];
+    }
+
+    return absoluteUrls.indexOf(url) >= 0 ? url : null;
+}
@@ -0,0 +1,99 @@
+/**
+ * Unit tests of the config reader (js/config_reader.js), run against the
+ * application's own XML files. Run with "npm test".
+ */
+
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+
+var ConfigReader = require('../js/config_reader.js');
+var TariffCatalogue = require('../js/tariff_catalogue.js');
+
+
+/**
+ * Reads one of the application's XML files.
+ *
+ * @param {String} name The file name, in xml/.
+ * @return {String} The XML.
+ */
+function readXml(name) {
+    return fs.readFileSync(path.join(__dirname, '..', 'xml', name), 'utf8');
+}
+
+
+test('strings are read with their entities and CDATA decoded', function() {
+    var strings = ConfigReader.readStrings(readXml('strings.xml'));
+    var frenchStrings = ConfigReader.readStrings(readXml('strings-fr.xml'));
+
+    assert.strictEqual(
+        strings.map_output_marker_image_url_prefix,
+        'https://chart.googleapis.com/chart?chst=d_map_pin_letter&chld='
+    );
+    assert.strictEqual(strings.number_decimal_separator, '.');
+    assert.strictEqual(frenchStrings.number_group_separator, '\u00a0');
+    assert.strictEqual(strings.routing_fixture_url, 'fixtures/routing.json');
+});
+
+test('text is decoded around CDATA sections', function() {
+    assert.strictEqual(
+        ConfigReader.decodeText(
+            'a &amp; <![CDATA[<b> &amp;]]> &#233;&#x20AC;'
+        ),
+        'a & <b> &amp; \u00e9\u20ac'
+    );
+    assert.deepStrictEqual(
+        ConfigReader.readStrings(
+            '<string id="a">x</string><string id="b"></string>'
+        ),
+        {a: 'x', b: ''}
+    );
+});
+
+test('the tariff catalogue is read', function() {
+    var catalogue = new TariffCatalogue(
+        ConfigReader.readServices(readXml('tariffs.xml'))
+    );
+
+    var tariff = catalogue.find('taxi', '2012-06-01');
+
+    assert.strictEqual(tariff.id, 'taxi_2012');
+    assert.strictEqual(tariff.baseRate, 4.25);
+    assert.strictEqual(tariff.distanceUnit, 0.143);
+    assert.strictEqual(tariff.freePassengers, 4);
+    assert.strictEqual(tariff.tolls[0].name, '407 ETR');
+    assert.strictEqual(tariff.tolls[0].charge, 12);
+    assert.strictEqual(catalogue.find('taxi', '2007-12-31'), null);
+    assert.ok(catalogue.getServices().length > 1);
+});
+
+test('rates that aren\'t given have their defaults', function() {
+    var tariff = ConfigReader.readTariff(ConfigReader.findElements(
+        '<tariff id="t" effective="2020-01-01">' +
+                '<rate id="base_rate">3.50</rate>' +
+                '</tariff>',
+        'tariff'
+    )[0]);
+
+    assert.strictEqual(tariff.baseRate, 3.5);
+    assert.strictEqual(tariff.freePassengers, null);
+    assert.strictEqual(tariff.luggageRate, 0);
+    assert.deepStrictEqual(tariff.tolls, []);
+    assert.strictEqual(tariff.airport, null);
+});
+
+test('areas, locations and dates are read and written', function() {
+    assert.deepStrictEqual(
+        ConfigReader.readAreas(' 1,2 3,4 ; 5.5,-6.5 7,8 '),
+        [
+            [{lat: 1, lng: 2}, {lat: 3, lng: 4}],
+            [{lat: 5.5, lng: -6.5}, {lat: 7, lng: 8}]
+        ]
+    );
+    assert.strictEqual(
+        ConfigReader.formatDate(new Date(2024, 0, 5)),
+        '2024-01-05'
+    );
+});
@@ -0,0 +1,251 @@
+/**
+ * Unit tests of the fare engine (js/fare_engine.js). Run with "npm test".
+ */
+
+
+var test = require('node:test');
+var assert = require('assert');
+
+var FareEngine = require('../js/fare_engine.js');
+
+
+// The taxi tariff in effect from 2012 (see xml/tariffs.xml).
+var tariff = {
+    baseRate: 4.25,
+    distanceUnit: 0.143,
+    ratePerDistanceUnit: 0.25,
+    waitingTimeRate: 0.25,
+    waitingTimeUnit: 31,
+    freeFlowSpeed: 40,
+    freePassengers: 4,
+    extraPassengerRate: 0.50,
+    luggageRate: 1.00,
+    tolls: [{name: '407 ETR', match: '407 ETR|Hwy 407', charge: 12.00}]
+};
+
+// A square area, 0.1 degrees on a side, with its south-west corner at the
+// given location.
+function square(lat, lng) {
+    return [
+        {lat: lat, lng: lng},
+        {lat: lat + 0.1, lng: lng},
+        {lat: lat + 0.1, lng: lng + 0.1},
+        {lat: lat, lng: lng + 0.1}
+    ];
+}
+
+// Trip of one rider with no bags or tip.
+var trip = {riders: 1, bags: 0, summary: '', tipPercent: 0};
+
+
+test('the base rate covers the first distance unit', function() {
+    assert.strictEqual(FareEngine.estimate(0, 0, tariff).totalFare, 425);
+    assert.strictEqual(FareEngine.estimate(0.001, 0, tariff).totalFare, 425);
+    assert.strictEqual(FareEngine.estimate(0.143, 0, tariff).totalFare, 425);
+    assert.strictEqual(FareEngine.estimate(0.143, 0, tariff).distanceFare, 0);
+});
+
+test('each distance unit started beyond the first is charged', function() {
+    assert.strictEqual(FareEngine.estimate(0.144, 0, tariff).totalFare, 450);
+    assert.strictEqual(FareEngine.estimate(0.286, 0, tariff).totalFare, 450);
+    assert.strictEqual(FareEngine.estimate(0.287, 0, tariff).totalFare, 475);
+    assert.strictEqual(FareEngine.estimate(0.429, 0, tariff).totalFare, 475);
+    assert.strictEqual(FareEngine.estimate(0.430, 0, tariff).totalFare, 500);
+});
+
+test('distances are rounded to the meter', function() {
+    assert.strictEqual(FareEngine.estimate(0.1434, 0, tariff).totalFare, 425);
+    assert.strictEqual(FareEngine.estimate(0.1435, 0, tariff).totalFare, 450);
+    assert.strictEqual(FareEngine.estimate(0.1435, 0, tariff).distance, 144);
+});
+
+test('long trips are exact to the cent', function() {
+
+    // 10 km is 68.93 units beyond the first, so 69 are charged.
+    var fare = FareEngine.estimate(10, 0, tariff);
+
+    assert.strictEqual(fare.distanceFare, 69 * 25);
+    assert.strictEqual(fare.totalFare, 425 + 69 * 25);
+});
+
+test('waiting time is charged per completed unit', function() {
+
+    // 4 km takes 360 s at the free-flow speed.
+    assert.strictEqual(FareEngine.estimate(4, 360, tariff).waitingFare, 0);
+    assert.strictEqual(FareEngine.estimate(4, 390, tariff).waitingFare, 0);
+    assert.strictEqual(FareEngine.estimate(4, 391, tariff).waitingFare, 25);
+    assert.strictEqual(FareEngine.estimate(4, 421, tariff).waitingFare, 25);
+    assert.strictEqual(FareEngine.estimate(4, 422, tariff).waitingFare, 50);
+});
+
+test('waiting time is measured from the typical duration if given', function() {
+    var fare = FareEngine.estimate(4, 700, tariff, null, 600);
+
+    assert.strictEqual(fare.waitingTime, 100);
+    assert.strictEqual(fare.waitingFare, 75);
+    assert.strictEqual(
+        FareEngine.estimate(4, 500, tariff, null, 600).waitingFare,
+        0
+    );
+});
+
+test('routes in traffic are charged beyond their typical duration', function() {
+    var route = {
+        distance: 4000,
+        duration: 600,
+        durationInTraffic: 700,
+        path: [],
+        summary: '',
+        legs: [{distance: 4000, duration: 600, durationInTraffic: 700}]
+    };
+
+    assert.strictEqual(
+        FareEngine.estimateRoute(route, tariff, trip).waitingTime,
+        100
+    );
+
+    route.durationInTraffic = null;
+
+    assert.strictEqual(
+        FareEngine.estimateRoute(route, tariff, trip).waitingTime,
+        240
+    );
+});
+
+test('flat rates apply between the airport and a zone', function() {
+    var flatTariff = Object.assign({
+        airport: square(43.6, -79.7),
+        zones: [{name: 'Downtown', fare: 53.00, area: square(43.6, -79.4)}]
+    }, tariff);
+
+    // The airport and a place downtown.
+    var airport = {lat: 43.65, lng: -79.65};
+    var downtown = {lat: 43.65, lng: -79.35};
+
+    var fare = FareEngine.estimate(
+        25,
+        1800,
+        flatTariff,
+        {origin: downtown, destination: airport}
+    );
+
+    assert.strictEqual(fare.flatRateZone, 'Downtown');
+    assert.strictEqual(fare.totalFare, 5300);
+    assert.strictEqual(FareEngine.estimate(
+        25,
+        1800,
+        flatTariff,
+        {origin: downtown, destination: {lat: 43.65, lng: -79.05}}
+    ).flatRateZone, null);
+});
+
+test('surcharges, tolls and tip are added to the fare', function() {
+    var fare = FareEngine.addExtras(
+        FareEngine.estimate(10, 0, tariff),
+        tariff,
+        {riders: 6, bags: 2, summary: 'Hwy 407 ETR', tipPercent: 10}
+    );
+
+    assert.strictEqual(fare.passengerSurcharge, 100);
+    assert.strictEqual(fare.luggageSurcharge, 200);
+    assert.strictEqual(fare.tollFare, 1200);
+    assert.strictEqual(fare.tip, 245);
+    assert.strictEqual(fare.grandTotal, 2150 + 300 + 1200 + 245);
+});
+
+test('extra passengers are charged beyond the free passengers', function() {
+
+    // Itemized fare of 2 riders under the given number of free passengers.
+    function surcharge(freePassengers) {
+        return FareEngine.addExtras(
+            FareEngine.estimate(1, 0, tariff),
+            Object.assign({}, tariff, {freePassengers: freePassengers}),
+            {riders: 2, bags: 0, summary: '', tipPercent: 0}
+        ).passengerSurcharge;
+    }
+
+    assert.strictEqual(surcharge(4), 0);
+    assert.strictEqual(surcharge(1), 50);
+    assert.strictEqual(surcharge(0), 100);
+    assert.strictEqual(surcharge(null), 0);
+    assert.strictEqual(surcharge(undefined), 0);
+});
+
+test('tolls apply to routes that name the toll road', function() {
+
+    // Toll fare of a route with the given summary.
+    function tollFare(summary) {
+        return FareEngine.addExtras(
+            FareEngine.estimate(1, 0, tariff),
+            tariff,
+            {riders: 1, bags: 0, summary: summary, tipPercent: 0}
+        ).tollFare;
+    }
+
+    assert.strictEqual(tollFare('Hwy 401, Hwy 407 ETR'), 1200);
+    assert.strictEqual(tollFare('ON-407 etr'), 1200);
+    assert.strictEqual(tollFare('Hwy 407'), 1200);
+    assert.strictEqual(tollFare('407 Bloor St W'), 0);
+    assert.strictEqual(tollFare('Hwy 4070, 1407 ETR Rd'), 0);
+    assert.strictEqual(tollFare(''), 0);
+});
+
+test('leg fares add up to the fare of the whole route', function() {
+    var legFares = FareEngine.estimateLegs(
+        [{distance: 3, duration: 0}, {distance: 7, duration: 0}],
+        tariff
+    );
+
+    assert.strictEqual(
+        legFares[0],
+        FareEngine.estimate(3, 0, tariff).totalFare
+    );
+    assert.strictEqual(
+        legFares[0] + legFares[1],
+        FareEngine.estimate(10, 0, tariff).totalFare
+    );
+});
+
+test('fares are split by the legs each rider rides', function() {
+    assert.deepStrictEqual(FareEngine.splitFare([1000], [3]), [333, 333, 334]);
+    assert.deepStrictEqual(
+        FareEngine.splitFare([1000, 500], [1, 1]),
+        [500, 1000]
+    );
+});
+
+test('fares are not split with a leg left without riders', function() {
+    assert.throws(function() {
+        FareEngine.splitFare([1000, 500], [3, 0]);
+    }, /Leg 2 has no riders/);
+    assert.throws(function() {
+        FareEngine.splitFare([1000, 500], [0, 0]);
+    }, /Leg 1 has no riders/);
+    assert.throws(function() {
+        FareEngine.splitFare([1000, 500], [1]);
+    }, /drop-off count for each leg/);
+    assert.deepStrictEqual(
+        FareEngine.splitFare([1000, 500, 300], [1, 0, 1]),
+        [500, 1300]
+    );
+});
+
+test('the longest trip a budget pays for is found', function() {
+    assert.strictEqual(FareEngine.maxDistance(424, tariff, trip), 0);
+    assert.strictEqual(FareEngine.maxDistance(425, tariff, trip), 143);
+    assert.strictEqual(FareEngine.maxDistance(449, tariff, trip), 143);
+    assert.strictEqual(FareEngine.maxDistance(450, tariff, trip), 286);
+    assert.strictEqual(FareEngine.maxDistance(2000, tariff, trip), 9152);
+    assert.ok(FareEngine.estimate(9.152, 0, tariff).totalFare <= 2000);
+    assert.ok(FareEngine.estimate(9.153, 0, tariff).totalFare > 2000);
+});
+
+test('amounts are converted to and from cents', function() {
+    assert.strictEqual(FareEngine.toCents(4.35), 435);
+    assert.strictEqual(FareEngine.toCents(0.1 + 0.2), 30);
+    assert.strictEqual(FareEngine.formatCents(0, '$'), '$0.00');
+    assert.strictEqual(FareEngine.formatCents(5, '$'), '$0.05');
+    assert.strictEqual(FareEngine.formatCents(1250, '$'), '$12.50');
+    assert.strictEqual(FareEngine.formatCents(-5, '$'), '-$0.05');
+    assert.strictEqual(FareEngine.formatCents(-150, '$'), '-$1.50');
+});
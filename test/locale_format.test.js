@@ -0,0 +1,92 @@
+/**
+ * Unit tests of the locale format (js/locale_format.js). Run with
+ * "npm test".
+ */
+
+
+var test = require('node:test');
+var assert = require('assert');
+
+var FareEngine = require('../js/fare_engine.js');
+var LocaleFormat = require('../js/locale_format.js');
+
+
+// Distance formats of the locales (see xml/strings*.xml).
+var distanceFormats = {km: '{distance} km', mi: '{distance} mi'};
+
+// Duration formats of the locales.
+var durationFormats = {
+    minutes: '{minutes} min',
+    hours: '{hours} h {minutes} min'
+};
+
+// The English and French formats (French groups digits with a no-break
+// space).
+var english = new LocaleFormat(
+    '.',
+    ',',
+    '${amount}',
+    distanceFormats,
+    durationFormats,
+    false
+);
+var french = new LocaleFormat(
+    ',',
+    '\u00a0',
+    '{amount} $',
+    distanceFormats,
+    durationFormats,
+    false
+);
+
+
+test('amounts are shown to the cent the fare engine calculates', function() {
+
+    // 2.5 km with a 15% tip, and 2.5 km and 6 km with a 20% tip.
+    [978, 1020, 1740].forEach(function(cents) {
+        assert.strictEqual(
+            english.formatCents(cents),
+            FareEngine.formatCents(cents, '$')
+        );
+    });
+
+    assert.strictEqual(english.formatCents(978), '$9.78');
+    assert.strictEqual(english.formatCents(5), '$0.05');
+    assert.strictEqual(english.formatCents(123456), '$1,234.56');
+    assert.strictEqual(french.formatCents(1019), '10,19 $');
+    assert.strictEqual(french.formatCents(123456), '1\u00a0234,56 $');
+});
+
+test('distances are shown to the meter', function() {
+    assert.strictEqual(english.formatDistance(1001), '1.001 km');
+    assert.strictEqual(english.formatDistance(999.6), '1.000 km');
+    assert.strictEqual(french.formatDistance(12345), '12,345 km');
+    assert.strictEqual(english.formatDistance(0), '0.000 km');
+
+    english.setMiles(true);
+
+    try {
+        assert.strictEqual(english.formatDistance(1609.344), '1.000 mi');
+        assert.strictEqual(english.formatDistance(1610), '1.000 mi');
+        assert.strictEqual(english.formatDistance(1611), '1.001 mi');
+    } finally {
+        english.setMiles(false);
+    }
+});
+
+test('numbers are formatted and read in the locale', function() {
+    assert.strictEqual(english.formatNumber(1234.5, 1), '1,234.5');
+    assert.strictEqual(french.formatNumber(1234.5, 2), '1\u00a0234,50');
+    assert.strictEqual(english.formatNumber(7, 0), '7');
+    assert.strictEqual(french.parseNumber('12,5'), 12.5);
+    assert.strictEqual(french.parseNumber('1 234,5'), 1234.5);
+    assert.strictEqual(french.parseNumber('12.5'), 12.5);
+    assert.strictEqual(english.parseNumber('1,234.5'), 1234.5);
+    assert.ok(isNaN(english.parseNumber('12 km')));
+    assert.ok(isNaN(english.parseNumber('')));
+});
+
+test('durations are shown in hours and minutes', function() {
+    assert.strictEqual(english.formatDuration(89), '1 min');
+    assert.strictEqual(english.formatDuration(3900), '1 h 5 min');
+});
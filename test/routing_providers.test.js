@@ -0,0 +1,522 @@
+/**
+ * Tests of the routing providers (js/routing_providers.js), run offline
+ * against the bundled fixture file (fixtures/routing.json). Run with
+ * "npm test".
+ */
+
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+
+var FareEngine = require('../js/fare_engine.js');
+var RoutingProviders = require('../js/routing_providers.js');
+
+var RoutingStatus = RoutingProviders.RoutingStatus;
+
+
+// URL of the fixture file, relative to the application's root.
+var fixtureUrl = 'fixtures/routing.json';
+
+// Places of the fixture file, by ID.
+var places = {};
+
+JSON.parse(fs.readFileSync(
+    path.join(__dirname, '..', fixtureUrl),
+    'utf8'
+)).places.forEach(function(place) {
+    places[place.id] = place;
+});
+
+
+/**
+ * Reads a JSON file relative to the application's root, as a fixture
+ * routing provider requests it.
+ *
+ * @param {String} url The URL of the file.
+ * @param {Function} success Function passed the parsed JSON.
+ * @param {Function} failure Function called if the file can't be read.
+ */
+function readJson(url, success, failure) {
+    fs.readFile(path.join(__dirname, '..', url), 'utf8', function(error, text) {
+        if (error) {
+            failure();
+        } else {
+            success(JSON.parse(text));
+        }
+    });
+}
+
+
+/**
+ * Makes a fixture routing provider that counts the requests made of it.
+ *
+ * @return {Object} The provider, with a counts property holding the number of
+ *         geocode, reverseGeocode and route requests made.
+ */
+function makeCountedProvider() {
+    var fixture = new RoutingProviders.FixtureRoutingProvider(
+        fixtureUrl,
+        readJson
+    );
+
+    var provider = {counts: {geocode: 0, reverseGeocode: 0, route: 0}};
+
+    ['geocode', 'reverseGeocode', 'route'].forEach(function(method) {
+        provider[method] = function(argument, callback) {
+            provider.counts[method]++;
+            fixture[method](argument, callback);
+        };
+    });
+
+    return provider;
+}
+
+
+/**
+ * Makes an in-memory stand-in for a Web Storage object.
+ *
+ * @return {Object} The storage.
+ */
+function makeStorage() {
+    var items = {};
+
+    return {
+        get length() {
+            return Object.keys(items).length;
+        },
+        key: function(index) {
+            return Object.keys(items)[index];
+        },
+        getItem: function(key) {
+            return items.hasOwnProperty(key) ? items[key] : null;
+        },
+        setItem: function(key, value) {
+            items[key] = String(value);
+        },
+        removeItem: function(key) {
+            delete items[key];
+        }
+    };
+}
+
+
+/**
+ * Asks the given provider to answer a request.
+ *
+ * @param {Object} provider The routing provider.
+ * @param {String} method The method to call ("geocode", "reverseGeocode" or
+ *         "route").
+ * @param {Object} argument The address, location or route request.
+ * @return {Promise} Promise of the Array of the arguments the provider
+ *         answers with.
+ */
+function ask(provider, method, argument) {
+    return new Promise(function(resolve) {
+        provider[method](argument, function() {
+            resolve(Array.prototype.slice.call(arguments));
+        });
+    });
+}
+
+
+/**
+ * Moves the given location the given number of meters north.
+ *
+ * @param {Object} location The {lat, lng} location.
+ * @param {Number} meters The distance to move it, in meters.
+ * @return {Object} The moved location.
+ */
+function north(location, meters) {
+    return {lat: location.lat + meters / 111195, lng: location.lng};
+}
+
+
+test('the fixture provider codes addresses by their names', function() {
+    var provider = new RoutingProviders.FixtureRoutingProvider(
+        fixtureUrl,
+        readJson
+    );
+
+    return Promise.all([
+        ask(provider, 'geocode', '  cn   TOWER '),
+        ask(provider, 'geocode', 'Union Station, 65 Front St W'),
+        ask(provider, 'geocode', 'Nowhere Rd')
+    ]).then(function(answers) {
+        assert.strictEqual(answers[0][0], RoutingStatus.OK);
+        assert.strictEqual(answers[0][1].length, 1);
+        assert.strictEqual(answers[0][1][0].address, places.cn_tower.address);
+        assert.deepStrictEqual(
+            answers[0][1][0].location,
+            places.cn_tower.location
+        );
+        assert.strictEqual(answers[1][0], RoutingStatus.OK);
+        assert.strictEqual(
+            answers[1][1][0].address,
+            places.union_station.address
+        );
+        assert.deepStrictEqual(answers[2], [RoutingStatus.ZERO_RESULTS, []]);
+    });
+});
+
+test('the fixture provider finds the place near a location', function() {
+    var provider = new RoutingProviders.FixtureRoutingProvider(
+        fixtureUrl,
+        readJson
+    );
+
+    return Promise.all([
+        ask(provider, 'reverseGeocode', north(places.casa_loma.location, 100)),
+        ask(provider, 'reverseGeocode', north(places.casa_loma.location, 1000))
+    ]).then(function(answers) {
+        assert.strictEqual(answers[0][0], RoutingStatus.OK);
+        assert.strictEqual(answers[0][1][0].address, places.casa_loma.address);
+        assert.deepStrictEqual(answers[1], [RoutingStatus.ZERO_RESULTS, []]);
+    });
+});
+
+test('the fixture provider finds routes through its legs', function() {
+    var provider = new RoutingProviders.FixtureRoutingProvider(
+        fixtureUrl,
+        readJson
+    );
+
+    return ask(provider, 'route', {
+        origin: 'CN Tower',
+        destination: 'Union Station'
+    }).then(function(answer) {
+        var route = answer[1][0];
+
+        assert.strictEqual(answer[0], RoutingStatus.OK);
+        assert.strictEqual(answer[1].length, 1);
+        assert.strictEqual(route.distance, 1100);
+        assert.strictEqual(route.duration, 240);
+        assert.strictEqual(route.durationInTraffic, 330);
+        assert.strictEqual(route.summary, 'Front St W');
+        assert.strictEqual(route.path.length, 3);
+        assert.deepStrictEqual(route.path[0], places.cn_tower.location);
+        assert.strictEqual(route.steps.length, 2);
+        assert.deepStrictEqual(route.locations, [
+            places.cn_tower.location,
+            places.union_station.location
+        ]);
+    });
+});
+
+test('fixture legs can be travelled either way', function() {
+    var provider = new RoutingProviders.FixtureRoutingProvider(
+        fixtureUrl,
+        readJson
+    );
+
+    return ask(provider, 'route', {
+        origin: places.union_station.location,
+        destination: north(places.cn_tower.location, 50)
+    }).then(function(answer) {
+        var route = answer[1][0];
+
+        assert.strictEqual(answer[0], RoutingStatus.OK);
+        assert.strictEqual(route.distance, 1100);
+        assert.deepStrictEqual(route.path[0], places.union_station.location);
+        assert.deepStrictEqual(
+            route.path[route.path.length - 1],
+            places.cn_tower.location
+        );
+        assert.deepStrictEqual(route.steps, []);
+        assert.deepStrictEqual(
+            route.locations[1],
+            north(places.cn_tower.location, 50)
+        );
+    });
+});
+
+test('fixture routes pass through their waypoints', function() {
+    var provider = new RoutingProviders.FixtureRoutingProvider(
+        fixtureUrl,
+        readJson
+    );
+
+    return ask(provider, 'route', {
+        origin: 'CN Tower',
+        waypoints: ['Union Station', 'Yonge and Dundas'],
+        destination: 'Casa Loma',
+        alternatives: true
+    }).then(function(answer) {
+        var route = answer[1][0];
+
+        assert.strictEqual(answer[0], RoutingStatus.OK);
+        assert.strictEqual(answer[1].length, 1);
+        assert.strictEqual(route.legs.length, 3);
+        assert.strictEqual(route.distance, 1100 + 1500 + 3600);
+        assert.strictEqual(route.durationInTraffic, 330 + 420 + 780);
+        assert.strictEqual(route.summary, 'Front St W, Bay St, Davenport Rd');
+        assert.strictEqual(route.locations.length, 4);
+    });
+});
+
+test('fixture alternatives are found only when asked for', function() {
+    var provider = new RoutingProviders.FixtureRoutingProvider(
+        fixtureUrl,
+        readJson
+    );
+
+    return Promise.all([
+        ask(provider, 'route', {
+            origin: 'Union Station',
+            destination: 'YYZ',
+            alternatives: true
+        }),
+        ask(provider, 'route', {
+            origin: 'Union Station',
+            destination: 'YYZ'
+        })
+    ]).then(function(answers) {
+        assert.strictEqual(answers[0][1].length, 2);
+        assert.strictEqual(answers[0][1][1].summary, 'Hwy 401, Hwy 407 ETR');
+        assert.strictEqual(answers[1][1].length, 1);
+        assert.strictEqual(answers[1][1][0].distance, 27500);
+    });
+});
+
+test('the fixture provider reports what it can not route', function() {
+    var provider = new RoutingProviders.FixtureRoutingProvider(
+        fixtureUrl,
+        readJson
+    );
+
+    return Promise.all([
+        ask(provider, 'route', {
+            origin: 'CN Tower',
+            waypoints: ['Nowhere Rd'],
+            destination: 'Casa Loma'
+        }),
+        ask(provider, 'route', {origin: 'CN Tower', destination: 'YYZ'}),
+        ask(provider, 'route', {
+            origin: 'CN Tower',
+            destination: 'Union Station',
+            travelMode: 'transit'
+        }),
+        ask(provider, 'route', {
+            origin: 'CN Tower',
+            destination: 'Union Station',
+            travelMode: 'walking'
+        })
+    ]).then(function(answers) {
+        assert.deepStrictEqual(answers[0], [RoutingStatus.NOT_FOUND, [], 1]);
+        assert.deepStrictEqual(answers[1], [RoutingStatus.ZERO_RESULTS, []]);
+        assert.deepStrictEqual(answers[2], [RoutingStatus.ZERO_RESULTS, []]);
+        assert.strictEqual(answers[3][1][0].distance, 850);
+        assert.strictEqual(answers[3][1][0].durationInTraffic, null);
+    });
+});
+
+test('the fixture file is loaded once, and errors if missing', function() {
+
+    // Number of times the fixture file is read.
+    var reads = 0;
+
+    var provider = new RoutingProviders.FixtureRoutingProvider(
+        fixtureUrl,
+        function(url, success, failure) {
+            reads++;
+            readJson(url, success, failure);
+        }
+    );
+
+    var missing = new RoutingProviders.FixtureRoutingProvider(
+        'fixtures/missing.json',
+        readJson
+    );
+
+    return Promise.all([
+        ask(provider, 'geocode', 'CN Tower'),
+        ask(provider, 'geocode', 'Casa Loma'),
+        ask(missing, 'geocode', 'CN Tower'),
+        ask(missing, 'route', {origin: 'CN Tower', destination: 'Casa Loma'})
+    ]).then(function(answers) {
+        assert.strictEqual(reads, 1);
+        assert.strictEqual(answers[1][0], RoutingStatus.OK);
+        assert.deepStrictEqual(answers[2], [RoutingStatus.ERROR, []]);
+        assert.deepStrictEqual(answers[3], [RoutingStatus.ERROR, []]);
+    });
+});
+
+test('fixture routes can be estimated offline', function() {
+    var provider = new RoutingProviders.FixtureRoutingProvider(
+        fixtureUrl,
+        readJson
+    );
+
+    // The 2012 taxi tariff (see xml/tariffs.xml).
+    var tariff = {
+        baseRate: 4.25,
+        distanceUnit: 0.143,
+        ratePerDistanceUnit: 0.25,
+        waitingTimeRate: 0.25,
+        waitingTimeUnit: 31,
+        freeFlowSpeed: 40
+    };
+
+    return ask(provider, 'route', {
+        origin: 'CN Tower',
+        destination: 'Casa Loma'
+    }).then(function(answer) {
+        var fare = FareEngine.estimateRoute(
+            answer[1][0],
+            tariff,
+            {riders: 1, bags: 0, tipPercent: 0}
+        );
+
+        // 5.2 km is 36 units beyond the first, and 240 s in traffic beyond
+        // the typical duration is 7 waiting units.
+        assert.strictEqual(fare.distanceFare, 36 * 25);
+        assert.strictEqual(fare.waitingFare, 7 * 25);
+        assert.strictEqual(fare.grandTotal, 425 + 36 * 25 + 7 * 25);
+    });
+});
+
+test('the caching provider answers repeat requests from its cache', function() {
+    var provider = makeCountedProvider();
+    var storage = makeStorage();
+
+    var timesToLive = {geocode: 3600, route: 900};
+
+    var caching = new RoutingProviders.CachingRoutingProvider(
+        provider,
+        10,
+        timesToLive,
+        storage,
+        'test:'
+    );
+
+    // Request for a route.
+    var request = {
+        origin: 'CN Tower',
+        destination: 'Casa Loma',
+        departureTime: new Date()
+    };
+
+    return ask(caching, 'geocode', 'CN Tower').then(function() {
+        return ask(caching, 'geocode', ' cn tower ');
+    }).then(function(answer) {
+        assert.strictEqual(answer[0], RoutingStatus.OK);
+        assert.strictEqual(provider.counts.geocode, 1);
+
+        return ask(caching, 'route', request);
+    }).then(function() {
+        return ask(caching, 'route', request);
+    }).then(function(answer) {
+        assert.strictEqual(answer[1][0].distance, 5200);
+        assert.strictEqual(provider.counts.route, 1);
+
+        return ask(caching, 'route', {
+            origin: 'CN Tower',
+            destination: 'Casa Loma',
+            departureTime: request.departureTime,
+            travelMode: 'walking'
+        });
+    }).then(function(answer) {
+        assert.strictEqual(answer[0], RoutingStatus.ZERO_RESULTS);
+        assert.strictEqual(provider.counts.route, 2);
+
+        return ask(caching, 'geocode', 'Nowhere Rd');
+    }).then(function() {
+        return ask(caching, 'geocode', 'Nowhere Rd');
+    }).then(function(answer) {
+        assert.strictEqual(answer[0], RoutingStatus.ZERO_RESULTS);
+        assert.strictEqual(provider.counts.geocode, 3);
+
+        // A new cache over the same storage answers from it.
+        return ask(new RoutingProviders.CachingRoutingProvider(
+            provider,
+            10,
+            timesToLive,
+            storage,
+            'test:'
+        ), 'route', request);
+    }).then(function(answer) {
+        assert.strictEqual(answer[1][0].distance, 5200);
+        assert.strictEqual(provider.counts.route, 2);
+    });
+});
+
+test('the caching provider drops the least recently used answer', function() {
+    var provider = makeCountedProvider();
+
+    var caching = new RoutingProviders.CachingRoutingProvider(
+        provider,
+        2,
+        {geocode: 3600, route: 900},
+        null,
+        'test:'
+    );
+
+    return ask(caching, 'geocode', 'CN Tower').then(function() {
+        return ask(caching, 'geocode', 'Casa Loma');
+    }).then(function() {
+        return ask(caching, 'geocode', 'CN Tower');
+    }).then(function() {
+        return ask(caching, 'geocode', 'YYZ');
+    }).then(function() {
+        return ask(caching, 'geocode', 'CN Tower');
+    }).then(function() {
+        assert.strictEqual(provider.counts.geocode, 3);
+
+        return ask(caching, 'geocode', 'Casa Loma');
+    }).then(function() {
+        assert.strictEqual(provider.counts.geocode, 4);
+    });
+});
+
+test('the timeout provider passes on answers given in time', function() {
+    var timeout = new RoutingProviders.TimeoutRoutingProvider(
+        new RoutingProviders.FixtureRoutingProvider(fixtureUrl, readJson),
+        1000
+    );
+
+    return ask(timeout, 'route', {
+        origin: 'CN Tower',
+        waypoints: ['Nowhere Rd'],
+        destination: 'Casa Loma'
+    }).then(function(answer) {
+        assert.deepStrictEqual(answer, [RoutingStatus.NOT_FOUND, [], 1]);
+    });
+});
+
+test('the timeout provider reports answers that come too late', function() {
+
+    // Function that reads the fixture file once it is let go.
+    var release;
+
+    // Number of answers the timeout provider gives.
+    var answers = 0;
+
+    var timeout = new RoutingProviders.TimeoutRoutingProvider(
+        new RoutingProviders.FixtureRoutingProvider(
+            fixtureUrl,
+            function(url, success, failure) {
+                release = function() {
+                    readJson(url, success, failure);
+                };
+            }
+        ),
+        20
+    );
+
+    return new Promise(function(resolve) {
+        timeout.geocode('CN Tower', function(status, results) {
+            answers++;
+            resolve([status, results]);
+        });
+    }).then(function(answer) {
+        assert.deepStrictEqual(answer, [RoutingStatus.TIMEOUT, []]);
+
+        return new Promise(function(resolve) {
+            release();
+            setTimeout(resolve, 50);
+        });
+    }).then(function() {
+        assert.strictEqual(answers, 1);
+    });
+});